@@ -0,0 +1,45 @@
+// Types for js/noise.js, which stays plain JS so the static pages can load
+// it without a build step. Every function returns a value in [-1, 1].
+
+export type NoiseSeed = number | string;
+
+export type NoiseBasis = "simplex" | "perlin";
+
+export interface FbmOptions {
+  /** Layers of noise to sum. Default 5. */
+  octaves?: number;
+  /** Frequency multiplier between octaves. Default 2. */
+  lacunarity?: number;
+  /** Amplitude multiplier between octaves. Default 0.5. */
+  gain?: number;
+  /** Noise each octave samples. Default "simplex". */
+  basis?: NoiseBasis;
+}
+
+export interface WarpOptions extends FbmOptions {
+  /** How far the first fBm pass pushes the sample point. Default 1. */
+  amount?: number;
+}
+
+export declare class Noise {
+  /** The same seed always produces the same field; random when omitted. */
+  constructor(seed?: NoiseSeed);
+  readonly seed: NoiseSeed;
+
+  simplex2(x: number, y: number): number;
+  simplex3(x: number, y: number, z: number): number;
+  simplex4(x: number, y: number, z: number, w: number): number;
+
+  perlin2(x: number, y: number): number;
+  perlin3(x: number, y: number, z: number): number;
+  perlin4(x: number, y: number, z: number, w: number): number;
+
+  fbm2(x: number, y: number, options?: FbmOptions): number;
+  fbm3(x: number, y: number, z: number, options?: FbmOptions): number;
+  fbm4(x: number, y: number, z: number, w: number, options?: FbmOptions): number;
+
+  warp2(x: number, y: number, options?: WarpOptions): number;
+  warp3(x: number, y: number, z: number, options?: WarpOptions): number;
+}
+
+export declare function createNoise(seed?: NoiseSeed): Noise;
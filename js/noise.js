@@ -1,107 +1,489 @@
 /**
- * Noise Generator - Perlin/Simplex Noise
- * 
- * This is a clean implementation of Perlin noise used for
- * creating organic, natural-looking wave animations.
- * 
- * Why Perlin Noise?
+ * Noise Generator - Seeded Simplex/Perlin Noise
+ *
+ * An ES module used by the <a-waves> background (js/waves.js); js/noise.d.ts
+ * types it for TypeScript callers.
+ *
+ * Why Noise?
  * - Creates smooth, continuous random values
  * - Adjacent values are related (unlike pure random)
  * - Perfect for natural-looking motion and textures
+ *
+ * Every generator is seeded: the same seed (number or string) gives the
+ * same field in every browser, so a background looks identical for a given
+ * seed. To animate, feed time in as an extra dimension (3D for a 2D field)
+ * rather than sliding the input around.
+ *
+ * All functions return values in [-1, 1].
  */
 
-class Noise {
+// Gradients for 2D and 3D: the midpoints of a cube's 12 edges
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+];
+
+// Gradients for 4D: the midpoints of a tesseract's 32 edges
+const GRAD4 = [
+  [0, 1, 1, 1], [0, 1, 1, -1], [0, 1, -1, 1], [0, 1, -1, -1],
+  [0, -1, 1, 1], [0, -1, 1, -1], [0, -1, -1, 1], [0, -1, -1, -1],
+  [1, 0, 1, 1], [1, 0, 1, -1], [1, 0, -1, 1], [1, 0, -1, -1],
+  [-1, 0, 1, 1], [-1, 0, 1, -1], [-1, 0, -1, 1], [-1, 0, -1, -1],
+  [1, 1, 0, 1], [1, 1, 0, -1], [1, -1, 0, 1], [1, -1, 0, -1],
+  [-1, 1, 0, 1], [-1, 1, 0, -1], [-1, -1, 0, 1], [-1, -1, 0, -1],
+  [1, 1, 1, 0], [1, 1, -1, 0], [1, -1, 1, 0], [1, -1, -1, 0],
+  [-1, 1, 1, 0], [-1, 1, -1, 0], [-1, -1, 1, 0], [-1, -1, -1, 0],
+];
+
+// Simplex skewing factors: to and from the grid of simplices
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+// Offsets that keep fractal octaves and warp channels from lining up
+const OCTAVE_SHIFT = 19.19;
+const WARP_SHIFTS = [[5.2, 1.3, 2.8], [1.7, 9.2, 4.6]];
+
+/**
+ * Hash a seed (any number or string) to 32 bits with FNV-1a
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Small, fast PRNG (mulberry32); returns floats in [0, 1)
+ */
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fade function for smooth interpolation
+ * 6t^5 - 15t^4 + 10t^3 (improved Perlin)
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Linear interpolation
+ */
+function lerp(t, a, b) {
+  return a + t * (b - a);
+}
+
+/**
+ * Keep results inside [-1, 1] despite floating point edge cases
+ */
+function clamp(n) {
+  return n < -1 ? -1 : n > 1 ? 1 : n;
+}
+
+export class Noise {
   constructor(seed = Math.random()) {
-    this.grad3 = [
-      [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-      [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-      [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
-    ];
-    
-    this.p = [];
-    for (let i = 0; i < 256; i++) {
-      this.p[i] = Math.floor(seed * 256);
-      seed = (seed * 16807) % 2147483647;
-      seed = seed / 2147483647;
-    }
-    
-    // Shuffle using seed
+    this.seed = seed;
+
+    // Identity permutation, shuffled with Fisher-Yates so every ordering
+    // is equally likely for a random seed
+    const random = mulberry32(hashSeed(seed));
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
     for (let i = 255; i > 0; i--) {
-      seed = (seed * 16807) % 2147483647;
-      const j = Math.floor((seed / 2147483647) * (i + 1));
-      [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
+      const j = Math.floor(random() * (i + 1));
+      const swap = p[i];
+      p[i] = p[j];
+      p[j] = swap;
     }
-    
-    // Double the permutation table
-    this.perm = new Array(512);
-    this.permMod12 = new Array(512);
+
+    // Double the permutation table to skip index wrapping
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
     for (let i = 0; i < 512; i++) {
-      this.perm[i] = this.p[i & 255];
+      this.perm[i] = p[i & 255];
       this.permMod12[i] = this.perm[i] % 12;
     }
   }
 
+  // === SIMPLEX NOISE ===
+
   /**
-   * Dot product of gradient and distance vectors
+   * 2D Simplex Noise
    */
-  dot(g, x, y) {
-    return g[0] * x + g[1] * y;
+  simplex2(xin, yin) {
+    const { perm, permMod12 } = this;
+
+    // Skew into simplex space to find the cell
+    const s = (xin + yin) * F2;
+    const i = Math.floor(xin + s);
+    const j = Math.floor(yin + s);
+    const t = (i + j) * G2;
+    const x0 = xin - (i - t);
+    const y0 = yin - (j - t);
+
+    // Which of the cell's two triangles we're in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    // Sum the contributions of the three corners
+    let n = 0;
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 > 0) {
+      const g = GRAD3[permMod12[ii + perm[jj]]];
+      t0 *= t0;
+      n += t0 * t0 * (g[0] * x0 + g[1] * y0);
+    }
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 > 0) {
+      const g = GRAD3[permMod12[ii + i1 + perm[jj + j1]]];
+      t1 *= t1;
+      n += t1 * t1 * (g[0] * x1 + g[1] * y1);
+    }
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 > 0) {
+      const g = GRAD3[permMod12[ii + 1 + perm[jj + 1]]];
+      t2 *= t2;
+      n += t2 * t2 * (g[0] * x2 + g[1] * y2);
+    }
+
+    return clamp(70 * n);
+  }
+
+  /**
+   * 3D Simplex Noise
+   */
+  simplex3(xin, yin, zin) {
+    const { perm, permMod12 } = this;
+
+    const s = (xin + yin + zin) * F3;
+    const i = Math.floor(xin + s);
+    const j = Math.floor(yin + s);
+    const k = Math.floor(zin + s);
+    const t = (i + j + k) * G3;
+    const x0 = xin - (i - t);
+    const y0 = yin - (j - t);
+    const z0 = zin - (k - t);
+
+    // Which of the cell's six tetrahedra we're in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+
+    const corners = [
+      [x0, y0, z0, 0, 0, 0],
+      [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+      [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1],
+    ];
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    let n = 0;
+    for (const [x, y, z, di, dj, dk] of corners) {
+      let c = 0.6 - x * x - y * y - z * z;
+      if (c <= 0) continue;
+      const g = GRAD3[permMod12[ii + di + perm[jj + dj + perm[kk + dk]]]];
+      c *= c;
+      n += c * c * (g[0] * x + g[1] * y + g[2] * z);
+    }
+
+    return clamp(32 * n);
   }
 
+  /**
+   * 4D Simplex Noise
+   */
+  simplex4(x, y, z, w) {
+    const { perm } = this;
+
+    const s = (x + y + z + w) * F4;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const l = Math.floor(w + s);
+    const t = (i + j + k + l) * G4;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+    const w0 = w - (l - t);
+
+    // Rank the coordinates to pick the simplex: each axis steps up once,
+    // in order of its offset
+    let rankx = 0;
+    let ranky = 0;
+    let rankz = 0;
+    let rankw = 0;
+    if (x0 > y0) rankx++; else ranky++;
+    if (x0 > z0) rankx++; else rankz++;
+    if (x0 > w0) rankx++; else rankw++;
+    if (y0 > z0) ranky++; else rankz++;
+    if (y0 > w0) ranky++; else rankw++;
+    if (z0 > w0) rankz++; else rankw++;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+    const ll = l & 255;
+
+    let n = 0;
+    for (let c = 0; c <= 4; c++) {
+      // Corner c steps along every axis ranked at least 4 - c
+      const di = c === 0 ? 0 : rankx >= 4 - c ? 1 : 0;
+      const dj = c === 0 ? 0 : ranky >= 4 - c ? 1 : 0;
+      const dk = c === 0 ? 0 : rankz >= 4 - c ? 1 : 0;
+      const dl = c === 0 ? 0 : rankw >= 4 - c ? 1 : 0;
+
+      const cx = x0 - di + c * G4;
+      const cy = y0 - dj + c * G4;
+      const cz = z0 - dk + c * G4;
+      const cw = w0 - dl + c * G4;
+
+      let f = 0.6 - cx * cx - cy * cy - cz * cz - cw * cw;
+      if (f <= 0) continue;
+      const g = GRAD4[perm[ii + di + perm[jj + dj + perm[kk + dk + perm[ll + dl]]]] % 32];
+      f *= f;
+      n += f * f * (g[0] * cx + g[1] * cy + g[2] * cz + g[3] * cw);
+    }
+
+    return clamp(27 * n);
+  }
+
+  // === PERLIN NOISE ===
+
   /**
    * 2D Perlin Noise
-   * Returns a value between -1 and 1
    */
   perlin2(x, y) {
+    const { perm, permMod12 } = this;
+
     // Find unit grid cell containing point
-    let X = Math.floor(x) & 255;
-    let Y = Math.floor(y) & 255;
-    
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+
     // Get relative xy coordinates of point within cell
     x -= Math.floor(x);
     y -= Math.floor(y);
-    
+
     // Compute fade curves for each coordinate
-    const u = this.fade(x);
-    const v = this.fade(y);
-    
-    // Hash coordinates of the 4 corners
-    const A = this.perm[X] + Y;
-    const B = this.perm[X + 1] + Y;
-    
+    const u = fade(x);
+    const v = fade(y);
+
+    // Gradient at a corner, dotted with the offset to it
+    const corner = (dx, dy) => {
+      const g = GRAD3[permMod12[X + dx + perm[Y + dy]]];
+      return g[0] * (x - dx) + g[1] * (y - dy);
+    };
+
     // Blend results from 4 corners
-    return this.lerp(
+    return clamp(lerp(
       v,
-      this.lerp(
-        u,
-        this.dot(this.grad3[this.permMod12[A]], x, y),
-        this.dot(this.grad3[this.permMod12[B]], x - 1, y)
+      lerp(u, corner(0, 0), corner(1, 0)),
+      lerp(u, corner(0, 1), corner(1, 1))
+    ));
+  }
+
+  /**
+   * 3D Perlin Noise (Ken Perlin's improved noise)
+   */
+  perlin3(x, y, z) {
+    const { perm, permMod12 } = this;
+
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+
+    const corner = (dx, dy, dz) => {
+      const g = GRAD3[permMod12[X + dx + perm[Y + dy + perm[Z + dz]]]];
+      return g[0] * (x - dx) + g[1] * (y - dy) + g[2] * (z - dz);
+    };
+
+    return clamp(lerp(
+      w,
+      lerp(
+        v,
+        lerp(u, corner(0, 0, 0), corner(1, 0, 0)),
+        lerp(u, corner(0, 1, 0), corner(1, 1, 0))
+      ),
+      lerp(
+        v,
+        lerp(u, corner(0, 0, 1), corner(1, 0, 1)),
+        lerp(u, corner(0, 1, 1), corner(1, 1, 1))
+      )
+    ));
+  }
+
+  /**
+   * 4D Perlin Noise
+   */
+  perlin4(x, y, z, w) {
+    const { perm } = this;
+
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    const W = Math.floor(w) & 255;
+
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+    w -= Math.floor(w);
+
+    const fx = fade(x);
+    const fy = fade(y);
+    const fz = fade(z);
+    const fw = fade(w);
+
+    const corner = (dx, dy, dz, dw) => {
+      const g = GRAD4[perm[X + dx + perm[Y + dy + perm[Z + dz + perm[W + dw]]]] % 32];
+      return g[0] * (x - dx) + g[1] * (y - dy) + g[2] * (z - dz) + g[3] * (w - dw);
+    };
+
+    // Blend the 16 corners one axis at a time
+    const cube = (dw) => lerp(
+      fz,
+      lerp(
+        fy,
+        lerp(fx, corner(0, 0, 0, dw), corner(1, 0, 0, dw)),
+        lerp(fx, corner(0, 1, 0, dw), corner(1, 1, 0, dw))
       ),
-      this.lerp(
-        u,
-        this.dot(this.grad3[this.permMod12[A + 1]], x, y - 1),
-        this.dot(this.grad3[this.permMod12[B + 1]], x - 1, y - 1)
+      lerp(
+        fy,
+        lerp(fx, corner(0, 0, 1, dw), corner(1, 0, 1, dw)),
+        lerp(fx, corner(0, 1, 1, dw), corner(1, 1, 1, dw))
       )
     );
+
+    return clamp(lerp(fw, cube(0), cube(1)));
+  }
+
+  // === FRACTAL BROWNIAN MOTION ===
+
+  /**
+   * Layer `octaves` copies of a basis noise, each one `lacunarity` times
+   * the frequency and `gain` times the amplitude of the last. The sum is
+   * normalised so it stays in [-1, 1].
+   */
+  fractal(sample, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+    let sum = 0;
+    let norm = 0;
+    let amplitude = 1;
+    let frequency = 1;
+
+    for (let o = 0; o < octaves; o++) {
+      sum += amplitude * sample(frequency, o * OCTAVE_SHIFT);
+      norm += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return norm > 0 ? clamp(sum / norm) : 0;
+  }
+
+  /**
+   * 2D fBm; `options.basis` picks 'simplex' (default) or 'perlin'
+   */
+  fbm2(x, y, options = {}) {
+    const basis = options.basis === 'perlin' ? this.perlin2 : this.simplex2;
+    return this.fractal(
+      (f, shift) => basis.call(this, x * f + shift, y * f + shift),
+      options
+    );
   }
 
   /**
-   * Fade function for smooth interpolation
-   * 6t^5 - 15t^4 + 10t^3 (improved Perlin)
+   * 3D fBm
    */
-  fade(t) {
-    return t * t * t * (t * (t * 6 - 15) + 10);
+  fbm3(x, y, z, options = {}) {
+    const basis = options.basis === 'perlin' ? this.perlin3 : this.simplex3;
+    return this.fractal(
+      (f, shift) => basis.call(this, x * f + shift, y * f + shift, z * f + shift),
+      options
+    );
   }
 
   /**
-   * Linear interpolation
+   * 4D fBm
    */
-  lerp(t, a, b) {
-    return a + t * (b - a);
+  fbm4(x, y, z, w, options = {}) {
+    const basis = options.basis === 'perlin' ? this.perlin4 : this.simplex4;
+    return this.fractal(
+      (f, shift) => basis.call(this, x * f + shift, y * f + shift, z * f + shift, w * f + shift),
+      options
+    );
+  }
+
+  // === DOMAIN WARPING ===
+
+  /**
+   * 2D domain warp: fBm sampled at a point pushed around by more fBm,
+   *   fbm(p + amount * (fbm(p), fbm(p + shift)))
+   * which folds the field into marbled, swirling shapes. Takes the fBm
+   * options plus `amount`.
+   */
+  warp2(x, y, options = {}) {
+    const { amount = 1 } = options;
+    const [a] = WARP_SHIFTS;
+    const qx = this.fbm2(x, y, options);
+    const qy = this.fbm2(x + a[0], y + a[1], options);
+    return this.fbm2(x + amount * qx, y + amount * qy, options);
+  }
+
+  /**
+   * 3D domain warp; use z as time for an evolving 2D pattern
+   */
+  warp3(x, y, z, options = {}) {
+    const { amount = 1 } = options;
+    const [a, b] = WARP_SHIFTS;
+    const qx = this.fbm3(x, y, z, options);
+    const qy = this.fbm3(x + a[0], y + a[1], z + a[2], options);
+    const qz = this.fbm3(x + b[0], y + b[1], z + b[2], options);
+    return this.fbm3(x + amount * qx, y + amount * qy, z + amount * qz, options);
   }
 }
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = Noise;
+/**
+ * Shorthand for `new Noise(seed)`
+ */
+export function createNoise(seed) {
+  return new Noise(seed);
 }
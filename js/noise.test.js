@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { Noise, createNoise } from './noise.js';
+
+// Method name -> dimensions it takes
+const METHODS = {
+  simplex2: 2,
+  simplex3: 3,
+  simplex4: 4,
+  perlin2: 2,
+  perlin3: 3,
+  perlin4: 4,
+  fbm2: 2,
+  fbm3: 3,
+  fbm4: 4,
+  warp2: 2,
+  warp3: 3,
+};
+
+/**
+ * A fixed spread of sample points, including negatives, integer lattice
+ * points and large coordinates
+ */
+function samplePoints(dimensions, count = 200) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const point = [];
+    for (let d = 0; d < dimensions; d++) {
+      point.push(Math.sin(i * 12.9898 + d * 78.233) * (i % 3 === 0 ? 1000 : 20));
+    }
+    points.push(point);
+  }
+  points.push(new Array(dimensions).fill(0), new Array(dimensions).fill(-3));
+  return points;
+}
+
+function sample(noise, method) {
+  return samplePoints(METHODS[method]).map((p) => noise[method](...p));
+}
+
+describe('Noise', () => {
+  for (const method of Object.keys(METHODS)) {
+    describe(method, () => {
+      it('gives the same values for the same seed', () => {
+        expect(sample(new Noise(42), method)).toEqual(sample(new Noise(42), method));
+        expect(sample(new Noise('waves'), method)).toEqual(sample(new Noise('waves'), method));
+      });
+
+      it('gives different values for different seeds', () => {
+        expect(sample(new Noise(1), method)).not.toEqual(sample(new Noise(2), method));
+        expect(sample(new Noise('a'), method)).not.toEqual(sample(new Noise('b'), method));
+      });
+
+      it('stays within [-1, 1]', () => {
+        for (const seed of [0, 7, 'hero']) {
+          for (const value of sample(new Noise(seed), method)) {
+            expect(Number.isFinite(value)).toBe(true);
+            expect(value).toBeGreaterThanOrEqual(-1);
+            expect(value).toBeLessThanOrEqual(1);
+          }
+        }
+      });
+    });
+  }
+
+  it('treats a numeric string seed like the number', () => {
+    expect(sample(new Noise('42'), 'simplex3')).toEqual(sample(new Noise(42), 'simplex3'));
+  });
+
+  it('applies the fBm options', () => {
+    const noise = new Noise(3);
+    expect(noise.fbm2(0.3, 0.7, { octaves: 1 })).toBeCloseTo(noise.simplex2(0.3, 0.7));
+    expect(noise.fbm2(0.3, 0.7, { octaves: 1, basis: 'perlin' })).toBeCloseTo(noise.perlin2(0.3, 0.7));
+  });
+
+  it('createNoise matches new Noise', () => {
+    expect(sample(createNoise(9), 'perlin2')).toEqual(sample(new Noise(9), 'perlin2'));
+  });
+});
@@ -0,0 +1,67 @@
+// Types for js/waves.js, the <a-waves> custom element. Importing the module
+// registers the element, so only import it in the browser.
+
+import type { NoiseSeed } from "./noise.js";
+
+export type WaveRenderer = "canvas" | "svg";
+
+export type WaveQuality = "auto" | "high" | "medium" | "low" | "lowest";
+
+export type WavePauseReason = "reduced-motion" | "user" | "hidden" | "offscreen";
+
+/** The tuning values, as JS properties; each reflects to a kebab-case attribute. */
+export interface WaveOptions {
+  xGap: number;
+  yGap: number;
+  amplitude: number;
+  amplitudeX: number;
+  amplitudeY: number;
+  turbulence: number;
+  speed: number;
+  tension: number;
+  friction: number;
+  mouseRadius: number;
+  strokeColor: string;
+  strokeWidth: number;
+  /** Fixed noise seed, a number or any text; `null` picks a random one. */
+  seed: NoiseSeed | null;
+  rippleStrength: number;
+  renderer: WaveRenderer;
+  quality: WaveQuality;
+}
+
+export interface AWavesEventMap extends HTMLElementEventMap {
+  pause: CustomEvent<{ reason: WavePauseReason }>;
+  resume: CustomEvent<null>;
+  qualitychange: CustomEvent<{ quality: Exclude<WaveQuality, "auto"> }>;
+}
+
+export interface AWaves extends WaveOptions {
+  addEventListener<K extends keyof AWavesEventMap>(
+    type: K,
+    listener: (this: AWaves, ev: AWavesEventMap[K]) => unknown,
+    options?: boolean | AddEventListenerOptions,
+  ): void;
+  removeEventListener<K extends keyof AWavesEventMap>(
+    type: K,
+    listener: (this: AWaves, ev: AWavesEventMap[K]) => unknown,
+    options?: boolean | EventListenerOptions,
+  ): void;
+}
+
+export declare class AWaves extends HTMLElement {
+  /** True while the loop is stopped, for whatever reason. */
+  readonly paused: boolean;
+  /** Why the loop is stopped, or `null` while it runs. */
+  readonly pauseReason: WavePauseReason | null;
+  /** Stop the animation until `resume()`. */
+  pause(): void;
+  /** Undo `pause()`; other pause reasons still apply. */
+  resume(): void;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "a-waves": AWaves;
+  }
+}
@@ -2,8 +2,8 @@
  * AWaves - Interactive Wave Animation Component
  * 
  * A custom Web Component that creates an organic, flowing wave background
- * inspired by wodniack.dev. Uses Perlin noise for natural motion and
- * responds to mouse/touch interactions.
+ * inspired by wodniack.dev. Uses 3D Perlin noise (x, y and time) for
+ * natural motion and responds to mouse/touch interactions.
  * 
  * Design Philosophy:
  * - Subtle, ambient motion that doesn't distract
@@ -12,16 +12,472 @@
  * - Scales gracefully across screen sizes
  * 
  * Color: Neon Cyan (#00f0ff) on dark background
+ *
+ * Configuration:
+ * Every tuning value is an attribute (and a camelCase JS property that
+ * reflects to it), so each page or section can tune its own background:
+ *
+ *   <a-waves x-gap="16" amplitude="1.5" speed="0.5" stroke-color="#7B61FF">
+ *     <svg class="js-svg"></svg>
+ *   </a-waves>
+ *
+ *   document.querySelector('a-waves').mouseRadius = 250;
+ *
+ * Changes apply live; only x-gap / y-gap rebuild the grid.
+ *
+ * Rendering:
+ * Lines are drawn to a <canvas> in one stroke per frame. renderer="svg"
+ * (or a browser without Canvas2D) falls back to one <path> per line in the
+ * markup's <svg class="js-svg">. With quality="auto" the element watches
+ * its frame times and coarsens the grid, then halves the tick rate, when
+ * frames slip; it climbs back once they recover.
+ *
+ * Pausing:
+ * The loop stops entirely (no idle requestAnimationFrame) while the tab is
+ * hidden, while the element is scrolled out of view, and after `pause()`
+ * until `resume()`. With prefers-reduced-motion it draws a single static
+ * frame from its seed instead of animating. `pause` / `resume` events fire
+ * when the loop stops or starts; `event.detail.reason` says why it stopped
+ * ("user", "hidden", "offscreen" or "reduced-motion").
+ *
+ * Touch:
+ * Touch listeners are passive, so the page always scrolls. Each finger is
+ * tracked on its own and locks to an axis once it has moved a little:
+ * horizontal drags bend the waves around that finger, vertical ones are
+ * left to scrolling. A quick tap sends a ripple out through the springs.
+ *
+ * Loading:
+ * An ES module that imports ./noise.js; load it with
+ * <script type="module" src="js/waves.js">. Importing it registers
+ * <a-waves> once.
  */
 
-class AWaves extends HTMLElement {
+import { Noise } from './noise.js';
+
+/**
+ * Attribute name -> [property name, default value, type]
+ * A missing or unparsable attribute falls back to the default.
+ */
+const WAVE_ATTRIBUTES = {
+  'x-gap':           ['xGap', 12, 'number'],                // Horizontal spacing between lines
+  'y-gap':           ['yGap', 36, 'number'],                // Vertical spacing between points on each line
+  'amplitude':       ['amplitude', 1, 'number'],            // Scales both wave displacements
+  'amplitude-x':     ['amplitudeX', 28, 'number'],          // Horizontal wave displacement
+  'amplitude-y':     ['amplitudeY', 14, 'number'],          // Vertical wave displacement
+  'turbulence':      ['turbulence', 12, 'number'],          // Noise -> angle multiplier (how much lines curl)
+  'speed':           ['speed', 1, 'number'],                // How fast the noise field evolves
+  'tension':         ['tension', 0.004, 'number'],          // Spring pulling points back to rest
+  'friction':        ['friction', 0.92, 'number'],          // Velocity kept per frame (0-1)
+  'mouse-radius':    ['mouseRadius', 175, 'number'],        // Minimum cursor influence radius
+  'stroke-color':    ['strokeColor', '#00f0ff', 'string'],
+  'stroke-width':    ['strokeWidth', 1, 'number'],
+  'seed':            ['seed', null, 'string'],              // Fixed noise seed (number or text); random when unset
+  'ripple-strength': ['rippleStrength', 1, 'number'],       // Tap ripple impulse (0 disables)
+  'renderer':        ['renderer', 'canvas', 'string'],      // "canvas" or "svg"
+  'quality':         ['quality', 'auto', 'string'],         // "auto", or a fixed level name below
+};
+
+/**
+ * Quality levels, best first. Slipping frames first coarsen the grid
+ * (fewer points to move and draw), then halve the tick rate.
+ */
+const QUALITY_LEVELS = [
+  { name: 'high',   gapScale: 1,   frameSkip: 1 },
+  { name: 'medium', gapScale: 1.5, frameSkip: 1 },
+  { name: 'low',    gapScale: 1.5, frameSkip: 2 },
+  { name: 'lowest', gapScale: 2,   frameSkip: 2 },
+];
+
+// Average frame times (ms) that count as slipping / comfortably on time
+const SLOW_FRAME = 22;   // ~45fps
+const FAST_FRAME = 18;   // ~55fps
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Touch gestures
+const TOUCH_SLOP = 10;       // Movement (px) before a touch picks an axis
+const TAP_TIME = 250;        // Longest press (ms) that still counts as a tap
+
+// Tap ripples: a ring that pushes points outwards as it passes them
+const RIPPLE_SPEED = 0.5;    // Ring growth, px per ms
+const RIPPLE_WIDTH = 60;     // Thickness of the ring
+const RIPPLE_REACH = 500;    // Radius at which it has faded out
+const RIPPLE_FORCE = 0.35;   // Impulse at full strength
+
+/**
+ * Pointer state for a finger, shaped like the mouse state
+ */
+function createPointer(x, y) {
+  return { x, y, lx: x, ly: y, sx: x, sy: y, v: 0, vs: 0, a: 0, set: true };
+}
+
+/**
+ * Adaptive quality - picks a level from the measured frame times
+ */
+class QualityController {
+  constructor(level) {
+    this.level = level;
+    this.average = 1000 / 60;   // Smoothed frame time
+    this.slow = 0;              // Time spent slipping
+    this.fast = 0;              // Time spent on time
+    this.recovery = 5000;       // On-time stretch needed to step back up
+    this.probation = 0;         // Time left to prove the last step up
+  }
+
+  /**
+   * Feed one frame's duration; returns true when the level changed
+   */
+  sample(dt) {
+    // Ignore gaps from background tabs and long pauses
+    if (dt <= 0 || dt > 250) return false;
+
+    this.average += (dt - this.average) * 0.1;
+    this.probation -= dt;
+    if (this.average > SLOW_FRAME) {
+      this.slow += dt;
+      this.fast = 0;
+    } else if (this.average < FAST_FRAME) {
+      this.fast += dt;
+      this.slow = 0;
+    } else {
+      this.slow = 0;
+      this.fast = 0;
+    }
+
+    // Drop after a second of slipping; climb back after a calm stretch,
+    // which doubles each time a step up fails soon after, so it doesn't flap
+    if (this.slow > 1000 && this.level < QUALITY_LEVELS.length - 1) {
+      this.recovery = this.probation > 0 ? Math.min(60000, this.recovery * 2) : 5000;
+      return this.setLevel(this.level + 1);
+    }
+    if (this.fast > this.recovery && this.level > 0) {
+      this.probation = 10000;
+      return this.setLevel(this.level - 1);
+    }
+    return false;
+  }
+
+  setLevel(level) {
+    const changed = level !== this.level;
+    this.level = level;
+    this.average = 1000 / 60;
+    this.slow = 0;
+    this.fast = 0;
+    return changed;
+  }
+}
+
+/**
+ * SVG renderer - one <path> per line
+ * The fallback: every frame rewrites each path's `d`, which is 100+ DOM
+ * writes on a wide screen
+ */
+class SvgRenderer {
+  constructor(host) {
+    // Reuse the markup's <svg class="js-svg">, or make one
+    this.svg = host.querySelector('.js-svg');
+    this.ownsSvg = !this.svg;
+    if (this.ownsSvg) {
+      this.svg = document.createElementNS(SVG_NS, 'svg');
+      this.svg.classList.add('js-svg');
+      host.appendChild(this.svg);
+    }
+    this.svg.style.display = '';
+    this.paths = [];
+  }
+
+  resize(width, height) {
+    this.svg.style.width = `${width}px`;
+    this.svg.style.height = `${height}px`;
+  }
+
+  setLineCount(count) {
+    this.paths.forEach((path) => path.remove());
+    this.paths = [];
+
+    for (let i = 0; i < count; i++) {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.classList.add('a__line');
+      path.classList.add('js-line');
+
+      this.svg.appendChild(path);
+      this.paths.push(path);
+    }
+  }
+
+  /**
+   * Stroke the lines from the SVG so every path inherits it
+   */
+  setStroke(color, width) {
+    this.svg.setAttribute('fill', 'none');
+    this.svg.setAttribute('stroke', color);
+    this.svg.setAttribute('stroke-width', width);
+  }
+
+  /**
+   * Generate SVG path strings and update DOM
+   */
+  draw(lines, moved) {
+    const { paths } = this;
+
+    lines.forEach((points, lIndex) => {
+      let p1 = moved(points[0], false);
+      
+      // Start path at first point
+      let d = `M ${p1.x} ${p1.y}`;
+
+      // Draw line through all points
+      points.forEach((point, pIndex) => {
+        const isLast = pIndex === points.length - 1;
+        
+        // Get moved position (no cursor effect on last point for smooth ending)
+        p1 = moved(point, !isLast);
+        
+        // Simple line segments (L command)
+        // Could use Q (quadratic curves) for smoother lines but lower performance
+        d += `L ${p1.x} ${p1.y}`;
+      });
+
+      // Update the path element
+      paths[lIndex].setAttribute('d', d);
+    });
+  }
+
+  destroy() {
+    this.paths.forEach((path) => path.remove());
+    this.paths = [];
+    if (this.ownsSvg) this.svg.remove();
+    else this.svg.style.display = 'none';
+  }
+}
+
+/**
+ * Canvas renderer - every line in a single path, stroked once per frame
+ */
+class CanvasRenderer {
+  constructor(host) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.classList.add('js-canvas');
+    this.canvas.style.display = 'block';
+    this.ctx = this.canvas.getContext('2d');
+    if (this.ctx) host.appendChild(this.canvas);
+
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+    this.strokeStyle = '#00f0ff';
+    this.lineWidth = 1;
+  }
+
+  resize(width, height) {
+    // Back the canvas at device resolution (capped at 2x) for crisp lines
+    this.dpr = Math.min(2, window.devicePixelRatio || 1);
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.round(width * this.dpr);
+    this.canvas.height = Math.round(height * this.dpr);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+  }
+
+  setLineCount() {
+    // Nothing to create; lines are plain path segments
+  }
+
+  /**
+   * Resolve the color through CSS so `currentColor` and `var(--accent)`
+   * work like they do on the SVG
+   */
+  setStroke(color, width) {
+    this.canvas.style.color = color;
+    this.strokeStyle = getComputedStyle(this.canvas).color || color;
+    this.lineWidth = width;
+  }
+
+  draw(lines, moved) {
+    const { ctx, dpr } = this;
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.beginPath();
+
+    // Same geometry as the SVG paths: start without the cursor offset,
+    // then run through every point (the last one without it again)
+    lines.forEach((points) => {
+      let p1 = moved(points[0], false);
+      ctx.moveTo(p1.x, p1.y);
+
+      points.forEach((point, pIndex) => {
+        p1 = moved(point, pIndex !== points.length - 1);
+        ctx.lineTo(p1.x, p1.y);
+      });
+    });
+
+    ctx.strokeStyle = this.strokeStyle;
+    ctx.lineWidth = this.lineWidth;
+    ctx.stroke();
+  }
+
+  destroy() {
+    this.canvas.remove();
+  }
+}
+
+export class AWaves extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(WAVE_ATTRIBUTES);
+  }
+
+  constructor() {
+    super();
+
+    // Current configuration, kept in sync with the attributes
+    this.config = {};
+    for (const [prop, fallback] of Object.values(WAVE_ATTRIBUTES)) {
+      this.config[prop] = fallback;
+    }
+
+    // Pause state; pause() may be called before the element is connected
+    this.pausedByUser = false;
+    this.offscreen = false;
+    this.reducedMotion = false;
+    this.animationFrame = null;
+
+    // Bind methods once so listeners can be removed again
+    this.tick = this.tick.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onTouchEnd = this.onTouchEnd.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    this.onMotionChange = this.onMotionChange.bind(this);
+    this.onIntersect = this.onIntersect.bind(this);
+  }
+
+  /**
+   * Parse an attribute into its config value
+   */
+  parseAttribute(name, value) {
+    const [, fallback, type] = WAVE_ATTRIBUTES[name];
+    if (value === null) return fallback;
+    if (type === 'string') return value;
+
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  /**
+   * Apply an attribute change live
+   */
+  attributeChangedCallback(name, oldValue, value) {
+    const [prop] = WAVE_ATTRIBUTES[name];
+    this.config[prop] = this.parseAttribute(name, value);
+
+    // Nothing else to update until the element is running
+    if (!this.backend) return;
+
+    switch (prop) {
+      case 'xGap':
+      case 'yGap':
+        this.setLines();
+        break;
+      case 'seed':
+        this.noise = this.createNoise();
+        break;
+      case 'strokeColor':
+      case 'strokeWidth':
+        this.applyStroke();
+        break;
+      case 'renderer':
+        this.backend.destroy();
+        this.backend = this.createRenderer();
+        this.applyStroke();
+        this.setSize();
+        this.setLines();
+        break;
+      case 'quality':
+        this.setQualityLevel(this.initialQualityLevel());
+        break;
+    }
+
+    // A stopped loop won't pick the change up by itself
+    if (this.paused) this.drawFrame();
+  }
+
+  /**
+   * Canvas unless SVG is asked for or there's no 2D context
+   */
+  createRenderer() {
+    if (this.config.renderer !== 'svg') {
+      const canvas = new CanvasRenderer(this);
+      if (canvas.ctx) {
+        // Keep the markup's <svg> around for a later switch back
+        const svg = this.querySelector('.js-svg');
+        if (svg) svg.style.display = 'none';
+        return canvas;
+      }
+    }
+    return new SvgRenderer(this);
+  }
+
+  /**
+   * Level to start from: the fixed one, or a guess from the hardware
+   */
+  initialQualityLevel() {
+    const fixed = QUALITY_LEVELS.findIndex((q) => q.name === this.config.quality);
+    if (fixed !== -1) return fixed;
+
+    // Same low-end check main.js uses for its `low-performance` class
+    const lowEnd = navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2;
+    return lowEnd ? 2 : 0;
+  }
+
+  /**
+   * Switch quality level
+   */
+  setQualityLevel(level) {
+    if (this.qualityController.setLevel(level)) this.onQualityChange();
+  }
+
+  /**
+   * Rebuild the grid for the new level's spacing and announce it
+   */
+  onQualityChange() {
+    const { name } = QUALITY_LEVELS[this.qualityController.level];
+    this.setLines();
+    this.dispatchEvent(new CustomEvent('qualitychange', {
+      detail: { quality: name },
+    }));
+  }
+
+  /**
+   * Create the noise generator for the configured (or a random) seed
+   */
+  createNoise() {
+    const { seed } = this.config;
+    return new Noise(seed === null ? Math.random() : seed);
+  }
+
+  /**
+   * Pass the configured stroke to the renderer
+   */
+  applyStroke() {
+    this.backend.setStroke(this.config.strokeColor, this.config.strokeWidth);
+  }
+
   /**
    * Initialize when element is connected to DOM
    */
   connectedCallback() {
-    // Get the SVG element
-    this.svg = this.querySelector('.js-svg');
-    if (!this.svg) return;
+    // Properties set before the element was defined sit on the instance
+    // and hide the accessors; re-set them so they reach the attributes
+    for (const [prop] of Object.values(WAVE_ATTRIBUTES)) {
+      if (!Object.prototype.hasOwnProperty.call(this, prop)) continue;
+      const value = this[prop];
+      delete this[prop];
+      this[prop] = value;
+    }
 
     // Mouse state tracking
     this.mouse = {
@@ -37,24 +493,35 @@ class AWaves extends HTMLElement {
       set: false,       // Has mouse been set
     };
 
-    // Arrays to hold line data
+    // Active touches by identifier, and tap ripples in flight
+    this.touches = new Map();
+    this.ripples = [];
+
+    // Array to hold line data
     this.lines = [];
-    this.paths = [];
     
     // Create noise generator for organic motion
-    this.noise = new Noise(Math.random());
+    this.noise = this.createNoise();
     
     // Animation state
-    this.isVisible = true;
-    this.animationFrame = null;
+    this.lastTime = null;   // Timestamp of the previous frame
+    this.elapsed = 0;       // Animation clock, advanced at `speed`
+    this.frame = 0;         // Frame counter, for skipping ticks
+
+    // Rendering backend and adaptive quality
+    this.backend = this.createRenderer();
+    this.qualityController = new QualityController(this.initialQualityLevel());
 
     // Initialize
+    this.applyStroke();
     this.setSize();
     this.setLines();
     this.bindEvents();
-    
-    // Start the animation loop
-    this.tick(0);
+
+    // Draw the first frame right away (it's all there is with reduced
+    // motion), then start the animation loop unless something pauses it
+    this.drawFrame();
+    this.updateLoop(false);
   }
 
   /**
@@ -63,29 +530,64 @@ class AWaves extends HTMLElement {
   disconnectedCallback() {
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
     }
     window.removeEventListener('resize', this.onResize);
     window.removeEventListener('mousemove', this.onMouseMove);
-    this.removeEventListener('touchmove', this.onTouchMove);
+    window.removeEventListener('touchstart', this.onTouchStart);
+    window.removeEventListener('touchmove', this.onTouchMove);
+    window.removeEventListener('touchend', this.onTouchEnd);
+    window.removeEventListener('touchcancel', this.onTouchEnd);
+    this.touches.clear();
+    this.ripples = [];
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+
+    if (this.motionQuery) {
+      this.motionQuery.removeEventListener('change', this.onMotionChange);
+      this.motionQuery = null;
+    }
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.backend) {
+      this.backend.destroy();
+      this.backend = null;
+    }
   }
 
   /**
    * Bind all event listeners
    */
   bindEvents() {
-    // Bind methods to preserve context
-    this.onResize = this.onResize.bind(this);
-    this.onMouseMove = this.onMouseMove.bind(this);
-    this.onTouchMove = this.onTouchMove.bind(this);
-    
     window.addEventListener('resize', this.onResize);
     window.addEventListener('mousemove', this.onMouseMove);
-    this.addEventListener('touchmove', this.onTouchMove, { passive: false });
+
+    // Touches are read from the window like the mouse (the background
+    // usually has pointer-events: none) and never block scrolling
+    const passive = { passive: true };
+    window.addEventListener('touchstart', this.onTouchStart, passive);
+    window.addEventListener('touchmove', this.onTouchMove, passive);
+    window.addEventListener('touchend', this.onTouchEnd, passive);
+    window.addEventListener('touchcancel', this.onTouchEnd, passive);
     
     // Visibility API for performance
-    document.addEventListener('visibilitychange', () => {
-      this.isVisible = !document.hidden;
-    });
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+    // Stop animating while scrolled out of view
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver(this.onIntersect);
+      this.observer.observe(this);
+    }
+
+    // Reduced motion: a static frame instead of the animation
+    this.motionQuery = window.matchMedia
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+    if (this.motionQuery) {
+      this.reducedMotion = this.motionQuery.matches;
+      this.motionQuery.addEventListener('change', this.onMotionChange);
+    }
   }
 
   /**
@@ -94,32 +596,188 @@ class AWaves extends HTMLElement {
   onResize() {
     this.setSize();
     this.setLines();
+    if (this.paused) this.drawFrame();
+  }
+
+  /**
+   * Handle the tab being hidden or shown
+   */
+  onVisibilityChange() {
+    this.updateLoop();
+  }
+
+  /**
+   * Handle the element entering or leaving the viewport
+   */
+  onIntersect(entries) {
+    this.offscreen = !entries[entries.length - 1].isIntersecting;
+    this.updateLoop();
+  }
+
+  /**
+   * Handle the reduced-motion preference changing
+   */
+  onMotionChange(e) {
+    this.reducedMotion = e.matches;
+    this.updateLoop();
+  }
+
+  /**
+   * Why the animation is stopped, or null while it runs
+   */
+  get pauseReason() {
+    if (this.reducedMotion) return 'reduced-motion';
+    if (this.pausedByUser) return 'user';
+    if (document.hidden) return 'hidden';
+    if (this.offscreen) return 'offscreen';
+    return null;
+  }
+
+  get paused() {
+    return this.pauseReason !== null;
+  }
+
+  /**
+   * Stop the animation until resume()
+   */
+  pause() {
+    this.pausedByUser = true;
+    this.updateLoop();
+  }
+
+  /**
+   * Undo pause(); the animation still waits while hidden, off screen or
+   * with reduced motion
+   */
+  resume() {
+    this.pausedByUser = false;
+    this.updateLoop();
+  }
+
+  /**
+   * Start or stop the loop to match the pause state
+   */
+  updateLoop(announce = true) {
+    if (!this.backend) return;
+
+    const reason = this.pauseReason;
+    const running = this.animationFrame !== null;
+
+    if (reason === null && !running) {
+      // Don't count the pause as elapsed time
+      this.lastTime = null;
+      this.animationFrame = requestAnimationFrame(this.tick);
+      if (announce) this.dispatchEvent(new CustomEvent('resume'));
+    } else if (reason !== null && running) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+      if (announce) {
+        this.dispatchEvent(new CustomEvent('pause', { detail: { reason } }));
+      }
+    }
   }
 
   /**
    * Handle mouse movement
    */
   onMouseMove(e) {
-    this.updateMousePosition(e.pageX, e.pageY);
+    this.updateMousePosition(e.clientX, e.clientY);
+  }
+
+  /**
+   * Start tracking new fingers
+   */
+  onTouchStart(e) {
+    const rect = this.getBoundingClientRect();
+
+    for (const t of e.changedTouches) {
+      const touch = createPointer(t.clientX - rect.left, t.clientY - rect.top);
+      touch.startX = touch.x;
+      touch.startY = touch.y;
+      touch.startTime = e.timeStamp;
+      touch.axis = null;    // 'x' bends the waves, 'y' is a scroll
+      this.touches.set(t.identifier, touch);
+    }
   }
 
   /**
-   * Handle touch movement
+   * Follow moving fingers and lock each to an axis once it's clear
    */
   onTouchMove(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    this.updateMousePosition(touch.clientX, touch.clientY);
+    const rect = this.getBoundingClientRect();
+
+    for (const t of e.changedTouches) {
+      const touch = this.touches.get(t.identifier);
+      if (!touch) continue;
+
+      touch.x = t.clientX - rect.left;
+      touch.y = t.clientY - rect.top;
+
+      if (!touch.axis) {
+        const dx = touch.x - touch.startX;
+        const dy = touch.y - touch.startY;
+        if (Math.hypot(dx, dy) > TOUCH_SLOP) {
+          touch.axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y';
+        }
+      }
+    }
   }
 
   /**
-   * Update internal mouse position
+   * Drop lifted fingers; a short touch that barely moved is a tap
+   */
+  onTouchEnd(e) {
+    for (const t of e.changedTouches) {
+      const touch = this.touches.get(t.identifier);
+      if (!touch) continue;
+      this.touches.delete(t.identifier);
+
+      const isTap = e.type === 'touchend' && !touch.axis
+        && e.timeStamp - touch.startTime < TAP_TIME;
+      if (isTap) this.addRipple(touch.x, touch.y);
+    }
+  }
+
+  /**
+   * Send a ripple out from a point
+   */
+  addRipple(x, y) {
+    if (this.config.rippleStrength <= 0 || this.paused) return;
+    this.ripples.push({ x, y, radius: 0 });
+  }
+
+  /**
+   * Grow the ripples and drop the ones that have faded out
+   */
+  updateRipples(dt) {
+    for (const ripple of this.ripples) {
+      ripple.radius += RIPPLE_SPEED * dt;
+    }
+    this.ripples = this.ripples.filter((ripple) => ripple.radius < RIPPLE_REACH);
+  }
+
+  /**
+   * Pointers bending the waves: the mouse, plus fingers dragging sideways
+   */
+  activePointers() {
+    const pointers = [this.mouse];
+    for (const touch of this.touches.values()) {
+      if (touch.axis === 'x') pointers.push(touch);
+    }
+    return pointers;
+  }
+
+  /**
+   * Update internal mouse position from viewport (client) coordinates
    */
   updateMousePosition(x, y) {
     const { mouse } = this;
 
-    mouse.x = x - this.bounding.left;
-    mouse.y = y - this.bounding.top + window.scrollY;
+    // Measure now rather than at resize: the element may scroll with the
+    // page (e.g. a hero background) instead of being fixed behind it
+    const rect = this.getBoundingClientRect();
+    mouse.x = x - rect.left;
+    mouse.y = y - rect.top;
 
     // Initialize smoothed position on first movement
     if (!mouse.set) {
@@ -132,30 +790,30 @@ class AWaves extends HTMLElement {
   }
 
   /**
-   * Set SVG dimensions to match container
+   * Size the drawing surface to match container
    */
   setSize() {
     this.bounding = this.getBoundingClientRect();
-    this.svg.style.width = `${this.bounding.width}px`;
-    this.svg.style.height = `${this.bounding.height}px`;
+    this.backend.resize(this.bounding.width, this.bounding.height);
   }
 
   /**
-   * Generate the grid of points and create SVG paths
+   * Generate the grid of points and prepare the renderer for it
    */
   setLines() {
     const { width, height } = this.bounding;
+    const { gapScale } = QUALITY_LEVELS[this.qualityController.level];
     
     // Clear existing data
     this.lines = [];
-    this.paths.forEach((path) => path.remove());
-    this.paths = [];
 
-    // Grid configuration
+    // Grid configuration (x-gap / y-gap attributes)
     // xGap: horizontal spacing between lines
     // yGap: vertical spacing between points on each line
-    const xGap = 12;  // Slightly wider for performance
-    const yGap = 36;  // Taller gaps for smoother appearance
+    // Guard against zero or negative gaps, which would never finish;
+    // lower quality levels spread the grid out
+    const xGap = Math.max(2, this.config.xGap) * gapScale;
+    const yGap = Math.max(2, this.config.yGap) * gapScale;
 
     // Add padding to ensure lines extend beyond viewport
     const oWidth = width + 200;
@@ -184,67 +842,85 @@ class AWaves extends HTMLElement {
         points.push(point);
       }
 
-      // Create SVG path element for this line
-      const path = document.createElementNS(
-        'http://www.w3.org/2000/svg',
-        'path'
-      );
-      path.classList.add('a__line');
-      path.classList.add('js-line');
-
-      this.svg.appendChild(path);
-      this.paths.push(path);
       this.lines.push(points);
     }
+
+    this.backend.setLineCount(this.lines.length);
   }
 
   /**
    * Update point positions based on noise and mouse
    */
   movePoints(time) {
-    const { lines, mouse, noise } = this;
+    const { lines, noise, config, ripples } = this;
+    const amplitudeX = config.amplitudeX * config.amplitude;
+    const amplitudeY = config.amplitudeY * config.amplitude;
+    const pointers = this.activePointers();
 
     lines.forEach((points) => {
       points.forEach((p) => {
         // === WAVE MOVEMENT ===
-        // Use Perlin noise for organic, flowing motion
+        // Use Perlin noise for organic, flowing motion; time is the third
+        // axis, so the field evolves in place instead of sliding sideways
         // The multipliers control the speed and scale of the noise
-        const noiseValue = noise.perlin2(
-          (p.x + time * 0.015) * 0.002,   // X-axis noise, slow horizontal drift
-          (p.y + time * 0.008) * 0.002    // Y-axis noise, slower vertical drift
-        ) * 12;  // Amplitude of the wave
+        const noiseValue = noise.perlin3(
+          p.x * 0.002,        // X-axis noise scale
+          p.y * 0.002,        // Y-axis noise scale
+          time * 0.00004      // Evolution over time
+        ) * config.turbulence;  // How far the noise turns each point
 
         // Convert noise to circular motion
-        p.wave.x = Math.cos(noiseValue) * 28;  // Horizontal displacement
-        p.wave.y = Math.sin(noiseValue) * 14;  // Vertical displacement
-
-        // === MOUSE INFLUENCE ===
-        // Calculate distance from mouse to point
-        const dx = p.x - mouse.sx;
-        const dy = p.y - mouse.sy;
-        const d = Math.hypot(dx, dy);
-        
-        // Influence radius scales with mouse velocity
-        const l = Math.max(175, mouse.vs);
+        p.wave.x = Math.cos(noiseValue) * amplitudeX;  // Horizontal displacement
+        p.wave.y = Math.sin(noiseValue) * amplitudeY;  // Vertical displacement
+
+        // === POINTER INFLUENCE ===
+        // The mouse and every dragging finger push points independently
+        for (const pointer of pointers) {
+          // Calculate distance from pointer to point
+          const dx = p.x - pointer.sx;
+          const dy = p.y - pointer.sy;
+          const d = Math.hypot(dx, dy);
+          
+          // Influence radius scales with pointer velocity
+          const l = Math.max(config.mouseRadius, pointer.vs);
 
-        if (d < l) {
-          // Point is within influence radius
-          const s = 1 - d / l;  // Strength (1 at center, 0 at edge)
-          const f = Math.cos(d * 0.001) * s;  // Falloff with cosine smoothing
+          if (d < l) {
+            // Point is within influence radius
+            const s = 1 - d / l;  // Strength (1 at center, 0 at edge)
+            const f = Math.cos(d * 0.001) * s;  // Falloff with cosine smoothing
 
-          // Add velocity based on mouse direction and speed
-          p.cursor.vx += Math.cos(mouse.a) * f * l * mouse.vs * 0.0006;
-          p.cursor.vy += Math.sin(mouse.a) * f * l * mouse.vs * 0.0006;
+            // Add velocity based on pointer direction and speed
+            p.cursor.vx += Math.cos(pointer.a) * f * l * pointer.vs * 0.0006;
+            p.cursor.vy += Math.sin(pointer.a) * f * l * pointer.vs * 0.0006;
+          }
+        }
+
+        // === RIPPLES ===
+        // Push points outwards while a ring passes over them; the springs
+        // below turn that into a travelling wave
+        for (const ripple of ripples) {
+          const dx = p.x - ripple.x;
+          const dy = p.y - ripple.y;
+          const d = Math.hypot(dx, dy);
+          const band = Math.abs(d - ripple.radius);
+
+          if (band < RIPPLE_WIDTH && d > 0) {
+            const fade = 1 - ripple.radius / RIPPLE_REACH;
+            const f = (1 - band / RIPPLE_WIDTH) * fade
+              * RIPPLE_FORCE * config.rippleStrength;
+            p.cursor.vx += (dx / d) * f;
+            p.cursor.vy += (dy / d) * f;
+          }
         }
 
         // === PHYSICS SIMULATION ===
         // Spring tension - pull back to origin
-        p.cursor.vx += (0 - p.cursor.x) * 0.004;
-        p.cursor.vy += (0 - p.cursor.y) * 0.004;
+        p.cursor.vx += (0 - p.cursor.x) * config.tension;
+        p.cursor.vy += (0 - p.cursor.y) * config.tension;
 
         // Friction - gradually slow down
-        p.cursor.vx *= 0.92;
-        p.cursor.vy *= 0.92;
+        p.cursor.vx *= config.friction;
+        p.cursor.vy *= config.friction;
 
         // Apply velocity
         p.cursor.x += p.cursor.vx * 2;
@@ -274,66 +950,82 @@ class AWaves extends HTMLElement {
   }
 
   /**
-   * Generate SVG path strings and update DOM
+   * Render one frame at the current clock without advancing it
+   */
+  drawFrame() {
+    this.movePoints(this.elapsed);
+    this.drawLines();
+  }
+
+  /**
+   * Draw the lines with the active renderer
    */
   drawLines() {
-    const { lines, paths } = this;
-    
-    lines.forEach((points, lIndex) => {
-      let p1 = this.moved(points[0], false);
-      
-      // Start path at first point
-      let d = `M ${p1.x} ${p1.y}`;
+    this.backend.draw(this.lines, this.moved);
+  }
 
-      // Draw line through all points
-      points.forEach((point, pIndex) => {
-        const isLast = pIndex === points.length - 1;
-        
-        // Get moved position (no cursor effect on last point for smooth ending)
-        p1 = this.moved(point, !isLast);
-        
-        // Simple line segments (L command)
-        // Could use Q (quadratic curves) for smoother lines but lower performance
-        d += `L ${p1.x} ${p1.y}`;
-      });
+  /**
+   * Smooth a pointer's position and measure its speed and direction
+   */
+  trackPointer(pointer) {
+    // === SMOOTH TRACKING ===
+    // Lerp towards actual pointer position for smooth following
+    pointer.sx += (pointer.x - pointer.sx) * 0.08;
+    pointer.sy += (pointer.y - pointer.sy) * 0.08;
 
-      // Update the path element
-      paths[lIndex].setAttribute('d', d);
-    });
+    // === CALCULATE VELOCITY ===
+    const dx = pointer.x - pointer.lx;
+    const dy = pointer.y - pointer.ly;
+    const d = Math.hypot(dx, dy);
+
+    pointer.v = d;
+    pointer.vs += (d - pointer.vs) * 0.1;
+    pointer.vs = Math.min(100, pointer.vs);  // Cap velocity
+
+    // Update last position
+    pointer.lx = pointer.x;
+    pointer.ly = pointer.y;
+
+    // Calculate movement angle
+    pointer.a = Math.atan2(dy, dx);
   }
 
   /**
    * Main animation loop
    */
   tick(time) {
-    // Skip animation when page is hidden (performance)
-    if (!this.isVisible) {
-      this.animationFrame = requestAnimationFrame(this.tick.bind(this));
+    // === ADVANCE CLOCK ===
+    // Accumulate scaled frame time rather than scaling `time` itself, so
+    // changing the speed doesn't make the waves jump (frames are capped at
+    // 100ms so returning to a background tab doesn't either)
+    const dt = this.lastTime === null ? 0 : time - this.lastTime;
+    this.lastTime = time;
+    this.elapsed += Math.min(dt, 100) * this.config.speed;
+
+    // === ADAPTIVE QUALITY ===
+    // Skipped frames are sampled too, so the controller sees what the
+    // device can actually sustain
+    const { qualityController } = this;
+    if (this.config.quality === 'auto' && qualityController.sample(dt)) {
+      this.onQualityChange();
+    }
+
+    // Lower levels only tick every other frame
+    const { frameSkip } = QUALITY_LEVELS[qualityController.level];
+    this.frame++;
+    if (this.frame % frameSkip !== 0) {
+      this.animationFrame = requestAnimationFrame(this.tick);
       return;
     }
 
     const { mouse } = this;
 
-    // === SMOOTH MOUSE TRACKING ===
-    // Lerp towards actual mouse position for smooth following
-    mouse.sx += (mouse.x - mouse.sx) * 0.08;
-    mouse.sy += (mouse.y - mouse.sy) * 0.08;
-
-    // === CALCULATE VELOCITY ===
-    const dx = mouse.x - mouse.lx;
-    const dy = mouse.y - mouse.ly;
-    const d = Math.hypot(dx, dy);
-
-    mouse.v = d;
-    mouse.vs += (d - mouse.vs) * 0.1;
-    mouse.vs = Math.min(100, mouse.vs);  // Cap velocity
-
-    // Update last position
-    mouse.lx = mouse.x;
-    mouse.ly = mouse.y;
-
-    // Calculate movement angle
-    mouse.a = Math.atan2(dy, dx);
+    // === TRACK POINTERS ===
+    this.trackPointer(mouse);
+    for (const touch of this.touches.values()) {
+      this.trackPointer(touch);
+    }
+    this.updateRipples(Math.min(dt, 100) * frameSkip);
 
     // === UPDATE CSS CUSTOM PROPERTIES ===
     // These can be used for the cursor dot position
@@ -341,13 +1033,35 @@ class AWaves extends HTMLElement {
     this.style.setProperty('--y', `${mouse.sy}px`);
 
     // === ANIMATE ===
-    this.movePoints(time);
+    this.movePoints(this.elapsed);
     this.drawLines();
     
     // Continue the loop
-    this.animationFrame = requestAnimationFrame(this.tick.bind(this));
+    this.animationFrame = requestAnimationFrame(this.tick);
   }
 }
 
-// Register the custom element
-customElements.define('a-waves', AWaves);
+// JS properties mirror the attributes: `waves.xGap = 16` sets x-gap="16",
+// and `waves.seed = null` removes the attribute again
+for (const [name, [prop]] of Object.entries(WAVE_ATTRIBUTES)) {
+  Object.defineProperty(AWaves.prototype, prop, {
+    get() {
+      return this.config[prop];
+    },
+    set(value) {
+      if (value === null || value === undefined) {
+        this.removeAttribute(name);
+      } else {
+        this.setAttribute(name, String(value));
+      }
+    },
+    configurable: true,
+    enumerable: true,
+  });
+}
+
+// Register the custom element (bundlers may evaluate the module again on
+// hot reload, and a tag can only be defined once)
+if (!customElements.get('a-waves')) {
+  customElements.define('a-waves', AWaves);
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env python3
+"""
+Fetches recent public activity from the GitHub events API (no token needed)
+and writes data/contribution-details.json: per day, which repositories got
+commits, pull requests, issues and reviews. GitHub only serves the last 90
+days of events, so new days are merged into the existing file to build up
+history over time. The file is only rewritten when a day changed, and a failed
+fetch exits non-zero without touching it.
+"""
+import json
+import os
+import sys
+from datetime import datetime
+from zoneinfo import ZoneInfo
+
+import requests
+
+USERNAME = os.environ.get("GH_USERNAME", "avanishkasar")
+TIMEZONE = ZoneInfo(os.environ.get("GH_TIMEZONE", "UTC"))
+URL = f"https://api.github.com/users/{USERNAME}/events/public"
+OUT_PATH = os.path.join(
+    os.path.dirname(__file__), "..", "data", "contribution-details.json"
+)
+
+
+def fetch_events():
+    headers = {
+        "User-Agent": "Mozilla/5.0 (profile-readme-bot)",
+        "Accept": "application/vnd.github+json",
+    }
+    events = []
+    for page in range(1, 4):
+        resp = requests.get(
+            URL, headers=headers, params={"per_page": 100, "page": page}, timeout=20
+        )
+        resp.raise_for_status()
+        batch = resp.json()
+        events.extend(batch)
+        if len(batch) < 100:
+            break
+    return events
+
+
+def group_by_day(events):
+    days = {}
+    for event in events:
+        created = datetime.fromisoformat(event["created_at"].replace("Z", "+00:00"))
+        date = created.astimezone(TIMEZONE).date().isoformat()
+        name = event["repo"]["name"]
+        payload = event.get("payload") or {}
+        opened = payload.get("action") == "opened"
+
+        if event["type"] == "PushEvent":
+            key, amount = "commits", payload.get("size", len(payload.get("commits") or []))
+        elif event["type"] == "PullRequestEvent" and opened:
+            key, amount = "pullRequests", 1
+        elif event["type"] == "IssuesEvent" and opened:
+            key, amount = "issues", 1
+        elif event["type"] == "PullRequestReviewEvent":
+            key, amount = "reviews", 1
+        else:
+            continue
+
+        repos = days.setdefault(date, {})
+        activity = repos.setdefault(
+            name, {"repository": name, "url": f"https://github.com/{name}"}
+        )
+        activity[key] = activity.get(key, 0) + amount
+
+    return {date: list(repos.values()) for date, repos in days.items()}
+
+
+def load_existing():
+    try:
+        with open(OUT_PATH) as f:
+            return json.load(f)
+    except (OSError, ValueError):
+        return {}
+
+
+def main():
+    try:
+        fresh = group_by_day(fetch_events())
+    except Exception as e:
+        # Leave the committed snapshot alone rather than writing a stale copy
+        print(f"fetch failed: {e}", file=sys.stderr)
+        sys.exit(1)
+
+    # Days still inside the events window are replaced wholesale; older days
+    # keep whatever an earlier run recorded
+    existing = load_existing()
+    old_days = existing.get("days", {})
+    days = dict(sorted({**old_days, **fresh}.items()))
+    if days == old_days and existing.get("username") == USERNAME:
+        print(f"{OUT_PATH} unchanged: {len(days)} days")
+        return
+
+    payload = {
+        "username": USERNAME,
+        "days": days,
+        "generated_at": datetime.utcnow().isoformat() + "Z",
+    }
+
+    os.makedirs(os.path.dirname(OUT_PATH), exist_ok=True)
+    with open(OUT_PATH, "w") as f:
+        json.dump(payload, f, indent=2)
+
+    print(f"wrote {OUT_PATH}: {len(days)} days ({len(fresh)} refreshed)")
+
+
+if __name__ == "__main__":
+    main()
@@ -10,7 +10,9 @@ import GithubSection from './components/GithubSection';
 import Projects from './components/Projects';
 import Contact from './components/Contact';
 import Footer from './components/Footer';
+import ProjectPage from './components/ProjectPage';
 import { Dock } from './components/ui/dock';
+import { matchProjectPath, usePathname, useRouteScroll } from './lib/router';
 
 const dockItems = [
   {
@@ -18,21 +20,21 @@ const dockItems = [
     icon: (
       <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="m3 9 9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>
     ),
-    href: '#home'
+    href: '/#home'
   },
   {
     title: 'About',
     icon: (
       <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>
     ),
-    href: '#about'
+    href: '/#about'
   },
   {
     title: 'Work',
     icon: (
       <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>
     ),
-    href: '#projects'
+    href: '/#projects'
   },
   {
     title: 'GitHub',
@@ -46,12 +48,16 @@ const dockItems = [
     icon: (
       <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/></svg>
     ),
-    href: '#contact'
+    href: '/#contact'
   }
 ];
 
 function App() {
-  // Intersection Observer for scroll animations
+  const pathname = usePathname();
+  const projectSlug = matchProjectPath(pathname);
+  useRouteScroll(pathname);
+
+  // Intersection Observer for scroll animations, re-run for each page
   useEffect(() => {
     const observerOptions = {
       root: null,
@@ -72,7 +78,7 @@ function App() {
     revealElements.forEach(el => observer.observe(el));
 
     return () => observer.disconnect();
-  }, []);
+  }, [pathname]);
 
   return (
     <>
@@ -81,13 +87,19 @@ function App() {
       <Preloader />
       <Nav />
       <main>
-        <Hero />
-        <MarqueeSection />
-        <About />
-        <Experience />
-        <GithubSection />
-        <Projects />
-        <Contact />
+        {projectSlug !== null ? (
+          <ProjectPage slug={projectSlug} />
+        ) : (
+          <>
+            <Hero />
+            <MarqueeSection />
+            <About />
+            <Experience />
+            <GithubSection />
+            <Projects />
+            <Contact />
+          </>
+        )}
       </main>
       <Footer />
       <div className="fixed bottom-6 left-0 right-0 z-50 flex justify-center pointer-events-none">
@@ -1,4 +1,5 @@
 import React from 'react';
+import { socials } from '@/content';
 
 export default function Contact() {
   return (
@@ -14,16 +15,15 @@ export default function Contact() {
             Currently looking for software engineering internships and open to exciting projects. If you want to talk about code, AI, or just say hi, my inbox is always open.
           </p>
 
-          <a href="mailto:avanishkasar57@gmail.com" className="contact-email" data-magnetic>
-            <span>avanishkasar57@gmail.com</span>
+          <a href={`mailto:${socials.email}`} className="contact-email" data-magnetic>
+            <span>{socials.email}</span>
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="7" y1="17" x2="17" y2="7"/><polyline points="7 7 17 7 17 17"/></svg>
           </a>
 
           <div className="contact-links">
-            <a href="https://github.com/avanishkasar" target="_blank" rel="noopener noreferrer" data-magnetic>GitHub</a>
-            <a href="https://www.linkedin.com/in/avanishkasar/" target="_blank" rel="noopener noreferrer" data-magnetic>LinkedIn</a>
-            <a href="https://x.com/only_avanish" target="_blank" rel="noopener noreferrer" data-magnetic>Twitter / X</a>
-            <a href="https://devfolio.co/@avanishkasar" target="_blank" rel="noopener noreferrer" data-magnetic>Devfolio</a>
+            {socials.profiles.map((profile) => (
+              <a key={profile.id} href={profile.url} target="_blank" rel="noopener noreferrer" data-magnetic>{profile.label}</a>
+            ))}
           </div>
         </div>
       </div>
@@ -30,20 +30,17 @@ export default function Cursor() {
     window.addEventListener('mousemove', onMouseMove);
     animateFollower();
 
-    const hoverElements = document.querySelectorAll('a, button, [data-magnetic]');
-    hoverElements.forEach(el => {
-      el.addEventListener('mouseenter', () => {
-        cursor.classList.add('hover');
-        cursorFollower.classList.add('hover');
-      });
-      el.addEventListener('mouseleave', () => {
-        cursor.classList.remove('hover');
-        cursorFollower.classList.remove('hover');
-      });
-    });
+    // Delegated, so links rendered later (other routes, opened panels) count too
+    const onMouseOver = (e: MouseEvent) => {
+      const hovering = (e.target as Element).closest?.('a, button, [data-magnetic]') != null;
+      cursor.classList.toggle('hover', hovering);
+      cursorFollower.classList.toggle('hover', hovering);
+    };
+    document.addEventListener('mouseover', onMouseOver);
 
     return () => {
       window.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseover', onMouseOver);
     };
   }, []);
 
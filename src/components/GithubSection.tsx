@@ -1,5 +1,48 @@
 import React from 'react';
-import GithubCalendar from './ui/retro-space-shooter-git-hub-calendar';
+import GithubCalendar, {
+  fallbackDetailsProvider,
+  fallbackProvider,
+  githubEventsDetailsProvider,
+  githubProvider,
+  snapshotDetailsProvider,
+  snapshotProvider,
+  type CalendarAnnotation,
+} from './ui/retro-space-shooter-git-hub-calendar';
+import contributionDetails from '../../data/contribution-details.json';
+
+// Live API first; the daily snapshot committed by the update-profile-art
+// workflow takes over when the API is down or rate-limited.
+const contributionsProvider = fallbackProvider(
+  githubProvider(),
+  snapshotProvider({
+    url: 'https://raw.githubusercontent.com/avanishkasar/avanishkasar/main/data/contributions.json',
+  }),
+);
+
+// Clicking a day lists the repositories behind it. The snapshot keeps history
+// beyond the ~90 days the public events API still serves; it's bundled (the
+// workflow commits it, so each deploy picks up the latest) and works offline.
+const detailsProvider = fallbackDetailsProvider(
+  snapshotDetailsProvider({ snapshot: contributionDetails }),
+  githubEventsDetailsProvider(),
+);
+
+// Events worth pointing at on the grid; each links to its Experience or
+// Projects entry (project anchors look like "#project-playlistify-ai").
+const annotations: CalendarAnnotation[] = [
+  {
+    date: '2025-05-01',
+    end: '2025-06-30',
+    title: 'Business Development Intern at Metvy',
+    kind: 'internship',
+    href: '#experience-metvy',
+  },
+  {
+    date: '2025-08-01',
+    title: 'Started leading GDG On Campus APSIT',
+    href: '#experience-gdg-apsit',
+  },
+];
 
 export default function GithubSection() {
   return (
@@ -13,8 +56,17 @@ export default function GithubSection() {
         <div className="w-full flex justify-center reveal-text border border-white/5 bg-[#0a0a0a] rounded-xl py-12 overflow-hidden shadow-[inset_0_0_100px_rgba(0,240,255,0.02)]">
           <GithubCalendar 
             username="avanishkasar" 
+            provider={contributionsProvider}
             cellSize={16} 
             cellGap={4} 
+            theme="neon"
+            colorScheme="dark"
+            showAnalytics
+            showDataTable
+            showExport
+            showReplay
+            annotations={annotations}
+            detailsProvider={detailsProvider}
           />
         </div>
       </div>
@@ -1,36 +1,17 @@
 import React from 'react';
+import { skills } from '@/content';
 
 export default function MarqueeSection() {
   return (
     <section className="marquee-section" aria-hidden="true">
       <div className="marquee">
         <div className="marquee-inner">
-          <span>PYTHON</span><span className="marquee-dot">&bull;</span>
-          <span>REACT</span><span className="marquee-dot">&bull;</span>
-          <span>NODE.JS</span><span className="marquee-dot">&bull;</span>
-          <span>TYPESCRIPT</span><span className="marquee-dot">&bull;</span>
-          <span>KOTLIN</span><span className="marquee-dot">&bull;</span>
-          <span>GOOGLE CLOUD</span><span className="marquee-dot">&bull;</span>
-          <span>FIREBASE</span><span className="marquee-dot">&bull;</span>
-          <span>GEMINI AI</span><span className="marquee-dot">&bull;</span>
-          <span>JAVA</span><span className="marquee-dot">&bull;</span>
-          <span>C++</span><span className="marquee-dot">&bull;</span>
-          <span>ARCORE</span><span className="marquee-dot">&bull;</span>
-          <span>ML / AI</span><span className="marquee-dot">&bull;</span>
-          <span>GIT</span><span className="marquee-dot">&bull;</span>
-          <span>PYTHON</span><span className="marquee-dot">&bull;</span>
-          <span>REACT</span><span className="marquee-dot">&bull;</span>
-          <span>NODE.JS</span><span className="marquee-dot">&bull;</span>
-          <span>TYPESCRIPT</span><span className="marquee-dot">&bull;</span>
-          <span>KOTLIN</span><span className="marquee-dot">&bull;</span>
-          <span>GOOGLE CLOUD</span><span className="marquee-dot">&bull;</span>
-          <span>FIREBASE</span><span className="marquee-dot">&bull;</span>
-          <span>GEMINI AI</span><span className="marquee-dot">&bull;</span>
-          <span>JAVA</span><span className="marquee-dot">&bull;</span>
-          <span>C++</span><span className="marquee-dot">&bull;</span>
-          <span>ARCORE</span><span className="marquee-dot">&bull;</span>
-          <span>ML / AI</span><span className="marquee-dot">&bull;</span>
-          <span>GIT</span><span className="marquee-dot">&bull;</span>
+          {/* Two copies back to back, so the scroll loops seamlessly */}
+          {[...skills, ...skills].map((skill, i) => (
+            <React.Fragment key={i}>
+              <span>{skill.toUpperCase()}</span><span className="marquee-dot">&bull;</span>
+            </React.Fragment>
+          ))}
         </div>
       </div>
     </section>
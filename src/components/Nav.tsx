@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from '@/lib/router';
 
 export default function Nav() {
   const [scrolled, setScrolled] = useState(false);
@@ -21,16 +22,16 @@ export default function Nav() {
     <>
       <nav className={`nav ${scrolled ? 'scrolled' : ''}`} id="navbar">
         <div className="nav-inner">
-          <a href="#home" className="nav-logo" data-magnetic>
+          <Link href="/#home" className="nav-logo" data-magnetic>
             <span>AK</span>
-          </a>
+          </Link>
           
           <div className="nav-links">
-            <a href="#about" className="nav-link" data-magnetic><span>About</span></a>
-            <a href="#experience" className="nav-link" data-magnetic><span>Experience</span></a>
-            <a href="#projects" className="nav-link" data-magnetic><span>Work</span></a>
-            <a href="Avanish_Kasar_Resume.pdf" target="_blank" rel="noopener noreferrer" className="nav-link" data-magnetic><span>Resume</span></a>
-            <a href="#contact" className="nav-link nav-link--cta" data-magnetic><span>Let's Talk</span></a>
+            <Link href="/#about" className="nav-link" data-magnetic><span>About</span></Link>
+            <Link href="/#experience" className="nav-link" data-magnetic><span>Experience</span></Link>
+            <Link href="/#projects" className="nav-link" data-magnetic><span>Work</span></Link>
+            <a href="/Avanish_Kasar_Resume.pdf" target="_blank" rel="noopener noreferrer" className="nav-link" data-magnetic><span>Resume</span></a>
+            <Link href="/#contact" className="nav-link nav-link--cta" data-magnetic><span>Let's Talk</span></Link>
           </div>
 
           <button 
@@ -48,12 +49,12 @@ export default function Nav() {
       <div className={`mobile-menu ${mobileActive ? 'active' : ''}`} id="mobileMenu">
         <div className="mobile-menu-inner">
           <div className="mobile-menu-links">
-            <a href="#home" className="mobile-link" onClick={() => setMobileActive(false)}><span>Home</span></a>
-            <a href="#about" className="mobile-link" onClick={() => setMobileActive(false)}><span>About</span></a>
-            <a href="#experience" className="mobile-link" onClick={() => setMobileActive(false)}><span>Experience</span></a>
-            <a href="#projects" className="mobile-link" onClick={() => setMobileActive(false)}><span>Work</span></a>
-            <a href="Avanish_Kasar_Resume.pdf" target="_blank" rel="noopener noreferrer" className="mobile-link" onClick={() => setMobileActive(false)}><span>Resume</span></a>
-            <a href="#contact" className="mobile-link" onClick={() => setMobileActive(false)}><span>Contact</span></a>
+            <Link href="/#home" className="mobile-link" onClick={() => setMobileActive(false)}><span>Home</span></Link>
+            <Link href="/#about" className="mobile-link" onClick={() => setMobileActive(false)}><span>About</span></Link>
+            <Link href="/#experience" className="mobile-link" onClick={() => setMobileActive(false)}><span>Experience</span></Link>
+            <Link href="/#projects" className="mobile-link" onClick={() => setMobileActive(false)}><span>Work</span></Link>
+            <a href="/Avanish_Kasar_Resume.pdf" target="_blank" rel="noopener noreferrer" className="mobile-link" onClick={() => setMobileActive(false)}><span>Resume</span></a>
+            <Link href="/#contact" className="mobile-link" onClick={() => setMobileActive(false)}><span>Contact</span></Link>
           </div>
           <div className="mobile-menu-footer">
             <a href="https://github.com/avanishkasar" target="_blank" rel="noopener noreferrer">GitHub</a>
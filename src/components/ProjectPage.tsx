@@ -0,0 +1,106 @@
+import React, { useEffect } from 'react';
+import { projects, projectWriteup } from '@/content';
+import { Markdown } from '@/lib/markdown';
+import { Link, projectPath } from '@/lib/router';
+
+function ArrowIcon() {
+  return (
+    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><line x1="7" y1="17" x2="17" y2="7"/><polyline points="7 7 17 7 17 17"/></svg>
+  );
+}
+
+// Full write-up for one project at /projects/<slug>
+export default function ProjectPage({ slug }: { slug: string }) {
+  const index = projects.findIndex((p) => p.slug === slug);
+  const project = projects[index];
+  const previous = index > 0 ? projects[index - 1] : undefined;
+  const next = index >= 0 && index < projects.length - 1 ? projects[index + 1] : undefined;
+
+  useEffect(() => {
+    const siteTitle = document.title;
+    document.title = `${project ? project.title : 'Project not found'} — Avanish Kasar`;
+    return () => {
+      document.title = siteTitle;
+    };
+  }, [project]);
+
+  if (!project) {
+    return (
+      <section className="project-page">
+        <div className="container">
+          <Link href="/#projects" className="project-page__back">← All projects</Link>
+          <h1 className="project-page__title">Project not found</h1>
+          <p className="project-page__lede">There's no project at this address. It may have been renamed.</p>
+        </div>
+      </section>
+    );
+  }
+
+  const writeup = projectWriteup(project.slug);
+  const gallery = project.gallery ?? [project.image];
+
+  return (
+    <article className="project-page">
+      <div className="container">
+        <Link href={`/#project-${project.slug}`} className="project-page__back">← All projects</Link>
+
+        <header className="project-page__header reveal-text">
+          <p className="project-page__meta">{project.year} · {project.category}</p>
+          <h1 className="project-page__title">{project.title}</h1>
+          <p className="project-page__lede">{project.description}</p>
+
+          <div className="project-page__links">
+            {project.links.map((link) => (
+              <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer" className="project-page__link" data-magnetic>
+                <span>{link.label}</span>
+                <ArrowIcon />
+              </a>
+            ))}
+          </div>
+        </header>
+
+        <div className="project-page__body">
+          <div className="project-page__main">
+            {/* Screenshots */}
+            <div className="project-page__gallery">
+              {gallery.map((src, i) => (
+                <figure key={src} className="project-page__shot">
+                  <a href={src} target="_blank" rel="noopener noreferrer">
+                    <img src={src} alt={`${project.title} screenshot ${i + 1}`} loading={i === 0 ? 'eager' : 'lazy'} />
+                  </a>
+                </figure>
+              ))}
+            </div>
+
+            {writeup && <Markdown source={writeup} className="project-page__writeup" />}
+          </div>
+
+          <aside className="project-page__aside">
+            <h2 className="project-page__aside-title">Tech stack</h2>
+            <ul className="project-page__tech">
+              {project.tech.map((t) => (
+                <li key={t}>{t}</li>
+              ))}
+            </ul>
+          </aside>
+        </div>
+
+        {/* Previous / next */}
+        <nav className="project-page__pager" aria-label="More projects">
+          {previous ? (
+            <Link href={projectPath(previous.slug)} className="project-page__pager-link" rel="prev">
+              <span className="project-page__pager-label">← Previous</span>
+              <span className="project-page__pager-title">{previous.title}</span>
+            </Link>
+          ) : <span />}
+          {next && (
+            <Link href={projectPath(next.slug)} className="project-page__pager-link project-page__pager-link--next" rel="next">
+              <span className="project-page__pager-label">Next →</span>
+              <span className="project-page__pager-title">{next.title}</span>
+            </Link>
+          )}
+        </nav>
+      </div>
+    </article>
+  );
+}
@@ -1,42 +1,81 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { InteractiveFolderGallery } from "@/components/ui/interactive-folder-gallery";
+import { projects, type Project } from "@/content";
+import { Link, projectPath, setSearch, useSearch } from "@/lib/router";
 
-// ─── Types ─────────────────────────────────────────────────────────────────────
+// ─── Filters ───────────────────────────────────────────────────────────────────
+//
+// Kept in the query string (?category=ai-fullstack&tech=python&q=music) so a
+// filtered view can be shared. Categories and tags go in as slugs, which read
+// better in a URL than "AI%20%2F%20FULLSTACK".
 
-export interface ProjectCard {
-  id: number;
-  title: string;
-  year: string;
+interface Filters {
   category: string;
-  image: string;
-  description: string;
-  tech: string[];
-  links: { label: string; url: string }[];
+  tech: string;
+  q: string;
 }
 
-// ─── Individual card with click-to-expand ──────────────────────────────────────
+// More cards than this and the folder fan gets too crowded to use
+const FOLDER_CAPACITY = 5;
+
+function toSlug(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function uniqueSorted(values: string[]): string[] {
+  return [...new Set(values)].sort((a, b) => a.localeCompare(b));
+}
+
+const categories = uniqueSorted(projects.map((p) => p.category));
+const techTags = uniqueSorted(projects.flatMap((p) => p.tech));
+
+function parseFilters(search: string): Filters {
+  const params = new URLSearchParams(search);
+  return {
+    category: params.get("category") ?? "",
+    tech: params.get("tech") ?? "",
+    q: params.get("q") ?? "",
+  };
+}
+
+function matchesFilters(project: Project, { category, tech, q }: Filters): boolean {
+  const query = q.trim().toLowerCase();
+  return (
+    (!category || toSlug(project.category) === category) &&
+    (!tech || project.tech.some((t) => toSlug(t) === tech)) &&
+    (!query || `${project.title} ${project.description}`.toLowerCase().includes(query))
+  );
+}
+
+function updateFilters(changes: Partial<Filters>) {
+  const params = new URLSearchParams(window.location.search);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  }
+  setSearch(params);
+}
+
+function clearFilters() {
+  updateFilters({ category: "", tech: "", q: "" });
+}
+
+// ─── Card content, expanded when selected in the folder ────────────────────────
 
 function ProjectCardContent({
   project,
   isOpen,
+  expanded,
 }: {
-  project: ProjectCard;
+  project: Project;
   isOpen: boolean;
+  expanded: boolean;
 }) {
-  const [expanded, setExpanded] = useState(false);
-
-  React.useEffect(() => {
-    if (!isOpen) setExpanded(false);
-  }, [isOpen]);
-
   return (
     <div
       className="w-full h-full relative overflow-hidden rounded-xl"
       style={{ cursor: isOpen ? "pointer" : "default" }}
-      onClick={(e) => {
-        e.stopPropagation();
-        if (isOpen) setExpanded((p) => !p);
-      }}
     >
       {/* Project image */}
       <img
@@ -101,7 +140,6 @@ function ProjectCardContent({
             exit={{ opacity: 0 }}
             transition={{ duration: 0.25 }}
             className="absolute inset-0 flex flex-col justify-center p-4 overflow-auto"
-            onClick={(e) => e.stopPropagation()}
           >
             <p
               style={{
@@ -218,6 +256,23 @@ function ProjectCardContent({
                 </a>
               ))}
             </div>
+
+            {/* Full write-up */}
+            <Link
+              href={projectPath(project.slug)}
+              onClick={(e) => e.stopPropagation()}
+              style={{
+                marginTop: "12px",
+                fontFamily: "monospace",
+                fontSize: "0.65rem",
+                letterSpacing: "0.08em",
+                textTransform: "uppercase",
+                color: "#00f0ff",
+                textDecoration: "none",
+              }}
+            >
+              Read the full story →
+            </Link>
           </motion.div>
         )}
       </AnimatePresence>
@@ -225,74 +280,83 @@ function ProjectCardContent({
   );
 }
 
-// ─── Project Folder Gallery ────────────────────────────────────────────────────
+// ─── Grid card, for when the folder can't fit them all ─────────────────────────
 
-const projects: ProjectCard[] = [
-  {
-    id: 1,
-    title: "ML Research",
-    year: "2025",
-    category: "MACHINE LEARNING",
-    image: "/assets/mlresearch.png",
-    description:
-      "A collection of ML experiments and research implementations. Covers supervised learning, clustering, neural nets, and model evaluation. Built to learn by doing — every notebook is a real experiment.",
-    tech: ["Python", "NumPy", "scikit-learn", "Matplotlib", "PyTorch"],
-    links: [
-      {
-        label: "View Code",
-        url: "https://github.com/avanishkasar/ML-Research",
-      },
-    ],
-  },
-  {
-    id: 2,
-    title: "Playlistify AI",
-    year: "2025",
-    category: "AI / FULLSTACK",
-    image: "/assets/playlistify.png",
-    description:
-      "Tell it what you feel like and it builds a Spotify playlist. Works in English, Hindi, Tamil and Telugu. Remembers your taste over time so it gets better the more you use it.",
-    tech: ["TypeScript", "Node.js", "Gemini AI", "Spotify API", "SQLite"],
-    links: [
-      {
-        label: "View Code",
-        url: "https://github.com/avanishkasar/Playlistify-AI",
-      },
-      { label: "Live Demo", url: "https://playlistifyyai.vercel.app" },
-    ],
-  },
-  {
-    id: 3,
-    title: "SmartRouter",
-    year: "2025",
-    category: "AI / INFRASTRUCTURE",
-    image: "/assets/smartrouter.png",
-    description:
-      "A lightweight router that picks between GPT-4, Claude, or Gemini based on cost, speed, and task complexity. Saves money and time for AI agents without sacrificing quality.",
-    tech: ["Python", "FastAPI", "LangChain", "Redis"],
-    links: [
-      {
-        label: "View Code",
-        url: "https://github.com/avanishkasar/SmartRouter",
-      },
-    ],
-  },
-  {
-    id: 4,
-    title: "Vision Protect",
-    year: "2024",
-    category: "COMPUTER VISION",
-    image: "/assets/visionprotect.png",
-    description:
-      "Real-time safety monitoring using camera feeds — detects missing hard hats, restricted area breaches, and fall incidents using YOLOv8. Won 1st at a regional tech symposium.",
-    tech: ["Python", "OpenCV", "YOLOv8", "PyTorch"],
-    links: [{ label: "View Code", url: "https://github.com/avanishkasar" }],
-  },
-];
+function ProjectGridCard({ project, index }: { project: Project; index: number }) {
+  return (
+    <article id={`project-${project.slug}`} className="proj-card">
+      <Link href={projectPath(project.slug)} className="proj-card__main">
+        <div className="proj-card__img-wrap">
+          <img src={project.image} alt={project.title} className="proj-card__img" loading="lazy" />
+          <div className="proj-card__overlay">
+            <span className="proj-card__tap-hint">Read the full story →</span>
+          </div>
+        </div>
+        <div className="proj-card__footer">
+          <div className="proj-card__meta">
+            <span className="proj-card__num">{String(index + 1).padStart(2, "0")}</span>
+            <div>
+              <h3 className="proj-card__title">{project.title}</h3>
+              <span className="proj-card__cat">{project.category}</span>
+            </div>
+          </div>
+          <span className="proj-card__year">{project.year}</span>
+        </div>
+      </Link>
+      <div className="proj-card__details">
+        <p className="proj-card__desc">{project.description}</p>
+        <div className="proj-card__tech">
+          {project.tech.map((t) => (
+            <span key={t} className="proj-card__tag">{t}</span>
+          ))}
+        </div>
+        <div className="proj-card__links">
+          {project.links.map((link) => (
+            <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer" className="proj-card__link">
+              {link.label}
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <line x1="7" y1="17" x2="17" y2="7" />
+                <polyline points="7 7 17 7 17 17" />
+              </svg>
+            </a>
+          ))}
+        </div>
+      </div>
+    </article>
+  );
+}
+
+// ─── Project Folder Gallery ────────────────────────────────────────────────────
 
 export default function Projects() {
   const [isFolderOpen, setIsFolderOpen] = useState(false);
-  const [hoverFolder, setHoverFolder] = useState(false);
+  const [selectedSlug, setSelectedSlug] = useState<string | null>(null);
+
+  const filters = parseFilters(useSearch());
+  const visible = projects.filter((p) => matchesFilters(p, filters));
+  const isFiltered = Boolean(filters.category || filters.tech || filters.q);
+
+  // #project-<slug> (e.g. from the contributions calendar) opens the folder
+  // with that card's details showing
+  useEffect(() => {
+    const onHashChange = () => {
+      const slug = window.location.hash.replace(/^#project-/, "");
+      const project = projects.find((p) => p.slug === slug);
+      if (!project) return;
+      // A linked project hidden by the current filters would be a dead end
+      if (!matchesFilters(project, parseFilters(window.location.search))) {
+        clearFilters();
+      }
+      setSelectedSlug(slug);
+      setIsFolderOpen(true);
+      document
+        .getElementById("projects")
+        ?.scrollIntoView({ behavior: "smooth" });
+    };
+    onHashChange();
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
   return (
     <section id="projects" className="projects">
@@ -302,243 +366,84 @@ export default function Projects() {
           <span className="section-label-text">FEATURED WORK</span>
         </div>
 
-        {/* ── Folder Gallery ── */}
-        <div className="w-full py-16 relative">
-          <div
-            className="relative w-full flex flex-col items-center justify-center"
-            style={{ minHeight: "600px" }}
-          >
-            <div
-              className="relative flex justify-center pointer-events-none"
-              style={{ width: "700px", height: "520px" }}
-            >
-              {/* Folder back body */}
-              <motion.div
-                className="absolute drop-shadow-2xl"
-                style={{ bottom: "24px", width: "320px", height: "224px" }}
-                animate={{
-                  opacity: isFolderOpen ? 0 : 1,
-                  scale: isFolderOpen ? 0.9 : 1,
-                }}
-              >
-                <div
-                  className="absolute top-0 left-0 rounded-t-xl border-t border-l border-r border-white/10"
-                  style={{
-                    width: "128px",
-                    height: "40px",
-                    background: "linear-gradient(to top, #1e1e1e, #2a2a2a)",
-                  }}
-                />
-                <div
-                  className="absolute rounded-b-xl rounded-tr-xl border border-white/10"
-                  style={{
-                    top: "32px",
-                    left: 0,
-                    right: 0,
-                    bottom: 0,
-                    background: "linear-gradient(to bottom, #1e1e1e, #0a0a0a)",
-                    boxShadow: "inset 0 0 40px rgba(0,0,0,0.8)",
-                  }}
-                />
-                <div
-                  className="absolute bg-black rounded-lg pointer-events-none"
-                  style={{
-                    top: "40px",
-                    left: "8px",
-                    right: "8px",
-                    bottom: "8px",
-                    boxShadow: "inset 0 2px 8px rgba(0,0,0,0.5)",
-                  }}
-                />
-              </motion.div>
-
-              {/* Project cards fanned in the folder */}
-              <div
-                className="absolute flex justify-center"
-                style={{ bottom: "40px", zIndex: 10 }}
-              >
-                {projects.map((project, i) => {
-                  // Center offset across 4 cards: -1.5, -0.5, 0.5, 1.5
-                  const offset = i - (projects.length - 1) / 2;
-
-                  const stackY = hoverFolder ? offset * -8 - 35 : offset * -4;
-                  const stackX = hoverFolder ? offset * 22 : offset * 2;
-                  const stackRotate = hoverFolder ? offset * 6 : offset * 2;
-                  const stackScale = 1 - Math.abs(offset) * 0.025;
-
-                  // Open: spread cards wide
-                  const openY = -140;
-                  const openX = offset * 160;
-                  const openScale = 1.04;
-
-                  return (
-                    <motion.div
-                      key={project.id}
-                      drag={isFolderOpen}
-                      dragSnapToOrigin
-                      onDragEnd={(_e, info) => {
-                        if (info.offset.y > 100 && isFolderOpen) {
-                          setIsFolderOpen(false);
-                          setHoverFolder(false);
-                        }
-                      }}
-                      className={`absolute rounded-xl border border-white/20 origin-bottom overflow-hidden ${
-                        isFolderOpen
-                          ? "pointer-events-auto cursor-grab active:cursor-grabbing"
-                          : "pointer-events-none"
-                      }`}
-                      style={{
-                        bottom: 0,
-                        width: "168px",
-                        height: "224px",
-                        boxShadow: "0 20px 40px rgba(0,0,0,0.5)",
-                      }}
-                      animate={
-                        !isFolderOpen
-                          ? {
-                              y: stackY,
-                              x: stackX,
-                              rotate: stackRotate,
-                              scale: stackScale,
-                              zIndex: i + 10,
-                            }
-                          : {
-                              y: openY,
-                              x: openX,
-                              rotate: 0,
-                              scale: openScale,
-                              zIndex: 50,
-                            }
-                      }
-                      whileHover={
-                        isFolderOpen
-                          ? { scale: openScale + 0.04, zIndex: 100, y: openY - 8 }
-                          : {}
-                      }
-                      whileDrag={
-                        isFolderOpen
-                          ? { scale: openScale + 0.08, rotate: 4, zIndex: 150 }
-                          : {}
-                      }
-                      transition={{
-                        type: "spring",
-                        stiffness: 350,
-                        damping: 30,
-                      }}
-                    >
-                      <ProjectCardContent
-                        project={project}
-                        isOpen={isFolderOpen}
-                      />
-                    </motion.div>
-                  );
-                })}
-              </div>
-
-              {/* Folder front (clickable lid) */}
-              <motion.div
-                className="absolute cursor-pointer pointer-events-auto"
-                style={{
-                  bottom: 0,
-                  width: "340px",
-                  height: "176px",
-                  transformOrigin: "bottom",
-                  zIndex: 20,
-                  filter: "drop-shadow(0 -20px 40px rgba(0,0,0,0.8))",
-                }}
-                animate={{
-                  opacity: isFolderOpen ? 0 : 1,
-                  rotateX: hoverFolder ? -25 : 0,
-                  y: hoverFolder ? 10 : 0,
-                  pointerEvents: isFolderOpen ? "none" : "auto",
-                }}
-                onMouseEnter={() => setHoverFolder(true)}
-                onMouseLeave={() => setHoverFolder(false)}
-                onClick={() => setIsFolderOpen(true)}
-              >
-                <div
-                  className="w-full h-full rounded-2xl border border-white/20 relative overflow-hidden flex items-end justify-center pb-8"
-                  style={{
-                    background: "linear-gradient(to bottom, #2a2a2a, #111)",
-                    boxShadow: "inset 0 2px 10px rgba(255,255,255,0.1)",
-                  }}
-                >
-                  <div
-                    className="absolute top-0 left-0 right-0"
-                    style={{
-                      height: "1px",
-                      background:
-                        "linear-gradient(to right, transparent, rgba(255,255,255,0.4), transparent)",
-                    }}
-                  />
-                  <div className="px-5 py-2.5 bg-black rounded-lg border border-black/80 shadow-inner flex items-center justify-center backdrop-blur-md">
-                    <span className="text-white/90 text-sm font-medium tracking-wide">
-                      Projects.gallery
-                    </span>
-                  </div>
-                </div>
-              </motion.div>
-            </div>
-
-            {/* Hint text */}
-            <motion.div
-              animate={{
-                opacity: isFolderOpen ? 1 : 0,
-                y: isFolderOpen ? 0 : 20,
-              }}
-              className="absolute pointer-events-none text-xs font-medium uppercase tracking-widest"
-              style={{
-                bottom: "16px",
-                padding: "10px 24px",
-                borderRadius: "100px",
-                background: "rgba(255,255,255,0.04)",
-                border: "1px solid rgba(255,255,255,0.08)",
-                backdropFilter: "blur(8px)",
-                color: "rgba(255,255,255,0.4)",
-              }}
-            >
-              Drag a card down to close · Tap a card for details
-            </motion.div>
-          </div>
-
-          {/* Close button */}
-          <AnimatePresence>
-            {isFolderOpen && (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                exit={{ opacity: 0 }}
-                className="flex justify-center mt-2"
-              >
+        {/* ── Filters ── */}
+        <div className="projects-filters" role="search">
+          <input
+            type="search"
+            className="projects-filters__search"
+            placeholder="Search projects…"
+            aria-label="Search projects by title or description"
+            value={filters.q}
+            onChange={(e) => updateFilters({ q: e.target.value })}
+          />
+          <div className="projects-filters__chips" role="group" aria-label="Category">
+            {["", ...categories].map((category) => {
+              const value = toSlug(category);
+              return (
                 <button
-                  onClick={() => {
-                    setIsFolderOpen(false);
-                    setHoverFolder(false);
-                  }}
-                  className="text-xs font-mono uppercase tracking-widest transition-colors"
-                  style={{
-                    padding: "8px 20px",
-                    borderRadius: "100px",
-                    border: "1px solid rgba(255,255,255,0.12)",
-                    color: "rgba(255,255,255,0.4)",
-                    background: "transparent",
-                    cursor: "pointer",
-                  }}
-                  onMouseEnter={(e) =>
-                    ((e.currentTarget as HTMLElement).style.color = "#fff")
-                  }
-                  onMouseLeave={(e) =>
-                    ((e.currentTarget as HTMLElement).style.color =
-                      "rgba(255,255,255,0.4)")
-                  }
+                  key={value}
+                  type="button"
+                  className="projects-filters__chip"
+                  aria-pressed={filters.category === value}
+                  onClick={() => updateFilters({ category: value })}
                 >
-                  ← Close folder
+                  {category || "All"}
                 </button>
-              </motion.div>
+              );
+            })}
+          </div>
+          <select
+            className="projects-filters__select"
+            aria-label="Tech"
+            value={filters.tech}
+            onChange={(e) => updateFilters({ tech: e.target.value })}
+          >
+            <option value="">Any tech</option>
+            {techTags.map((t) => (
+              <option key={t} value={toSlug(t)}>{t}</option>
+            ))}
+          </select>
+          <p className="projects-filters__count" aria-live="polite">
+            {isFiltered ? `${visible.length} of ${projects.length} projects` : `${projects.length} projects`}
+            {isFiltered && (
+              <button type="button" className="projects-filters__clear" onClick={clearFilters}>
+                Clear filters
+              </button>
             )}
-          </AnimatePresence>
+          </p>
         </div>
 
+        {visible.length === 0 ? (
+          <div className="projects-empty">
+            <p>No projects match these filters.</p>
+            <button type="button" className="projects-filters__clear" onClick={clearFilters}>
+              Clear filters
+            </button>
+          </div>
+        ) : visible.length > FOLDER_CAPACITY ? (
+          <div className="proj-grid">
+            {visible.map((project, i) => (
+              <ProjectGridCard key={project.slug} project={project} index={i} />
+            ))}
+          </div>
+        ) : (
+          <InteractiveFolderGallery
+            items={visible}
+            getKey={(project) => project.slug}
+            getLabel={(project) => project.title}
+            getId={(project) => `project-${project.slug}`}
+            renderItem={(project, { isOpen, isSelected }) => (
+              <ProjectCardContent project={project} isOpen={isOpen} expanded={isSelected} />
+            )}
+            folderName="Projects.gallery"
+            dragHintText="Drag a card down or press Esc to close · Tap a card for details"
+            open={isFolderOpen}
+            onOpenChange={setIsFolderOpen}
+            selectedKey={selectedSlug}
+            onSelectedKeyChange={(slug) => setSelectedSlug(slug as string | null)}
+          />
+        )}
+
         {/* GitHub CTA */}
         <div className="projects-cta reveal-text">
           <a
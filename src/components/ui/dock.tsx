@@ -2,6 +2,7 @@
 import React, { useRef, useState } from "react";
 import { motion, useMotionValue, useSpring, useTransform } from "framer-motion";
 import { cn } from "@/lib/utils";
+import { Link } from "@/lib/router";
 
 export function Dock({
   items,
@@ -56,7 +57,7 @@ function DockIcon({
   const [hovered, setHovered] = useState(false);
 
   return (
-    <a href={href} className="relative block">
+    <Link href={href} className="relative block">
       <motion.div
         ref={ref}
         style={{ width }}
@@ -72,6 +73,6 @@ function DockIcon({
           </div>
         )}
       </motion.div>
-    </a>
+    </Link>
   );
 }
@@ -0,0 +1,261 @@
+import { useMemo } from "react";
+import { cn } from "@/lib/utils";
+import {
+  calendarMessages,
+  fillMessage,
+  formatDay,
+  formatPlural,
+  weekdayName,
+  type WeekStart,
+} from "./locale";
+import type { ContributionStats, Streak } from "./stats";
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+function shortDate(dateStr: string, locale?: string, withYear = false): string {
+  return formatDay(dateStr, locale, {
+    month: "short",
+    day: "numeric",
+    ...(withYear ? { year: "numeric" } : {}),
+  });
+}
+
+function monthName(month: string, locale?: string): string {
+  return formatDay(month, locale, { month: "short", year: "numeric" });
+}
+
+function streakRange({ start, end }: Streak, locale?: string): string {
+  if (!start || !end) return "—";
+  return start === end
+    ? shortDate(start, locale, true)
+    : `${shortDate(start, locale)} – ${shortDate(end, locale, true)}`;
+}
+
+function plural(n: number, unit: "days" | "contributions", locale?: string): string {
+  return formatPlural(calendarMessages(locale)[unit], n, locale);
+}
+
+// ─── Pieces ───────────────────────────────────────────────────────────────────
+
+function StatTile({
+  label,
+  value,
+  detail,
+}: {
+  label: string;
+  value: string;
+  detail?: string;
+}) {
+  return (
+    <div className="flex flex-col gap-0.5 rounded border border-neutral-800 px-3 py-2">
+      <span className="text-[10px] uppercase tracking-widest text-neutral-500">
+        {label}
+      </span>
+      <span className="text-sm font-semibold text-neutral-100 tabular-nums">
+        {value}
+      </span>
+      {detail && (
+        <span className="text-[11px] text-neutral-400">{detail}</span>
+      )}
+    </div>
+  );
+}
+
+function WeekdayBars({
+  weekdays,
+  weekStart,
+  locale,
+  color,
+}: {
+  weekdays: number[];
+  weekStart: WeekStart;
+  locale?: string;
+  color: string;
+}) {
+  const messages = calendarMessages(locale);
+  const order = Array.from({ length: 7 }, (_, i) => (weekStart + i) % 7);
+  const max = Math.max(1, ...weekdays);
+  const names = order.map((day) => weekdayName(day, locale, "narrow"));
+
+  return (
+    <div className="flex h-16 items-end gap-1.5" role="list">
+      {order.map((day, i) => (
+        <div
+          key={day}
+          role="listitem"
+          className="flex h-full flex-1 flex-col items-center justify-end gap-1"
+          title={formatPlural(messages.weekdayTotal, weekdays[day] ?? 0, locale, {
+            weekday: weekdayName(day, locale, "long"),
+          })}
+        >
+          <div
+            className="w-full rounded-sm"
+            style={{
+              height: `${((weekdays[day] ?? 0) / max) * 100}%`,
+              minHeight: 2,
+              backgroundColor: color,
+            }}
+          />
+          <span className="text-[10px] text-neutral-500">{names[i]}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MonthlySparkline({
+  months,
+  locale,
+  color,
+}: {
+  months: ContributionStats["months"];
+  locale?: string;
+  color: string;
+}) {
+  const width = 220;
+  const height = 48;
+  const points = useMemo(() => {
+    const max = Math.max(1, ...months.map((m) => m.count));
+    const stepX = months.length > 1 ? width / (months.length - 1) : 0;
+    return months.map((m, i) => ({
+      ...m,
+      x: months.length > 1 ? i * stepX : width / 2,
+      y: height - 4 - (m.count / max) * (height - 8),
+    }));
+  }, [months]);
+
+  if (points.length === 0) return null;
+  const messages = calendarMessages(locale);
+  const line = points.map((p) => `${p.x},${p.y}`).join(" ");
+
+  return (
+    <svg
+      width="100%"
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={fillMessage(messages.monthlyTotalsList, {
+        months: months
+          .map((m) => `${monthName(m.month, locale)} ${m.count.toLocaleString(locale)}`)
+          .join(", "),
+      })}
+    >
+      <polyline
+        points={`0,${height} ${line} ${width},${height}`}
+        fill={color}
+        fillOpacity={0.12}
+        stroke="none"
+      />
+      <polyline
+        points={line}
+        fill="none"
+        stroke={color}
+        strokeWidth={1.5}
+        vectorEffect="non-scaling-stroke"
+      />
+      {points.map((p) => (
+        <circle key={p.month} cx={p.x} cy={p.y} r={1.5} fill={color}>
+          <title>{`${monthName(p.month, locale)}: ${p.count.toLocaleString(locale)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+// ─── Panel ────────────────────────────────────────────────────────────────────
+
+export function AnalyticsPanel({
+  stats,
+  weekStart = 0,
+  locale,
+  accentColor,
+  className,
+}: {
+  stats: ContributionStats;
+  weekStart?: WeekStart;
+  locale?: string;
+  accentColor: string;
+  className?: string;
+}) {
+  const {
+    currentStreak,
+    longestStreak,
+    bestDay,
+    bestWeek,
+    bestMonth,
+    averagePerActiveDay,
+    activeDays,
+    totalDays,
+  } = stats;
+  const messages = calendarMessages(locale);
+
+  return (
+    <div
+      className={cn(
+        "grid gap-3 text-neutral-300 sm:grid-cols-2 lg:grid-cols-[repeat(3,minmax(0,1fr))_1.4fr]",
+        className,
+      )}
+    >
+      <StatTile
+        label={messages.currentStreak}
+        value={plural(currentStreak.length, "days", locale)}
+        detail={streakRange(currentStreak, locale)}
+      />
+      <StatTile
+        label={messages.longestStreak}
+        value={plural(longestStreak.length, "days", locale)}
+        detail={streakRange(longestStreak, locale)}
+      />
+      <StatTile
+        label={messages.averagePerActiveDay}
+        value={averagePerActiveDay.toLocaleString(locale, {
+          maximumFractionDigits: 1,
+        })}
+        detail={formatPlural(messages.activeDaysOf, totalDays, locale, {
+          active: activeDays.toLocaleString(locale),
+        })}
+      />
+      <div className="flex flex-col gap-1 rounded border border-neutral-800 px-3 py-2 sm:row-span-2">
+        <span className="text-[10px] uppercase tracking-widest text-neutral-500">
+          {messages.byWeekday}
+        </span>
+        <WeekdayBars
+          weekdays={stats.weekdays}
+          weekStart={weekStart}
+          locale={locale}
+          color={accentColor}
+        />
+      </div>
+      <StatTile
+        label={messages.bestDay}
+        value={bestDay ? plural(bestDay.count, "contributions", locale) : "—"}
+        detail={bestDay ? shortDate(bestDay.date, locale, true) : undefined}
+      />
+      <StatTile
+        label={messages.bestWeek}
+        value={bestWeek ? plural(bestWeek.count, "contributions", locale) : "—"}
+        detail={
+          bestWeek
+            ? `${shortDate(bestWeek.start, locale)} – ${shortDate(bestWeek.end, locale, true)}`
+            : undefined
+        }
+      />
+      <StatTile
+        label={messages.bestMonth}
+        value={bestMonth ? plural(bestMonth.count, "contributions", locale) : "—"}
+        detail={bestMonth ? monthName(bestMonth.month, locale) : undefined}
+      />
+      <div className="flex flex-col gap-1 rounded border border-neutral-800 px-3 py-2 sm:col-span-2 lg:col-span-4">
+        <span className="text-[10px] uppercase tracking-widest text-neutral-500">
+          {messages.monthlyTotals}
+        </span>
+        <MonthlySparkline
+          months={stats.months}
+          locale={locale}
+          color={accentColor}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import type { CalendarAnnotation } from "./types";
+
+// ─── Event annotations ────────────────────────────────────────────────────────
+//
+// Single-day events get a dot in the corner of their cell; ranges get an
+// outline traced around the cells they cover, clipped to the visible grid.
+
+/** Visible dates → the events covering them, in the order they were given. */
+export function annotationsByDate(
+  annotations: CalendarAnnotation[],
+  dates: string[],
+): Map<string, CalendarAnnotation[]> {
+  const map = new Map<string, CalendarAnnotation[]>();
+  for (const annotation of annotations) {
+    const last = annotation.end ?? annotation.date;
+    for (const date of dates) {
+      if (date < annotation.date || date > last) continue;
+      const list = map.get(date);
+      if (list) list.push(annotation);
+      else map.set(date, [annotation]);
+    }
+  }
+  return map;
+}
+
+/**
+ * SVG path along the outer edge of the cells covering `annotation`: one
+ * segment for every cell side whose neighbour lies outside the range.
+ */
+function rangeOutline(
+  annotation: CalendarAnnotation,
+  weeks: (string | null)[][],
+  { step, gap, top }: { step: number; gap: number; top: number },
+): string {
+  const last = annotation.end ?? annotation.date;
+  const inside = new Set<string>();
+  weeks.forEach((week, wi) =>
+    week.forEach((date, di) => {
+      if (date && date >= annotation.date && date <= last) {
+        inside.add(`${wi}:${di}`);
+      }
+    }),
+  );
+
+  const segments: string[] = [];
+  for (const key of inside) {
+    const [wi, di] = key.split(":").map(Number) as [number, number];
+    const x0 = wi * step - gap / 2;
+    const y0 = top + di * step - gap / 2;
+    const x1 = x0 + step;
+    const y1 = y0 + step;
+    if (!inside.has(`${wi}:${di - 1}`)) segments.push(`M${x0} ${y0}H${x1}`);
+    if (!inside.has(`${wi}:${di + 1}`)) segments.push(`M${x0} ${y1}H${x1}`);
+    if (!inside.has(`${wi - 1}:${di}`)) segments.push(`M${x0} ${y0}V${y1}`);
+    if (!inside.has(`${wi + 1}:${di}`)) segments.push(`M${x1} ${y0}V${y1}`);
+  }
+  return segments.join("");
+}
+
+export type AnnotationShape =
+  | { key: number; kind: "range"; d: string; color: string }
+  | { key: number; kind: "dot"; cx: number; cy: number; color: string };
+
+/** Markers for every event that is at least partly visible. */
+export function layoutAnnotations(
+  annotations: CalendarAnnotation[],
+  weeks: (string | null)[][],
+  {
+    step,
+    gap,
+    top,
+    cellSize,
+    color,
+  }: { step: number; gap: number; top: number; cellSize: number; color: string },
+): AnnotationShape[] {
+  return annotations.flatMap((annotation, key): AnnotationShape[] => {
+    const stroke = annotation.color ?? color;
+    if (annotation.end && annotation.end !== annotation.date) {
+      const d = rangeOutline(annotation, weeks, { step, gap, top });
+      return d ? [{ key, kind: "range", d, color: stroke }] : [];
+    }
+    const wi = weeks.findIndex((week) => week.includes(annotation.date));
+    if (wi < 0) return [];
+    const di = weeks[wi]!.indexOf(annotation.date);
+    return [
+      {
+        key,
+        kind: "dot",
+        cx: wi * step + cellSize - 1,
+        cy: top + di * step + 1,
+        color: stroke,
+      },
+    ];
+  });
+}
+
+/**
+ * Follows an event's link. In-page anchors go through the location hash so
+ * sections can react to it (e.g. open the projects folder); clicking the same
+ * event twice re-announces the hash.
+ */
+export function followAnnotation({ href }: CalendarAnnotation) {
+  if (!href) return;
+  if (!href.startsWith("#")) {
+    window.open(href, "_blank", "noopener,noreferrer");
+    return;
+  }
+  if (window.location.hash === href) {
+    document.querySelector(href)?.scrollIntoView({ behavior: "smooth" });
+    window.dispatchEvent(new HashChangeEvent("hashchange"));
+  } else {
+    window.location.hash = href;
+  }
+}
@@ -0,0 +1,122 @@
+import type { ContributionData } from "./types";
+
+// ─── Offline cache ────────────────────────────────────────────────────────────
+//
+// Fetched calendars are persisted in localStorage so a returning visitor sees
+// the last known grid immediately while a fresh copy loads in the background.
+
+export type CachedContributions = {
+  data: ContributionData;
+  updatedAt: number;
+};
+
+const CACHE_PREFIX = "github-calendar:data:";
+const CACHE_VERSION = 1;
+
+export function cacheKey(providerId: string, username: string): string {
+  return `${CACHE_PREFIX}${providerId}:${username.toLowerCase()}`;
+}
+
+export function readCache(key: string): CachedContributions | null {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (
+      parsed?.v !== CACHE_VERSION ||
+      typeof parsed.updatedAt !== "number" ||
+      typeof parsed.data !== "object"
+    ) {
+      return null;
+    }
+    return { data: parsed.data, updatedAt: parsed.updatedAt };
+  } catch (e) {
+    return null;
+  }
+}
+
+export function writeCache(
+  key: string,
+  data: ContributionData,
+): CachedContributions {
+  const entry = { data, updatedAt: Date.now() };
+  try {
+    localStorage.setItem(key, JSON.stringify({ v: CACHE_VERSION, ...entry }));
+  } catch (e) {
+    // Storage full or disabled — the calendar still works, just uncached
+  }
+  return entry;
+}
+
+// ─── Retry with backoff ───────────────────────────────────────────────────────
+
+export type RetryOptions = {
+  retries?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  signal?: AbortSignal;
+  onRetry?: (attempt: number, error: unknown) => void;
+};
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `task` until it succeeds, waiting an exponentially growing, jittered
+ * delay between attempts. Aborting the signal stops immediately.
+ */
+export async function withRetry<T>(
+  task: () => Promise<T>,
+  {
+    retries = 3,
+    baseDelay = 1000,
+    maxDelay = 15000,
+    signal,
+    onRetry,
+  }: RetryOptions = {},
+): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (e) {
+      if (signal?.aborted || attempt >= retries) throw e;
+      onRetry?.(attempt + 1, e);
+      const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      await wait(delay / 2 + Math.random() * (delay / 2), signal);
+    }
+  }
+}
+
+// ─── Relative time ────────────────────────────────────────────────────────────
+
+const RELATIVE_UNITS: [Intl.RelativeTimeFormatUnit, number][] = [
+  ["day", 86400000],
+  ["hour", 3600000],
+  ["minute", 60000],
+];
+
+/** "3 hours ago", "yesterday", "now" — in `locale`'s language. */
+export function formatRelativeTime(
+  timestamp: number,
+  locale?: string,
+  now = Date.now(),
+): string {
+  const diff = timestamp - now;
+  const rtf = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+  for (const [unit, ms] of RELATIVE_UNITS) {
+    if (Math.abs(diff) >= ms) return rtf.format(Math.round(diff / ms), unit);
+  }
+  return rtf.format(0, "second");
+}
@@ -0,0 +1,123 @@
+// ─── Column index over the game's cells ───────────────────────────────────────
+//
+// Cells live in week columns of at most seven, so a column index is all the
+// spatial hashing the shooter needs: a bullet only ever tests the one or two
+// columns it overlaps. Active-cell counts per column are kept up to date on
+// every level change, which makes the active column bounds, "is the wave
+// cleared" and "pick a random active cell" O(1) instead of full scans.
+
+export type IndexedCell = {
+  x: number;
+  y: number;
+  level: number;
+};
+
+export type CellIndex = {
+  readonly size: number;
+  level: (i: number) => number;
+  setLevel: (i: number, level: number) => void;
+  /** Reassigns every level at once, e.g. at the start of a wave. */
+  reset: (levelFor: (i: number) => number) => void;
+  activeCount: () => number;
+  randomActive: () => number | null;
+  /** First and last column that still has an active cell, or null. */
+  activeColumns: () => { min: number; max: number } | null;
+  /** Calls `visit` for every active cell in the columns overlapping [x0, x1]. */
+  queryColumns: (x0: number, x1: number, visit: (i: number) => boolean | void) => void;
+};
+
+export function createCellIndex(cells: IndexedCell[], step: number): CellIndex {
+  const size = cells.length;
+  const levels = new Uint8Array(size);
+  const columnOf = new Int32Array(size);
+  const columnCount =
+    cells.reduce((max, c) => Math.max(max, Math.round(c.x / step)), -1) + 1;
+  const byColumn: number[][] = Array.from({ length: columnCount }, () => []);
+  const activeInColumn = new Int32Array(columnCount);
+
+  // Dense list of active cells with back-pointers for O(1) removal
+  const activeList: number[] = [];
+  const activePos = new Int32Array(size).fill(-1);
+
+  let minCol = 0;
+  let maxCol = -1;
+
+  cells.forEach((c, i) => {
+    const col = Math.round(c.x / step);
+    columnOf[i] = col;
+    byColumn[col]!.push(i);
+  });
+
+  const activate = (i: number) => {
+    activePos[i] = activeList.length;
+    activeList.push(i);
+    const col = columnOf[i]!;
+    activeInColumn[col]!++;
+    if (maxCol < minCol) {
+      minCol = col;
+      maxCol = col;
+    } else {
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+    }
+  };
+
+  const deactivate = (i: number) => {
+    const pos = activePos[i]!;
+    const last = activeList.pop()!;
+    if (last !== i) {
+      activeList[pos] = last;
+      activePos[last] = pos;
+    }
+    activePos[i] = -1;
+
+    const col = columnOf[i]!;
+    if (--activeInColumn[col]! > 0) return;
+    while (minCol <= maxCol && activeInColumn[minCol] === 0) minCol++;
+    while (maxCol >= minCol && activeInColumn[maxCol] === 0) maxCol--;
+  };
+
+  const setLevel = (i: number, level: number) => {
+    const was = levels[i]!;
+    levels[i] = level;
+    if (was === 0 && level > 0) activate(i);
+    else if (was > 0 && level === 0) deactivate(i);
+  };
+
+  const reset = (levelFor: (i: number) => number) => {
+    activeList.length = 0;
+    activePos.fill(-1);
+    activeInColumn.fill(0);
+    minCol = 0;
+    maxCol = -1;
+    for (let i = 0; i < size; i++) {
+      levels[i] = levelFor(i);
+      if (levels[i]! > 0) activate(i);
+    }
+  };
+
+  reset((i) => cells[i]!.level);
+
+  return {
+    size,
+    level: (i) => levels[i]!,
+    setLevel,
+    reset,
+    activeCount: () => activeList.length,
+    randomActive: () =>
+      activeList.length === 0
+        ? null
+        : activeList[Math.floor(Math.random() * activeList.length)]!,
+    activeColumns: () => (maxCol < minCol ? null : { min: minCol, max: maxCol }),
+    queryColumns: (x0, x1, visit) => {
+      const from = Math.max(minCol, Math.floor(x0 / step));
+      const to = Math.min(maxCol, Math.floor(x1 / step));
+      for (let col = from; col <= to; col++) {
+        if (activeInColumn[col] === 0) continue;
+        for (const i of byColumn[col]!) {
+          if (levels[i]! > 0 && visit(i) === false) return;
+        }
+      }
+    },
+  };
+}
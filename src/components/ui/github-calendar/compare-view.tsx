@@ -0,0 +1,349 @@
+import { useId, useMemo, useState } from "react";
+import { cn } from "@/lib/utils";
+import type { MonthLabel } from "./grid";
+import { formatDay, type WeekStart } from "./locale";
+import { diffByPeriod, type ComparedSeries, type PeriodDiff } from "./compare";
+
+// ─── Compare view ─────────────────────────────────────────────────────────────
+
+export type CompareLayout = "split" | "side-by-side";
+
+/** A level is drawn as the person's colour over the empty-cell colour. */
+const LEVEL_OPACITY = [0, 0.3, 0.55, 0.8, 1];
+
+function shortDate(dateStr: string, locale?: string): string {
+  return formatDay(dateStr, locale, { month: "short", day: "numeric" });
+}
+
+function monthName(month: string, locale?: string): string {
+  return formatDay(month, locale, { month: "short", year: "numeric" });
+}
+
+function Swatch({
+  color,
+  level,
+  emptyColor,
+  size,
+  rx,
+}: {
+  color: string;
+  level: number;
+  emptyColor: string;
+  size: number;
+  rx: number;
+}) {
+  return (
+    <svg width={size} height={size} aria-hidden="true">
+      <rect width={size} height={size} rx={rx} fill={emptyColor} />
+      <rect
+        width={size}
+        height={size}
+        rx={rx}
+        fill={color}
+        fillOpacity={LEVEL_OPACITY[level]}
+      />
+    </svg>
+  );
+}
+
+function Legend({
+  series,
+  emptyColor,
+  cellSize,
+  cellRx,
+  locale,
+}: {
+  series: ComparedSeries[];
+  emptyColor: string;
+  cellSize: number;
+  cellRx: number;
+  locale?: string;
+}) {
+  return (
+    <ul className="flex flex-wrap items-center gap-x-5 gap-y-1 text-xs text-neutral-400">
+      {series.map((s, i) => (
+        <li key={i} className="flex items-center gap-1.5">
+          <span className="font-medium text-neutral-200">{s.label}</span>
+          {[1, 2, 3, 4].map((level) => (
+            <Swatch
+              key={level}
+              color={s.color}
+              level={level}
+              emptyColor={emptyColor}
+              size={cellSize}
+              rx={cellRx}
+            />
+          ))}
+          <span className="tabular-nums">{s.total.toLocaleString(locale)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function WinTally({
+  label,
+  diffs,
+  series,
+}: {
+  label: string;
+  diffs: PeriodDiff[];
+  series: ComparedSeries[];
+}) {
+  const wins = series.map((_, i) => diffs.filter((d) => d.leader === i).length);
+  const ties = diffs.length - wins.reduce((sum, w) => sum + w, 0);
+  return (
+    <p className="text-[11px] text-neutral-400">
+      <span className="text-neutral-500">{label} won: </span>
+      {series.map((s, i) => (
+        <span key={i} className="mr-3">
+          <span style={{ color: s.color }}>{s.label}</span>{" "}
+          <span className="font-semibold text-neutral-200 tabular-nums">
+            {wins[i]}
+          </span>
+        </span>
+      ))}
+      <span>
+        tied <span className="tabular-nums">{ties}</span>
+      </span>
+    </p>
+  );
+}
+
+export function CompareView({
+  series,
+  weeks,
+  dates,
+  monthLabels,
+  layout,
+  weekStart,
+  locale,
+  cellSize,
+  cellGap,
+  cellRx,
+  emptyColor,
+  labelColor,
+  className,
+}: {
+  series: ComparedSeries[];
+  weeks: (string | null)[][];
+  /** The grid's dates in order; every series' arrays are indexed by these. */
+  dates: string[];
+  monthLabels: MonthLabel[];
+  layout: CompareLayout;
+  weekStart: WeekStart;
+  locale?: string;
+  cellSize: number;
+  cellGap: number;
+  cellRx: number;
+  emptyColor: string;
+  labelColor: string;
+  className?: string;
+}) {
+  // useId() contains colons, which SVG url() references don't like
+  const clipId = `compare-clip-${useId().replace(/:/g, "")}`;
+  const [hover, setHover] = useState<{
+    grid: string;
+    i: number;
+    x: number;
+    y: number;
+  } | null>(null);
+  const step = cellSize + cellGap;
+  const monthLabelHeight = monthLabels.length > 0 ? 20 : 0;
+  const gridHeight = 7 * step - cellGap;
+  const width = weeks.length * step - cellGap;
+
+  const indexOf = useMemo(
+    () => new Map(dates.map((date, i) => [date, i])),
+    [dates],
+  );
+  const weekly = useMemo(
+    () => diffByPeriod(series, dates, "week", weekStart),
+    [series, dates, weekStart],
+  );
+  const monthly = useMemo(
+    () => diffByPeriod(series, dates, "month"),
+    [series, dates],
+  );
+
+  // `only` draws a single series (side-by-side); otherwise cells are split
+  // into one vertical strip per series
+  const renderGrid = (only: number | null, key: string) => {
+    const shown = only === null ? series : [series[only]!];
+    const strip = cellSize / shown.length;
+    return (
+      <div key={key} className="relative">
+        <svg
+          width={width}
+          height={monthLabelHeight + gridHeight}
+          className="overflow-visible"
+          role="img"
+          aria-label={shown
+            .map((s) => `${s.label}: ${s.total.toLocaleString(locale)} contributions`)
+            .join(", ")}
+        >
+          <defs>
+            <clipPath id={`${clipId}-${key}`} clipPathUnits="objectBoundingBox">
+              <rect
+                width={1}
+                height={1}
+                rx={cellRx / cellSize}
+                ry={cellRx / cellSize}
+              />
+            </clipPath>
+          </defs>
+          {monthLabels.map(({ label, weekIndex }) => (
+            <text
+              key={`${label}-${weekIndex}`}
+              x={weekIndex * step}
+              y={10}
+              fontSize={14}
+              fill={labelColor}
+              fontFamily="inherit"
+            >
+              {label}
+            </text>
+          ))}
+          {weeks.map((week, wi) =>
+            week.map((date, di) => {
+              const i = date ? indexOf.get(date) : undefined;
+              if (i === undefined) return null;
+              const x = wi * step;
+              const y = monthLabelHeight + di * step;
+              return (
+                <g
+                  key={date}
+                  clipPath={`url(#${clipId}-${key})`}
+                  onMouseEnter={() =>
+                    setHover({ grid: key, i, x: x + cellSize / 2, y })
+                  }
+                  onMouseLeave={() => setHover(null)}
+                >
+                  {shown.map((s, si) => (
+                    <g key={si}>
+                      <rect
+                        x={x + si * strip}
+                        y={y}
+                        width={strip}
+                        height={cellSize}
+                        fill={emptyColor}
+                      />
+                      <rect
+                        x={x + si * strip}
+                        y={y}
+                        width={strip}
+                        height={cellSize}
+                        fill={s.color}
+                        fillOpacity={LEVEL_OPACITY[s.levels[i]!]}
+                      />
+                    </g>
+                  ))}
+                </g>
+              );
+            }),
+          )}
+        </svg>
+        {hover?.grid === key && (
+          <div
+            className="pointer-events-none absolute z-50 rounded bg-[#24292e] px-2.5 py-1 text-[11px] font-medium text-white shadow-md border border-neutral-700/30 whitespace-nowrap"
+            style={{
+              left: hover.x,
+              top: hover.y,
+              transform: "translate(-50%, calc(-100% - 6px))",
+            }}
+          >
+            {shortDate(dates[hover.i]!, locale)}
+            {shown.map((s, si) => (
+              <div key={si}>
+                <span style={{ color: s.color }}>{s.label}</span>:{" "}
+                {s.counts[hover.i]!.toLocaleString(locale)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={cn("flex flex-col gap-3", className)}>
+      <Legend
+        series={series}
+        emptyColor={emptyColor}
+        cellSize={Math.min(cellSize, 12)}
+        cellRx={cellRx}
+        locale={locale}
+      />
+
+      <div className="flex flex-col gap-3 overflow-x-auto">
+        {layout === "split"
+          ? renderGrid(null, "grid")
+          : series.map((s, i) => (
+              <div key={i} className="flex flex-col gap-1">
+                <span className="text-xs font-medium" style={{ color: s.color }}>
+                  {s.label}
+                </span>
+                {renderGrid(i, `grid-${i}`)}
+              </div>
+            ))}
+      </div>
+
+      {/* diff summary */}
+      <div className="flex flex-col gap-2 border-t border-neutral-800 pt-3">
+        <WinTally label="Weeks" diffs={weekly} series={series} />
+        <WinTally label="Months" diffs={monthly} series={series} />
+        <table className="w-full max-w-md text-left text-[11px] text-neutral-400 tabular-nums">
+          <caption className="sr-only">Contributions by month</caption>
+          <thead>
+            <tr className="text-neutral-500">
+              <th scope="col" className="py-0.5 pr-3 font-normal">
+                Month
+              </th>
+              {series.map((s, i) => (
+                <th
+                  key={i}
+                  scope="col"
+                  className="py-0.5 pr-3 text-right font-normal"
+                  style={{ color: s.color }}
+                >
+                  {s.label}
+                </th>
+              ))}
+              {series.length === 2 && (
+                <th scope="col" className="py-0.5 text-right font-normal">
+                  Diff
+                </th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {monthly.map((m) => (
+              <tr key={m.period} className="border-t border-neutral-900">
+                <th scope="row" className="py-0.5 pr-3 font-normal">
+                  {monthName(m.period, locale)}
+                </th>
+                {m.totals.map((total, i) => (
+                  <td
+                    key={i}
+                    className={cn(
+                      "py-0.5 pr-3 text-right",
+                      m.leader === i && "font-semibold text-neutral-100",
+                    )}
+                  >
+                    {total.toLocaleString(locale)}
+                  </td>
+                ))}
+                {series.length === 2 && (
+                  <td className="py-0.5 text-right">
+                    {m.totals[0]! - m.totals[1]! > 0 ? "+" : ""}
+                    {(m.totals[0]! - m.totals[1]!).toLocaleString(locale)}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
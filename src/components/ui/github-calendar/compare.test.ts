@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { compareLabel } from "./compare";
+
+describe("compareLabel", () => {
+  const year = ["2025-01-01", "2025-06-30", "2025-12-31"];
+  const rolling = ["2024-10-19", "2025-10-18"];
+
+  it("prefers the given label", () => {
+    expect(compareLabel({ username: "alice", label: "Alice", yearsBack: 1 }, 0, year)).toBe("Alice");
+  });
+
+  it("falls back to the username, then the position", () => {
+    expect(compareLabel({ username: "alice" }, 0, year)).toBe("alice");
+    expect(compareLabel({ data: {} }, 1, year)).toBe("Source 3");
+  });
+
+  it("names the years a shifted source shows", () => {
+    expect(compareLabel({ username: "alice", yearsBack: 1 }, 0, year)).toBe("alice 2024");
+    expect(compareLabel({ username: "alice", yearsBack: 2 }, 0, rolling)).toBe("alice 2022–2023");
+  });
+});
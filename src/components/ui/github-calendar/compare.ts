@@ -0,0 +1,219 @@
+import { useEffect, useMemo, useState } from "react";
+import { cacheKey, readCache, withRetry, writeCache } from "./cache";
+import { parseDate } from "./dates";
+import type { WeekStart } from "./locale";
+import type { ContributionProvider } from "./providers";
+import { dayCount } from "./stats";
+import type { ContributionData, ContributionLevel } from "./types";
+
+// ─── Compare mode ─────────────────────────────────────────────────────────────
+//
+// Every compared source is projected onto the calendar's own dates. Levels are
+// recomputed on one shared scale (the busiest day across everyone is level 4),
+// so the same shade means the same amount of work for each person.
+
+export type CompareSource = {
+  username?: string;
+  /** Manual data instead of fetching `username`. */
+  data?: ContributionData;
+  /** Defaults to the calendar's own provider. */
+  provider?: ContributionProvider;
+  /** Legend name; defaults to the username. */
+  label?: string;
+  color?: string;
+  /** Shows this source's data from that many years earlier — for before/after views. */
+  yearsBack?: number;
+};
+
+export type ComparedSeries = {
+  label: string;
+  color: string;
+  counts: number[];
+  levels: ContributionLevel[];
+  total: number;
+};
+
+export const COMPARE_COLORS = ["#39d353", "#f778ba", "#58a6ff", "#f0883e"];
+
+/** Sources beyond this are ignored, so every series keeps its own colour. */
+export const MAX_COMPARE_SOURCES = COMPARE_COLORS.length - 1;
+
+function shiftYears(date: string, years: number): string {
+  if (!years) return date;
+  return `${Number(date.slice(0, 4)) - years}${date.slice(4)}`;
+}
+
+/**
+ * Legend name for the source at `index`. A shifted source names the years it
+ * shows, so comparing someone with their own past reads "alice" vs "alice 2024".
+ */
+export function compareLabel(
+  source: CompareSource,
+  index: number,
+  dates: string[],
+): string {
+  if (source.label) return source.label;
+  const name = source.username ?? `Source ${index + 2}`;
+  if (!source.yearsBack || dates.length === 0) return name;
+  const first = shiftYears(dates[0]!, source.yearsBack).slice(0, 4);
+  const last = shiftYears(dates[dates.length - 1]!, source.yearsBack).slice(0, 4);
+  return `${name} ${first === last ? first : `${first}–${last}`}`;
+}
+
+// Manual data objects get a stable id so signatures notice when they change
+const dataIds = new WeakMap<ContributionData, number>();
+let nextDataId = 0;
+
+function dataId(data: ContributionData): number {
+  let id = dataIds.get(data);
+  if (id === undefined) dataIds.set(data, (id = nextDataId++));
+  return id;
+}
+
+/**
+ * Changes whenever anything that affects the comparison changes. Sources are
+ * usually declared inline, so this stands in for their identity.
+ */
+export function sourcesSignature(
+  sources: CompareSource[],
+  defaultProvider: ContributionProvider,
+): string {
+  return JSON.stringify(
+    sources.map((s) => [
+      s.data ? dataId(s.data) : null,
+      s.username ?? null,
+      (s.provider ?? defaultProvider).id,
+      s.label ?? null,
+      s.color ?? null,
+      s.yearsBack ?? 0,
+    ]),
+  );
+}
+
+/**
+ * Fetches every source that has a username and no manual data, through the
+ * same cache as the main calendar. Results line up with `sources`; null while
+ * loading or after a failure.
+ */
+export function useCompareSources(
+  sources: CompareSource[],
+  defaultProvider: ContributionProvider,
+): { data: (ContributionData | null)[]; errors: (string | null)[] } {
+  const [fetched, setFetched] = useState<Record<string, ContributionData>>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
+
+  const keys = sources.map((s) =>
+    s.data || !s.username
+      ? null
+      : cacheKey((s.provider ?? defaultProvider).id, s.username),
+  );
+  const signature = sourcesSignature(sources, defaultProvider);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    sources.forEach((source, i) => {
+      const key = keys[i];
+      if (!key || !source.username) return;
+      const hit = readCache(key);
+      if (hit) setFetched((f) => ({ ...f, [key]: hit.data }));
+      const provider = source.provider ?? defaultProvider;
+      withRetry(
+        () => provider.fetch(source.username!, { signal: controller.signal }),
+        { signal: controller.signal },
+      )
+        .then((d) => {
+          const entry = writeCache(key, d);
+          setFetched((f) => ({ ...f, [key]: entry.data }));
+        })
+        .catch((e) => {
+          if (controller.signal.aborted) return;
+          setErrors((errs) => ({
+            ...errs,
+            [key]: e instanceof Error ? e.message : String(e),
+          }));
+        });
+    });
+    return () => controller.abort();
+  }, [signature]);
+
+  return useMemo(
+    () => ({
+      data: sources.map((s, i) =>
+        s.data ?? (keys[i] ? (fetched[keys[i]!] ?? null) : null),
+      ),
+      errors: keys.map((key) => (key ? (errors[key] ?? null) : null)),
+    }),
+    [signature, fetched, errors],
+  );
+}
+
+/** Projects each source onto `dates` and assigns levels on a shared scale. */
+export function buildComparedSeries(
+  sources: { label: string; color: string; data: ContributionData; yearsBack?: number }[],
+  dates: string[],
+): ComparedSeries[] {
+  const counted = sources.map((source) => {
+    const entries = dates.map(
+      (date) => source.data[shiftYears(date, source.yearsBack ?? 0)],
+    );
+    return { source, entries, counts: entries.map(dayCount) };
+  });
+  const max = Math.max(0, ...counted.flatMap(({ counts }) => counts));
+
+  return counted.map(({ source, entries, counts }) => ({
+    label: source.label,
+    color: source.color,
+    counts,
+    total: counts.reduce((sum, c) => sum + c, 0),
+    levels: entries.map((entry, i): ContributionLevel => {
+      // Level-only data (no counts) keeps its own levels
+      if (entry && entry.count === undefined) return entry.level;
+      const count = counts[i]!;
+      if (count <= 0 || max === 0) return 0;
+      return Math.min(4, Math.ceil((count / max) * 4)) as ContributionLevel;
+    }),
+  }));
+}
+
+export type PeriodDiff = {
+  /** First day of the week, or "YYYY-MM". */
+  period: string;
+  totals: number[];
+  /** Index of the most active series, or null for a tie. */
+  leader: number | null;
+};
+
+/** Totals per series for every week or month covered by `dates`. */
+export function diffByPeriod(
+  series: ComparedSeries[],
+  dates: string[],
+  by: "week" | "month",
+  weekStart: WeekStart = 0,
+): PeriodDiff[] {
+  const periods: PeriodDiff[] = [];
+  let current: PeriodDiff | null = null;
+
+  dates.forEach((date, i) => {
+    const startsPeriod =
+      !current ||
+      (by === "month"
+        ? date.slice(0, 7) !== current.period
+        : parseDate(date).getDay() === weekStart);
+    if (startsPeriod) {
+      current = {
+        period: by === "month" ? date.slice(0, 7) : date,
+        totals: series.map(() => 0),
+        leader: null,
+      };
+      periods.push(current);
+    }
+    series.forEach((s, si) => (current!.totals[si]! += s.counts[i]!));
+  });
+
+  for (const p of periods) {
+    const best = Math.max(...p.totals);
+    const leaders = p.totals.flatMap((t, i) => (t === best ? [i] : []));
+    p.leader = best > 0 && leaders.length === 1 ? leaders[0]! : null;
+  }
+  return periods;
+}
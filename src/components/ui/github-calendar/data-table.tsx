@@ -0,0 +1,76 @@
+import { cn } from "@/lib/utils";
+import { formatDay } from "./locale";
+import { dayCount } from "./stats";
+import type { ContributionData } from "./types";
+
+// ─── Data-table fallback ──────────────────────────────────────────────────────
+//
+// A plain table of the same days the grid shows, for visitors who prefer (or
+// need) to read the numbers rather than scan colours.
+
+export function ContributionTable({
+  data,
+  dates,
+  caption,
+  locale,
+  className,
+}: {
+  data: ContributionData;
+  /** Days to list, oldest first. */
+  dates: string[];
+  caption: string;
+  locale?: string;
+  className?: string;
+}) {
+  return (
+    <div
+      className={cn(
+        "max-h-72 overflow-y-auto rounded border border-neutral-800",
+        className,
+      )}
+      tabIndex={0}
+    >
+      <table className="w-full text-left text-xs text-neutral-300">
+        <caption className="sr-only">{caption}</caption>
+        <thead className="sticky top-0 bg-neutral-950 text-[10px] uppercase tracking-widest text-neutral-500">
+          <tr>
+            <th scope="col" className="px-3 py-2 font-medium">
+              Date
+            </th>
+            <th scope="col" className="px-3 py-2 text-right font-medium">
+              Contributions
+            </th>
+            <th scope="col" className="px-3 py-2 font-medium">
+              Note
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...dates].reverse().map((date) => {
+            const entry = data[date];
+            return (
+              <tr key={date} className="border-t border-neutral-900">
+                <th scope="row" className="px-3 py-1.5 font-normal">
+                  <time dateTime={date}>
+                    {formatDay(date, locale, {
+                      weekday: "short",
+                      year: "numeric",
+                      month: "short",
+                      day: "numeric",
+                    })}
+                  </time>
+                </th>
+                <td className="px-3 py-1.5 text-right tabular-nums">
+                  {dayCount(entry).toLocaleString(locale)}
+                </td>
+                <td className="px-3 py-1.5 text-neutral-500">
+                  {entry?.label ?? ""}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+// ─── Date helpers ─────────────────────────────────────────────────────────────
+//
+// Calendar dates are plain "YYYY-MM-DD" strings; these helpers convert them to
+// and from local `Date` objects. Parsed dates sit at local noon: midnight can
+// fall into a DST gap (and then rolls over to the previous or next day), noon
+// never does, so day arithmetic and the local getters always agree.
+
+export function parseDate(dateStr: string): Date {
+  const parts = dateStr.split("-").map(Number);
+  const y = parts[0] ?? 0;
+  const m = parts[1] ?? 1;
+  const d = parts[2] ?? 1;
+  return new Date(y, m - 1, d, 12);
+}
+
+export function formatDate(date: Date): string {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function addDays(date: Date, days: number): Date {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// ─── Periods ──────────────────────────────────────────────────────────────────
+
+export type RangeMode = "rolling" | "calendar";
+
+/**
+ * Resolves the date range `offset` periods before `baseEnd`. A rolling period
+ * is the 12 months ending on that day; a calendar period is Jan 1 – Dec 31,
+ * clipped to `baseEnd` for the current year.
+ */
+export function resolvePeriod(
+  mode: RangeMode,
+  baseEnd: string,
+  offset: number,
+): { start: string; end: string } {
+  const base = parseDate(baseEnd);
+  if (mode === "calendar") {
+    const year = base.getFullYear() - offset;
+    const end = offset === 0 ? baseEnd : `${year}-12-31`;
+    return { start: `${year}-01-01`, end };
+  }
+  const end = addYears(base, -offset);
+  const start = addDays(addYears(end, -1), 1);
+  return { start: formatDate(start), end: formatDate(end) };
+}
+
+/** Same day `years` later; Feb 29 becomes Feb 28 in non-leap years. */
+function addYears(date: Date, years: number): Date {
+  const d = new Date(date);
+  d.setFullYear(d.getFullYear() + years);
+  if (d.getDate() !== date.getDate()) d.setDate(0);
+  return d;
+}
+
+/** Years covered by `dates`, newest first, always including `baseEnd`'s year. */
+export function yearsCovered(dates: string[], baseEnd: string): number[] {
+  const last = parseDate(baseEnd).getFullYear();
+  let first = last;
+  for (const d of dates) {
+    const y = Number(d.slice(0, 4));
+    if (y && y < first) first = y;
+  }
+  return Array.from({ length: last - first + 1 }, (_, i) => last - i);
+}
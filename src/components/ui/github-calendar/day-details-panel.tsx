@@ -0,0 +1,210 @@
+import { useEffect, useId, useRef, useState, type KeyboardEvent } from "react";
+import { cn } from "@/lib/utils";
+import { formatDay } from "./locale";
+import type { DayDetailsProvider } from "./providers";
+import type { CalendarAnnotation, DayDetails, RepositoryActivity } from "./types";
+
+// ─── Day drill-down ───────────────────────────────────────────────────────────
+
+type ActivityKind = "commits" | "pullRequests" | "issues" | "reviews";
+
+const KINDS: { key: ActivityKind; one: string; many: string }[] = [
+  { key: "commits", one: "commit", many: "commits" },
+  { key: "pullRequests", one: "pull request", many: "pull requests" },
+  { key: "issues", one: "issue", many: "issues" },
+  { key: "reviews", one: "review", many: "reviews" },
+];
+
+function RepositoryRow({
+  activity,
+  accentColor,
+  locale,
+}: {
+  activity: RepositoryActivity;
+  accentColor: string;
+  locale?: string;
+}) {
+  return (
+    <li className="flex flex-wrap items-baseline justify-between gap-x-4 gap-y-1 py-1.5">
+      {activity.url ? (
+        <a
+          href={activity.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="font-medium text-neutral-100 underline decoration-neutral-700 underline-offset-4 hover:decoration-neutral-400"
+        >
+          {activity.repository}
+        </a>
+      ) : (
+        <span className="font-medium text-neutral-100">{activity.repository}</span>
+      )}
+      <span className="flex flex-wrap gap-1.5">
+        {KINDS.map(({ key, one, many }) => {
+          const n = activity[key] ?? 0;
+          if (n === 0) return null;
+          return (
+            <span
+              key={key}
+              className="rounded-full border px-2 py-px text-[10px] tabular-nums"
+              style={{ borderColor: accentColor, color: accentColor }}
+            >
+              {n.toLocaleString(locale)} {n === 1 ? one : many}
+            </span>
+          );
+        })}
+      </span>
+    </li>
+  );
+}
+
+export function DayDetailsPanel({
+  date,
+  username,
+  provider,
+  events,
+  onFollowEvent,
+  accentColor,
+  locale,
+  onClose,
+  className,
+}: {
+  date: string;
+  username: string;
+  provider: DayDetailsProvider;
+  /** Annotations covering the day, linked from the panel. */
+  events?: CalendarAnnotation[];
+  onFollowEvent: (annotation: CalendarAnnotation) => void;
+  accentColor: string;
+  locale?: string;
+  onClose: () => void;
+  className?: string;
+}) {
+  const [details, setDetails] = useState<DayDetails | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const headingRef = useRef<HTMLHeadingElement>(null);
+  const headingId = useId();
+
+  // Providers are usually built inline, so refetch on `provider.id` only
+  const providerRef = useRef(provider);
+  providerRef.current = provider;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setDetails(null);
+    setError(null);
+    providerRef.current
+      .fetchDay(username, date, { signal: controller.signal })
+      .then(setDetails)
+      .catch((e) => {
+        if (controller.signal.aborted) return;
+        setError(e instanceof Error ? e.message : String(e));
+      });
+    return () => controller.abort();
+  }, [provider.id, username, date]);
+
+  // Move focus into the panel so screen readers announce the new day
+  useEffect(() => {
+    headingRef.current?.focus({ preventScroll: true });
+  }, [date]);
+
+  const onKeyDown = (e: KeyboardEvent) => {
+    if (e.key !== "Escape") return;
+    e.stopPropagation();
+    onClose();
+  };
+
+  const totals = KINDS.map(({ key, one, many }) => {
+    const n = (details?.repositories ?? []).reduce(
+      (sum, a) => sum + (a[key] ?? 0),
+      0,
+    );
+    return n > 0 ? `${n.toLocaleString(locale)} ${n === 1 ? one : many}` : null;
+  }).filter(Boolean);
+
+  return (
+    <section
+      aria-labelledby={headingId}
+      onKeyDown={onKeyDown}
+      className={cn(
+        "flex flex-col gap-2 rounded border border-neutral-800 px-3 py-2 text-xs text-neutral-400",
+        className,
+      )}
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex flex-col gap-0.5">
+          <h3
+            ref={headingRef}
+            id={headingId}
+            tabIndex={-1}
+            className="text-sm font-semibold text-neutral-100 outline-none"
+          >
+            {formatDay(date, locale, {
+              weekday: "long",
+              month: "long",
+              day: "numeric",
+              year: "numeric",
+            })}
+          </h3>
+          {totals.length > 0 && (
+            <span className="text-[11px]">{totals.join(" · ")}</span>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Close day details"
+          className="flex h-6 w-6 shrink-0 items-center justify-center rounded border border-neutral-800 text-neutral-300 transition-colors hover:border-neutral-600 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+        >
+          ×
+        </button>
+      </div>
+
+      {events && events.length > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {events.map((event) => (
+            <li key={event.title}>
+              {event.href ? (
+                <button
+                  type="button"
+                  onClick={() => onFollowEvent(event)}
+                  className="text-[11px] underline decoration-neutral-700 underline-offset-4 hover:text-neutral-200"
+                  style={{ color: event.color }}
+                >
+                  {event.title} →
+                </button>
+              ) : (
+                <span className="text-[11px]" style={{ color: event.color }}>
+                  {event.title}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div aria-live="polite" aria-busy={!details && !error}>
+        {error ? (
+          <p className="text-destructive">{error}</p>
+        ) : !details ? (
+          <div className="flex flex-col gap-1.5 py-1 animate-pulse">
+            <div className="h-3 w-2/3 rounded bg-neutral-800" />
+            <div className="h-3 w-1/2 rounded bg-neutral-800" />
+          </div>
+        ) : details.repositories.length === 0 ? (
+          <p>No repository activity recorded for this day.</p>
+        ) : (
+          <ul className="divide-y divide-neutral-900">
+            {details.repositories.map((activity) => (
+              <RepositoryRow
+                key={activity.repository}
+                activity={activity}
+                accentColor={accentColor}
+                locale={locale}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState, type KeyboardEvent } from "react";
+import { cn } from "@/lib/utils";
+import {
+  buildCalendarSvg,
+  canCopyImage,
+  copyImage,
+  downloadBlob,
+  svgBlob,
+  svgToPng,
+  type ExportOptions,
+} from "./export";
+
+// ─── Download menu ────────────────────────────────────────────────────────────
+
+type ExportAction =
+  | { kind: "svg" }
+  | { kind: "png"; scale: number }
+  | { kind: "copy" };
+
+const ACTIONS: { label: string; action: ExportAction }[] = [
+  { label: "SVG", action: { kind: "svg" } },
+  { label: "PNG 1×", action: { kind: "png", scale: 1 } },
+  { label: "PNG 2×", action: { kind: "png", scale: 2 } },
+  { label: "PNG 3×", action: { kind: "png", scale: 3 } },
+  { label: "Copy image", action: { kind: "copy" } },
+];
+
+export function ExportMenu({
+  getExportOptions,
+  filename,
+  className,
+}: {
+  /** Called on demand so the export always reflects the current view. */
+  getExportOptions: () => ExportOptions;
+  filename: string;
+  className?: string;
+}) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState<string | null>(null);
+  const rootRef = useRef<HTMLDivElement>(null);
+  const buttonRef = useRef<HTMLButtonElement>(null);
+  const itemRefs = useRef<(HTMLButtonElement | null)[]>([]);
+
+  const actions = ACTIONS.filter(
+    ({ action }) => action.kind !== "copy" || canCopyImage(),
+  );
+
+  // Close on outside click; the menu opens upwards since the calendar clips
+  // overflow below its footer
+  useEffect(() => {
+    if (!open) return;
+    // composedPath() sees through shadow roots, where `target` is the host
+    const onPointerDown = (e: PointerEvent) => {
+      const root = rootRef.current;
+      if (root && !e.composedPath().includes(root)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    itemRefs.current[0]?.focus();
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  useEffect(() => {
+    if (!status) return;
+    const t = setTimeout(() => setStatus(null), 2000);
+    return () => clearTimeout(t);
+  }, [status]);
+
+  const run = async (action: ExportAction) => {
+    setOpen(false);
+    buttonRef.current?.focus();
+    const { svg, width, height } = buildCalendarSvg(getExportOptions());
+    try {
+      if (action.kind === "svg") {
+        downloadBlob(svgBlob(svg), `${filename}.svg`);
+      } else if (action.kind === "png") {
+        const png = await svgToPng(svg, width, height, action.scale);
+        downloadBlob(png, `${filename}@${action.scale}x.png`);
+      } else {
+        await copyImage(svgToPng(svg, width, height, 2));
+        setStatus("Copied");
+      }
+    } catch (e) {
+      setStatus(e instanceof Error ? e.message : "Export failed");
+    }
+  };
+
+  const onMenuKeyDown = (e: KeyboardEvent) => {
+    const items = itemRefs.current.filter(Boolean) as HTMLButtonElement[];
+    const index = items.indexOf(e.target as HTMLButtonElement);
+    if (e.key === "Escape") {
+      e.preventDefault();
+      setOpen(false);
+      buttonRef.current?.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const delta = e.key === "ArrowDown" ? 1 : -1;
+      items[(index + delta + items.length) % items.length]?.focus();
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      items[e.key === "Home" ? 0 : items.length - 1]?.focus();
+    } else if (e.key === "Tab") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={rootRef} className={cn("relative", className)}>
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+        className="flex h-6 items-center gap-1 rounded border border-neutral-800 px-2 text-[11px] text-neutral-300 transition-colors hover:border-neutral-600 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+      >
+        <svg
+          width="12"
+          height="12"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          aria-hidden="true"
+        >
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="7 10 12 15 17 10" />
+          <line x1="12" y1="15" x2="12" y2="3" />
+        </svg>
+        {status ?? "Download"}
+      </button>
+      {open && (
+        <div
+          role="menu"
+          aria-label="Export calendar"
+          onKeyDown={onMenuKeyDown}
+          className="absolute left-0 bottom-full z-50 mb-1 flex min-w-[8rem] flex-col rounded border border-neutral-800 bg-neutral-950 py-1 text-[11px] text-neutral-300 shadow-lg"
+        >
+          {actions.map(({ label, action }, i) => (
+            <button
+              key={label}
+              ref={(el) => (itemRefs.current[i] = el)}
+              type="button"
+              role="menuitem"
+              tabIndex={-1}
+              onClick={() => run(action)}
+              className="px-3 py-1.5 text-left hover:bg-neutral-800 hover:text-white focus:bg-neutral-800 focus:text-white focus:outline-none"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import type { MonthLabel } from "./grid";
+import type { ContributionData } from "./types";
+
+// ─── Image export ─────────────────────────────────────────────────────────────
+//
+// Serialises the current calendar view into a standalone SVG (no stylesheet,
+// no web fonts — every colour and font is inlined) and rasterises it to PNG.
+
+export type ExportOptions = {
+  weeks: (string | null)[][];
+  data: ContributionData;
+  monthLabels: MonthLabel[];
+  colors: string[];
+  cellSize: number;
+  cellGap: number;
+  cellRx: number;
+  background: string;
+  textColor: string;
+  mutedColor: string;
+  /** Footer text, e.g. "387 contributions in the last year". */
+  caption?: string;
+};
+
+const PADDING = 16;
+const MONTH_LABEL_HEIGHT = 20;
+const FOOTER_HEIGHT = 28;
+const FONT_FAMILY =
+  "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function buildCalendarSvg({
+  weeks,
+  data,
+  monthLabels,
+  colors,
+  cellSize,
+  cellGap,
+  cellRx,
+  background,
+  textColor,
+  mutedColor,
+  caption,
+}: ExportOptions): { svg: string; width: number; height: number } {
+  const step = cellSize + cellGap;
+  const gridWidth = weeks.length * step - cellGap;
+  const gridHeight = 7 * step - cellGap;
+  const width = gridWidth + PADDING * 2;
+  const height =
+    PADDING * 2 + MONTH_LABEL_HEIGHT + gridHeight + FOOTER_HEIGHT;
+  const gridTop = PADDING + MONTH_LABEL_HEIGHT;
+  const color = (level: number) => colors[level] ?? colors[0] ?? "#000";
+
+  const parts: string[] = [];
+  parts.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<rect width="100%" height="100%" fill="${background}"/>`,
+  );
+
+  for (const { label, weekIndex } of monthLabels) {
+    parts.push(
+      `<text x="${PADDING + weekIndex * step}" y="${PADDING + 10}" font-size="12" fill="${textColor}">${escapeXml(label)}</text>`,
+    );
+  }
+
+  weeks.forEach((week, wi) =>
+    week.forEach((date, di) => {
+      if (!date) return;
+      const entry = data[date];
+      const count = entry?.count;
+      parts.push(
+        `<rect x="${PADDING + wi * step}" y="${gridTop + di * step}" width="${cellSize}" height="${cellSize}" rx="${cellRx}" fill="${color(entry?.level ?? 0)}">` +
+          `<title>${date}${count !== undefined ? `: ${count}` : ""}</title></rect>`,
+      );
+    }),
+  );
+
+  // Footer: caption on the left, Less → More legend on the right
+  const footerY = gridTop + gridHeight + FOOTER_HEIGHT - 8;
+  if (caption) {
+    parts.push(
+      `<text x="${PADDING}" y="${footerY}" font-size="12" fill="${mutedColor}">${escapeXml(caption)}</text>`,
+    );
+  }
+  const legendCell = Math.min(cellSize, 11);
+  const legendWidth = colors.length * (legendCell + 3) - 3;
+  let x = width - PADDING - legendWidth - 34;
+  parts.push(
+    `<text x="${x - 4}" y="${footerY}" font-size="11" fill="${mutedColor}" text-anchor="end">Less</text>`,
+  );
+  colors.forEach((c) => {
+    parts.push(
+      `<rect x="${x}" y="${footerY - legendCell + 1}" width="${legendCell}" height="${legendCell}" rx="${Math.min(cellRx, legendCell / 2)}" fill="${c}"/>`,
+    );
+    x += legendCell + 3;
+  });
+  parts.push(
+    `<text x="${x + 1}" y="${footerY}" font-size="11" fill="${mutedColor}">More</text>`,
+    "</svg>",
+  );
+
+  return { svg: parts.join(""), width, height };
+}
+
+export function svgBlob(svg: string): Blob {
+  return new Blob([svg], { type: "image/svg+xml;charset=utf-8" });
+}
+
+/** Rasterises an SVG string to a PNG at `scale`× its intrinsic size. */
+export function svgToPng(
+  svg: string,
+  width: number,
+  height: number,
+  scale = 1,
+): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(svgBlob(svg));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return reject(new Error("Canvas is not supported"));
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Could not encode PNG")),
+        "image/png",
+      );
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render SVG"));
+    };
+    img.src = url;
+  });
+}
+
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function canCopyImage(): boolean {
+  return (
+    typeof navigator !== "undefined" &&
+    !!navigator.clipboard?.write &&
+    typeof ClipboardItem !== "undefined"
+  );
+}
+
+export async function copyImage(png: Promise<Blob>) {
+  // Safari requires the ClipboardItem to be created synchronously within the
+  // click handler, so it receives the pending blob rather than awaiting it
+  await navigator.clipboard.write([new ClipboardItem({ "image/png": png })]);
+}
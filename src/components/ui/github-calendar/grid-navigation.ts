@@ -0,0 +1,116 @@
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+  type KeyboardEvent,
+} from "react";
+
+// ─── Roving tabindex for the contribution grid ────────────────────────────────
+//
+// The grid is laid out in columns (weeks) of seven rows (weekdays). Exactly one
+// cell is tabbable at a time; arrow keys move it and the browser focus with it.
+//
+//   ←/→           previous / next week
+//   ↑/↓           previous / next day
+//   Home/End      first / last day in the row (Ctrl: in the whole range)
+//   PageUp/Down   four weeks back / forward
+
+type Weeks = (string | null)[][];
+
+function firstInRow(weeks: Weeks, di: number, from = 0, dir = 1): number {
+  for (let wi = from; wi >= 0 && wi < weeks.length; wi += dir) {
+    if (weeks[wi]?.[di]) return wi;
+  }
+  return -1;
+}
+
+export function useGridNavigation(
+  weeks: Weeks,
+  cellElementId: (date: string) => string,
+) {
+  const positions = useMemo(() => {
+    const map = new Map<string, [number, number]>();
+    weeks.forEach((week, wi) =>
+      week.forEach((date, di) => {
+        if (date) map.set(date, [wi, di]);
+      }),
+    );
+    return map;
+  }, [weeks]);
+
+  const dates = useMemo(() => Array.from(positions.keys()).sort(), [positions]);
+  const lastDate = dates[dates.length - 1] ?? null;
+
+  const [activeDate, setActiveDate] = useState<string | null>(null);
+
+  // Keep the tabbable cell inside the visible range (defaults to the newest day)
+  useEffect(() => {
+    if (!activeDate || !positions.has(activeDate)) setActiveDate(lastDate);
+  }, [positions, activeDate, lastDate]);
+
+  // Cells are looked up from the grid's own root node so the calendar also
+  // works inside a shadow root (the <github-calendar> element)
+  const focusDate = useCallback(
+    (date: string, from: Node) => {
+      setActiveDate(date);
+      const root = from.getRootNode() as Document | ShadowRoot;
+      root.getElementById(cellElementId(date))?.focus();
+    },
+    [cellElementId],
+  );
+
+  const onKeyDown = useCallback(
+    (e: KeyboardEvent) => {
+      if (!activeDate) return;
+      const pos = positions.get(activeDate);
+      if (!pos) return;
+      const [wi, di] = pos;
+
+      const at = (w: number, d: number) => weeks[w]?.[d] ?? null;
+      let target: string | null = null;
+
+      switch (e.key) {
+        case "ArrowLeft":
+          target = at(wi - 1, di);
+          break;
+        case "ArrowRight":
+          target = at(wi + 1, di);
+          break;
+        case "ArrowUp":
+          target = at(wi, di - 1);
+          break;
+        case "ArrowDown":
+          target = at(wi, di + 1);
+          break;
+        case "Home":
+          target = e.ctrlKey
+            ? (dates[0] ?? null)
+            : at(firstInRow(weeks, di), di);
+          break;
+        case "End":
+          target = e.ctrlKey
+            ? lastDate
+            : at(firstInRow(weeks, di, weeks.length - 1, -1), di);
+          break;
+        case "PageUp":
+          target =
+            at(wi - 4, di) ?? at(firstInRow(weeks, di, Math.max(0, wi - 4)), di);
+          break;
+        case "PageDown":
+          target =
+            at(wi + 4, di) ??
+            at(firstInRow(weeks, di, Math.min(weeks.length - 1, wi + 4), -1), di);
+          break;
+        default:
+          return;
+      }
+
+      e.preventDefault();
+      if (target) focusDate(target, e.currentTarget as Node);
+    },
+    [activeDate, positions, weeks, dates, lastDate, focusDate],
+  );
+
+  return { activeDate, setActiveDate, onKeyDown };
+}
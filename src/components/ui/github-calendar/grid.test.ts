@@ -0,0 +1,108 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { buildGrid, type CalendarGrid } from "./grid";
+import type { WeekStart } from "./locale";
+
+// Dates are local `Date` math, so run the checks in zones with DST: New York
+// and London change at 2am, Santiago at midnight (the day starts at 1am)
+const ZONES = ["America/New_York", "Europe/London", "America/Santiago"];
+
+// ─── Expectations, worked out in UTC so they don't share the code's DST path ──
+
+function utc(date: string): number {
+  const [y, m, d] = date.split("-").map(Number);
+  return Date.UTC(y!, m! - 1, d!);
+}
+
+function weekday(date: string): number {
+  return new Date(utc(date)).getUTCDay();
+}
+
+function dayRange(start: string, end: string): string[] {
+  const days: string[] = [];
+  for (let t = utc(start); t <= utc(end); t += 86_400_000) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+function expectedColumns(start: string, end: string, weekStart: WeekStart): number {
+  const lead = (weekday(start) - weekStart + 7) % 7;
+  return Math.ceil((lead + dayRange(start, end).length) / 7);
+}
+
+/** Checks every day shows up once, in order, in its weekday's row. */
+function expectWellFormed(grid: CalendarGrid, start: string, end: string, weekStart: WeekStart) {
+  expect(grid.weeks).toHaveLength(expectedColumns(start, end, weekStart));
+  for (const week of grid.weeks) expect(week).toHaveLength(7);
+
+  const days = grid.weeks.flat().filter((d): d is string => d !== null);
+  expect(days).toEqual(dayRange(start, end));
+
+  grid.weeks.forEach((week) =>
+    week.forEach((date, row) => {
+      if (date) expect(weekday(date)).toBe((weekStart + row) % 7);
+    }),
+  );
+}
+
+const originalTimeZone = process.env.TZ;
+afterAll(() => {
+  process.env.TZ = originalTimeZone;
+});
+
+for (const zone of ZONES) {
+  describe(`buildGrid in ${zone}`, () => {
+    beforeAll(() => {
+      process.env.TZ = zone;
+    });
+
+    it("runs in a zone with DST", () => {
+      const winter = new Date(2025, 0, 15, 12).getTimezoneOffset();
+      const summer = new Date(2025, 6, 15, 12).getTimezoneOffset();
+      expect(winter).not.toBe(summer);
+    });
+
+    it("lays out a leap year with Feb 29", () => {
+      const grid = buildGrid("2024-01-01", "2024-12-31", 0, "en-US");
+      expectWellFormed(grid, "2024-01-01", "2024-12-31", 0);
+      expect(grid.weeks.flat().filter(Boolean)).toHaveLength(366);
+      expect(grid.weeks.flat()).toContain("2024-02-29");
+      expect(grid.weeks).toHaveLength(53);
+      expect(grid.gridStart).toBe("2023-12-31");
+    });
+
+    it("lays out a common year without Feb 29", () => {
+      const grid = buildGrid("2023-01-01", "2023-12-31", 1, "en-US");
+      expectWellFormed(grid, "2023-01-01", "2023-12-31", 1);
+      expect(grid.weeks.flat()).not.toContain("2023-02-29");
+      expect(grid.weeks.flat()).toContain("2023-03-01");
+    });
+
+    it("crosses a leap day in a rolling range", () => {
+      expectWellFormed(buildGrid("2023-06-15", "2024-06-14", 0), "2023-06-15", "2024-06-14", 0);
+      expectWellFormed(buildGrid("2027-09-01", "2028-03-31", 6), "2027-09-01", "2028-03-31", 6);
+    });
+
+    it("crosses spring-forward and fall-back without losing or repeating a day", () => {
+      // US: Mar 9 / Nov 2 2025; EU: Mar 30 / Oct 26 2025; Chile: Apr 6 / Sep 7 2025
+      for (const weekStart of [0, 1, 6] as WeekStart[]) {
+        for (const [start, end] of [["2025-01-01", "2025-12-31"], ["2025-03-01", "2025-11-30"]]) {
+          expectWellFormed(buildGrid(start!, end!, weekStart), start!, end!, weekStart);
+        }
+      }
+      expect(buildGrid("2025-03-01", "2025-11-30", 0).weeks).toHaveLength(41);
+      expect(buildGrid("2025-03-01", "2025-11-30", 1).weeks).toHaveLength(40);
+    });
+
+    it("labels each month at the week holding its first day", () => {
+      const grid = buildGrid("2025-03-01", "2025-11-30", 0, "en-US");
+      expect(grid.monthLabels.map((m) => m.label)).toEqual([
+        "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov",
+      ]);
+      for (const { weekIndex } of grid.monthLabels) {
+        const firsts = grid.weeks[weekIndex]!.filter((d) => d?.endsWith("-01"));
+        expect(firsts).toHaveLength(1);
+      }
+    });
+  });
+}
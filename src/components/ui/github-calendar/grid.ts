@@ -0,0 +1,98 @@
+import { addDays, formatDate, parseDate } from "./dates";
+import { formatDay, type WeekStart } from "./locale";
+
+// ─── Build calendar grid ──────────────────────────────────────────────────────
+
+export type MonthLabel = { label: string; weekIndex: number };
+
+export type CalendarGrid = {
+  weeks: (string | null)[][];
+  monthLabels: MonthLabel[];
+  gridStart: string;
+};
+
+/**
+ * Lays `startDate` … `endDate` out in week columns starting on `weekStart`.
+ * Month labels are short month names in `locale`.
+ */
+export function buildGrid(
+  startDate: string,
+  endDate: string,
+  weekStart: WeekStart,
+  locale?: string,
+): CalendarGrid {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+
+  const startDow = start.getDay();
+  const offset = (startDow - weekStart + 7) % 7;
+  const gridStart = addDays(start, -offset);
+
+  const weeks: (string | null)[][] = [];
+  const monthLabels: MonthLabel[] = [];
+
+  let current = new Date(gridStart);
+  let weekIndex = 0;
+  let lastMonth = -1;
+
+  while (
+    current <= end ||
+    (weeks.length > 0 && (weeks[weeks.length - 1]?.length ?? 0) < 7)
+  ) {
+    const week: (string | null)[] = [];
+
+    for (let d = 0; d < 7; d++) {
+      const dateStr = formatDate(current);
+      const isInRange = current >= start && current <= end;
+      week.push(isInRange ? dateStr : null);
+
+      if (isInRange && current.getMonth() !== lastMonth) {
+        lastMonth = current.getMonth();
+        monthLabels.push({
+          label: formatDay(dateStr, locale, { month: "short" }),
+          weekIndex,
+        });
+      }
+
+      current = addDays(current, 1);
+    }
+
+    weeks.push(week);
+    weekIndex++;
+
+    if (
+      current > end &&
+      weeks.length > 0 &&
+      (weeks[weeks.length - 1]?.every(
+        (d) => d === null || parseDate(d) > end,
+      ) ??
+        false)
+    )
+      break;
+  }
+
+  return { weeks, monthLabels, gridStart: formatDate(gridStart) };
+}
+
+/**
+ * Drops month labels that would collide: the first month when it is less than
+ * three weeks wide, and any month starting within three weeks of the last one.
+ */
+export function visibleMonthLabels(monthLabels: MonthLabel[]): MonthLabel[] {
+  const byWeek = new Map<number, string>();
+  monthLabels.forEach(({ label, weekIndex }) => byWeek.set(weekIndex, label));
+  const entries = Array.from(byWeek, ([weekIndex, label]) => ({
+    label,
+    weekIndex,
+  }));
+  const valid: MonthLabel[] = [];
+  for (let i = 0; i < entries.length; i++) {
+    const current = entries[i]!;
+    const next = entries[i + 1];
+    if (i === 0 && next && next.weekIndex - current.weekIndex < 3) continue;
+    const lastValid = valid[valid.length - 1];
+    if (lastValid && current.weekIndex - lastValid.weekIndex < 3) continue;
+    valid.push(current);
+  }
+  return valid;
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { calendarMessages, fillMessage, formatPlural } from "./locale";
+
+describe("formatPlural", () => {
+  const contributionsOn = (locale: string) => calendarMessages(locale).contributionsOn;
+
+  it("picks the plural form for the count", () => {
+    expect(formatPlural(contributionsOn("en-US"), 1, "en-US", { date: "March 1" })).toBe(
+      "1 contribution on March 1",
+    );
+    expect(formatPlural(contributionsOn("en-US"), 1234, "en-US", { date: "March 1" })).toBe(
+      "1,234 contributions on March 1",
+    );
+  });
+
+  it("follows the language's own rules", () => {
+    // French treats 0 and 1 alike; German formats thousands with a dot
+    expect(formatPlural(calendarMessages("fr").days, 0, "fr")).toBe("0 jour");
+    expect(formatPlural(calendarMessages("de-AT").contributions, 1000, "de-DE")).toBe(
+      "1.000 Beiträge",
+    );
+  });
+
+  it("falls back to English for languages without messages", () => {
+    expect(formatPlural(calendarMessages("ja-JP").days, 1, "ja-JP")).toBe("1 day");
+    expect(calendarMessages("not a locale")).toBe(calendarMessages("en"));
+  });
+});
+
+describe("fillMessage", () => {
+  it("leaves unknown placeholders alone", () => {
+    expect(fillMessage("{label} on {date}", { label: "Launch" })).toBe("Launch on {date}");
+  });
+});
+
+describe("calendarMessages", () => {
+  it("has every message in every language", () => {
+    const keys = Object.keys(calendarMessages("en")).sort();
+    for (const locale of ["de", "es", "fr"]) {
+      expect(Object.keys(calendarMessages(locale)).sort()).toEqual(keys);
+    }
+  });
+
+  it("words the analytics text in the locale's language", () => {
+    expect(
+      formatPlural(calendarMessages("fr").weekdayTotal, 3, "fr", { weekday: "lundi" }),
+    ).toBe("lundi : 3 contributions");
+    expect(formatPlural(calendarMessages("de").activeDaysOf, 365, "de", { active: "12" })).toBe(
+      "12 von 365 Tagen aktiv",
+    );
+  });
+});
@@ -0,0 +1,419 @@
+import { formatDate, parseDate } from "./dates";
+
+// ─── Locale and timezone ──────────────────────────────────────────────────────
+//
+// All user-facing date text goes through `Intl`, so month names, day order and
+// week start follow the visitor's locale (or the `locale` prop). "Today" is
+// resolved in an explicit time zone when one is given, e.g. the profile
+// owner's, so the grid ends on the same day GitHub counts in. Words come from
+// the messages at the bottom; counted text ("3 contributions") takes the
+// plural form `Intl.PluralRules` picks.
+
+/** 0 = Sunday … 6 = Saturday, like `Date.getDay()`. */
+export type WeekStart = 0 | 1 | 2 | 3 | 4 | 5 | 6;
+
+// CLDR regions whose week starts on Sunday or Saturday; everyone else uses
+// Monday. Only consulted when the runtime has no `Intl.Locale` week info.
+const SUNDAY_REGIONS = new Set(
+  "AG AS BD BR BS BT BW BZ CA CN CO DM DO ET GT GU HK HN ID IL IN JM JP KE KH KR LA MH MM MO MT MX MZ NI NP PA PE PH PK PR PT PY SA SG SV TH TT TW UM US VE VI WS YE ZA ZW".split(
+    " ",
+  ),
+);
+const SATURDAY_REGIONS = new Set(
+  "AE AF BH DJ DZ EG IQ IR JO KW LY OM QA SD SY".split(" "),
+);
+
+type WeekInfo = { firstDay: number };
+type LocaleWithWeekInfo = Intl.Locale & {
+  getWeekInfo?: () => WeekInfo;
+  weekInfo?: WeekInfo;
+};
+
+export function defaultLocale(): string {
+  return new Intl.DateTimeFormat().resolvedOptions().locale;
+}
+
+/** First day of the week in `locale` (the runtime's locale by default). */
+export function localeWeekStart(locale = defaultLocale()): WeekStart {
+  try {
+    const loc = new Intl.Locale(locale) as LocaleWithWeekInfo;
+    const info = loc.getWeekInfo?.() ?? loc.weekInfo;
+    // Intl numbers the days 1 (Monday) … 7 (Sunday)
+    if (info) return (info.firstDay % 7) as WeekStart;
+    const region = loc.maximize().region ?? "";
+    if (SUNDAY_REGIONS.has(region)) return 0;
+    if (SATURDAY_REGIONS.has(region)) return 6;
+    return 1;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/** The "YYYY-MM-DD" that `instant` falls on in `timeZone` (default: local). */
+export function dateIn(instant: Date, timeZone?: string): string {
+  if (!timeZone) return formatDate(instant);
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).formatToParts(instant);
+    const part = (type: string) => parts.find((p) => p.type === type)?.value;
+    return `${part("year")}-${part("month")}-${part("day")}`;
+  } catch (e) {
+    // Unknown time zone
+    return formatDate(instant);
+  }
+}
+
+/** Today's "YYYY-MM-DD" in `timeZone`, or in the visitor's own zone. */
+export function todayIn(timeZone?: string): string {
+  return dateIn(new Date(), timeZone);
+}
+
+// Building formatters is slow; the grid asks for hundreds of labels per render
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatter(
+  locale: string | undefined,
+  options: Intl.DateTimeFormatOptions,
+): Intl.DateTimeFormat {
+  const key = `${locale ?? ""}|${JSON.stringify(options)}`;
+  let f = formatters.get(key);
+  if (!f) {
+    f = new Intl.DateTimeFormat(locale, options);
+    formatters.set(key, f);
+  }
+  return f;
+}
+
+/** Formats a "YYYY-MM-DD" (or "YYYY-MM") calendar date. */
+export function formatDay(
+  dateStr: string,
+  locale: string | undefined,
+  options: Intl.DateTimeFormatOptions,
+): string {
+  const date = dateStr.length === 7 ? `${dateStr}-01` : dateStr;
+  return formatter(locale, options).format(parseDate(date));
+}
+
+/** Name of a weekday (0 = Sunday), e.g. "Mon" or "M". */
+export function weekdayName(
+  day: number,
+  locale: string | undefined,
+  weekday: "long" | "short" | "narrow",
+): string {
+  // Jan 4th 1970 was a Sunday
+  return formatter(locale, { weekday }).format(new Date(1970, 0, 4 + day, 12));
+}
+
+// ─── Messages ─────────────────────────────────────────────────────────────────
+
+/** One message per plural category; `other` is required as the fallback. */
+export type PluralMessage = Partial<Record<Intl.LDMLPluralRule, string>> & {
+  other: string;
+};
+
+/** Calendar text in one language. `{placeholders}` are filled in. */
+export type CalendarMessages = {
+  contributions: PluralMessage;
+  days: PluralMessage;
+  contributionsOn: PluralMessage;
+  noContributionsOn: string;
+  labelOn: string;
+  // Analytics panel
+  currentStreak: string;
+  longestStreak: string;
+  averagePerActiveDay: string;
+  /** Counts the days in range; `{active}` is the active ones. */
+  activeDaysOf: PluralMessage;
+  byWeekday: string;
+  weekdayTotal: PluralMessage;
+  bestDay: string;
+  bestWeek: string;
+  bestMonth: string;
+  monthlyTotals: string;
+  monthlyTotalsList: string;
+  // Calendar
+  inTotal: string;
+  inThisPeriod: string;
+  inYear: string;
+  inLastYear: string;
+  inYearTo: string;
+  /** `{period}` is one of the `in…` phrases above. */
+  contributionsIn: PluralMessage;
+  contributedIn: PluralMessage;
+  dailyContributionsIn: string;
+  gridLabel: string;
+  previousPeriod: string;
+  nextPeriod: string;
+  year: string;
+  last12Months: string;
+  periodType: string;
+  rolling: string;
+  calendarYear: string;
+  layout: string;
+  singleYear: string;
+  allYears: string;
+  less: string;
+  more: string;
+  updated: string;
+  offline: string;
+};
+
+const MESSAGES: Record<string, CalendarMessages> = {
+  en: {
+    contributions: { one: "{count} contribution", other: "{count} contributions" },
+    days: { one: "{count} day", other: "{count} days" },
+    contributionsOn: {
+      one: "{count} contribution on {date}",
+      other: "{count} contributions on {date}",
+    },
+    noContributionsOn: "No contributions on {date}",
+    labelOn: "{label} on {date}",
+    currentStreak: "Current streak",
+    longestStreak: "Longest streak",
+    averagePerActiveDay: "Avg per active day",
+    activeDaysOf: { one: "{active} of {count} day active", other: "{active} of {count} days active" },
+    byWeekday: "By weekday",
+    weekdayTotal: { one: "{weekday}: {count} contribution", other: "{weekday}: {count} contributions" },
+    bestDay: "Best day",
+    bestWeek: "Best week",
+    bestMonth: "Best month",
+    monthlyTotals: "Monthly totals",
+    monthlyTotalsList: "Monthly totals: {months}",
+    inTotal: "in total",
+    inThisPeriod: "in this period",
+    inYear: "in {year}",
+    inLastYear: "in the last year",
+    inYearTo: "in the year to {date}",
+    contributionsIn: { one: "{count} contribution {period}", other: "{count} contributions {period}" },
+    contributedIn: { other: "{name} contributed {count} {period} on {source}" },
+    dailyContributionsIn: "Daily contributions {period}",
+    gridLabel: "Contribution calendar: {summary}. Use the arrow keys to move between days.",
+    previousPeriod: "Previous period",
+    nextPeriod: "Next period",
+    year: "Year",
+    last12Months: "Last 12 months",
+    periodType: "Period type",
+    rolling: "Rolling",
+    calendarYear: "Calendar year",
+    layout: "Layout",
+    singleYear: "Single",
+    allYears: "All years",
+    less: "Less",
+    more: "More",
+    updated: "Updated {time}",
+    offline: "Offline — showing data from {time}",
+  },
+  de: {
+    contributions: { one: "{count} Beitrag", other: "{count} Beiträge" },
+    days: { one: "{count} Tag", other: "{count} Tage" },
+    contributionsOn: { one: "{count} Beitrag am {date}", other: "{count} Beiträge am {date}" },
+    noContributionsOn: "Keine Beiträge am {date}",
+    labelOn: "{label} am {date}",
+    currentStreak: "Aktuelle Serie",
+    longestStreak: "Längste Serie",
+    averagePerActiveDay: "Ø pro aktivem Tag",
+    activeDaysOf: { one: "{active} von {count} Tag aktiv", other: "{active} von {count} Tagen aktiv" },
+    byWeekday: "Nach Wochentag",
+    weekdayTotal: { one: "{weekday}: {count} Beitrag", other: "{weekday}: {count} Beiträge" },
+    bestDay: "Bester Tag",
+    bestWeek: "Beste Woche",
+    bestMonth: "Bester Monat",
+    monthlyTotals: "Monatssummen",
+    monthlyTotalsList: "Monatssummen: {months}",
+    inTotal: "insgesamt",
+    inThisPeriod: "in diesem Zeitraum",
+    inYear: "im Jahr {year}",
+    inLastYear: "im letzten Jahr",
+    inYearTo: "im Jahr bis zum {date}",
+    contributionsIn: { one: "{count} Beitrag {period}", other: "{count} Beiträge {period}" },
+    contributedIn: {
+      one: "{name} hat {period} {count} Beitrag auf {source} geleistet",
+      other: "{name} hat {period} {count} Beiträge auf {source} geleistet",
+    },
+    dailyContributionsIn: "Tägliche Beiträge {period}",
+    gridLabel: "Beitragskalender: {summary}. Mit den Pfeiltasten zwischen den Tagen wechseln.",
+    previousPeriod: "Vorheriger Zeitraum",
+    nextPeriod: "Nächster Zeitraum",
+    year: "Jahr",
+    last12Months: "Letzte 12 Monate",
+    periodType: "Zeitraumart",
+    rolling: "Gleitend",
+    calendarYear: "Kalenderjahr",
+    layout: "Ansicht",
+    singleYear: "Einzeln",
+    allYears: "Alle Jahre",
+    less: "Weniger",
+    more: "Mehr",
+    updated: "Aktualisiert {time}",
+    offline: "Offline – Stand {time}",
+  },
+  es: {
+    contributions: { one: "{count} contribución", other: "{count} contribuciones" },
+    days: { one: "{count} día", other: "{count} días" },
+    contributionsOn: {
+      one: "{count} contribución el {date}",
+      other: "{count} contribuciones el {date}",
+    },
+    noContributionsOn: "Ninguna contribución el {date}",
+    labelOn: "{label} el {date}",
+    currentStreak: "Racha actual",
+    longestStreak: "Racha más larga",
+    averagePerActiveDay: "Media por día activo",
+    activeDaysOf: {
+      one: "{active} de {count} día con actividad",
+      other: "{active} de {count} días con actividad",
+    },
+    byWeekday: "Por día de la semana",
+    weekdayTotal: { one: "{weekday}: {count} contribución", other: "{weekday}: {count} contribuciones" },
+    bestDay: "Mejor día",
+    bestWeek: "Mejor semana",
+    bestMonth: "Mejor mes",
+    monthlyTotals: "Totales mensuales",
+    monthlyTotalsList: "Totales mensuales: {months}",
+    inTotal: "en total",
+    inThisPeriod: "en este periodo",
+    inYear: "en {year}",
+    inLastYear: "en el último año",
+    inYearTo: "en el año hasta el {date}",
+    contributionsIn: {
+      one: "{count} contribución {period}",
+      other: "{count} contribuciones {period}",
+    },
+    contributedIn: {
+      one: "{name} hizo {count} contribución {period} en {source}",
+      other: "{name} hizo {count} contribuciones {period} en {source}",
+    },
+    dailyContributionsIn: "Contribuciones diarias {period}",
+    gridLabel: "Calendario de contribuciones: {summary}. Usa las flechas para moverte entre días.",
+    previousPeriod: "Periodo anterior",
+    nextPeriod: "Periodo siguiente",
+    year: "Año",
+    last12Months: "Últimos 12 meses",
+    periodType: "Tipo de periodo",
+    rolling: "Móvil",
+    calendarYear: "Año natural",
+    layout: "Vista",
+    singleYear: "Uno",
+    allYears: "Todos los años",
+    less: "Menos",
+    more: "Más",
+    updated: "Actualizado {time}",
+    offline: "Sin conexión — datos actualizados {time}",
+  },
+  fr: {
+    contributions: { one: "{count} contribution", other: "{count} contributions" },
+    days: { one: "{count} jour", other: "{count} jours" },
+    contributionsOn: {
+      one: "{count} contribution le {date}",
+      other: "{count} contributions le {date}",
+    },
+    noContributionsOn: "Aucune contribution le {date}",
+    labelOn: "{label} le {date}",
+    currentStreak: "Série actuelle",
+    longestStreak: "Plus longue série",
+    averagePerActiveDay: "Moyenne par jour actif",
+    activeDaysOf: { one: "{active} sur {count} jour actif", other: "{active} sur {count} jours actifs" },
+    byWeekday: "Par jour de la semaine",
+    weekdayTotal: { one: "{weekday} : {count} contribution", other: "{weekday} : {count} contributions" },
+    bestDay: "Meilleur jour",
+    bestWeek: "Meilleure semaine",
+    bestMonth: "Meilleur mois",
+    monthlyTotals: "Totaux mensuels",
+    monthlyTotalsList: "Totaux mensuels : {months}",
+    inTotal: "au total",
+    inThisPeriod: "sur cette période",
+    inYear: "en {year}",
+    inLastYear: "sur la dernière année",
+    inYearTo: "sur l’année jusqu’au {date}",
+    contributionsIn: {
+      one: "{count} contribution {period}",
+      other: "{count} contributions {period}",
+    },
+    contributedIn: {
+      one: "{name} a fait {count} contribution {period} sur {source}",
+      other: "{name} a fait {count} contributions {period} sur {source}",
+    },
+    dailyContributionsIn: "Contributions quotidiennes {period}",
+    gridLabel:
+      "Calendrier des contributions : {summary}. Utilisez les flèches pour passer d’un jour à l’autre.",
+    previousPeriod: "Période précédente",
+    nextPeriod: "Période suivante",
+    year: "Année",
+    last12Months: "12 derniers mois",
+    periodType: "Type de période",
+    rolling: "Glissante",
+    calendarYear: "Année civile",
+    layout: "Affichage",
+    singleYear: "Une",
+    allYears: "Toutes les années",
+    less: "Moins",
+    more: "Plus",
+    updated: "Mis à jour {time}",
+    offline: "Hors ligne — données mises à jour {time}",
+  },
+};
+
+/** The language in MESSAGES that `locale` reads, English when there's none. */
+function messageLanguage(locale: string | undefined): string {
+  try {
+    const { language } = new Intl.Locale(locale ?? defaultLocale());
+    return language in MESSAGES ? language : "en";
+  } catch (e) {
+    return "en";
+  }
+}
+
+export function calendarMessages(locale?: string): CalendarMessages {
+  return MESSAGES[messageLanguage(locale)]!;
+}
+
+/** Fills `{name}` placeholders; unknown names are left as they are. */
+export function fillMessage(template: string, values: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (match, name: string) => values[name] ?? match);
+}
+
+const pluralRules = new Map<string, Intl.PluralRules>();
+
+/**
+ * Picks the form of `message` that `count` takes and fills it in. Plural rules
+ * follow the message's language, so a locale without messages gets correct
+ * English rather than English words with another language's categories.
+ */
+export function formatPlural(
+  message: PluralMessage,
+  count: number,
+  locale: string | undefined,
+  values: Record<string, string> = {},
+): string {
+  return fillMessage(selectPlural(message, count, locale), {
+    ...values,
+    count: count.toLocaleString(locale),
+  });
+}
+
+/** The form of `message` that `count` takes, with its placeholders left in. */
+export function selectPlural(
+  message: PluralMessage,
+  count: number,
+  locale: string | undefined,
+): string {
+  const language = messageLanguage(locale);
+  let rules = pluralRules.get(language);
+  if (!rules) {
+    rules = new Intl.PluralRules(language);
+    pluralRules.set(language, rules);
+  }
+  return message[rules.select(count)] ?? message.other;
+}
+
+/**
+ * Splits a template for rendering its values as markup: even entries are
+ * text, odd entries are placeholder names.
+ */
+export function messageParts(template: string): string[] {
+  return template.split(/\{(\w+)\}/);
+}
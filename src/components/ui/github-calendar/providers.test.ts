@@ -0,0 +1,265 @@
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import {
+  fallbackProvider,
+  giteaProvider,
+  githubProvider,
+  githubEventsDetailsProvider,
+  gitlabProvider,
+  jsonProvider,
+  levelsFromCounts,
+  snapshotDetailsProvider,
+  snapshotProvider,
+} from "./providers";
+
+// Gitea buckets are summed per local day; pin the zone so that's testable
+process.env.TZ = "UTC";
+
+// ─── Mock server ──────────────────────────────────────────────────────────────
+
+type Route = { status?: number; body?: unknown; delay?: number };
+
+const routes = new Map<string, Route>();
+const hits: string[] = [];
+let server: Server;
+let base: string;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    hits.push(req.url ?? "");
+    const route = routes.get(req.url ?? "") ?? { status: 404, body: { message: "Not Found" } };
+    const reply = () => {
+      res.writeHead(route.status ?? 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(route.body ?? null));
+    };
+    if (route.delay) setTimeout(reply, route.delay);
+    else reply();
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes.clear();
+  hits.length = 0;
+});
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+
+describe("githubProvider", () => {
+  it("maps the contributions API response", async () => {
+    routes.set("/v4/octo%20cat", {
+      body: {
+        total: { 2025: 5 },
+        contributions: [
+          { date: "2025-01-01", count: 0, level: 0 },
+          { date: "2025-01-02", count: 5, level: 3 },
+          { date: "2025-01-03", count: 40, level: 7 },
+        ],
+      },
+    });
+    const data = await githubProvider({ baseUrl: `${base}/` }).fetch("octo cat");
+    expect(data).toEqual({
+      "2025-01-01": { level: 0, count: 0 },
+      "2025-01-02": { level: 3, count: 5 },
+      "2025-01-03": { level: 4, count: 40 },
+    });
+  });
+});
+
+describe("gitlabProvider", () => {
+  it("derives levels from the calendar's counts", async () => {
+    routes.set("/users/alice/calendar.json", {
+      body: { "2025-03-01": 1, "2025-03-02": 4, "2025-03-03": 8, "2025-03-04": 0 },
+    });
+    const data = await gitlabProvider({ baseUrl: base }).fetch("alice");
+    expect(data).toEqual({
+      "2025-03-01": { level: 1, count: 1 },
+      "2025-03-02": { level: 2, count: 4 },
+      "2025-03-03": { level: 4, count: 8 },
+      "2025-03-04": { level: 0, count: 0 },
+    });
+  });
+});
+
+describe("giteaProvider", () => {
+  it("sums the heatmap's buckets per day", async () => {
+    const at = (iso: string) => Date.parse(iso) / 1000;
+    routes.set("/api/v1/users/bob/heatmap", {
+      body: [
+        { timestamp: at("2025-05-01T00:00:00Z"), contributions: 1 },
+        { timestamp: at("2025-05-01T12:15:00Z"), contributions: 2 },
+        { timestamp: at("2025-05-01T23:59:59Z"), contributions: 3 },
+        { timestamp: at("2025-05-02T00:00:00Z"), contributions: 2 },
+      ],
+    });
+    const provider = giteaProvider({ baseUrl: base, name: "Forgejo" });
+    expect(provider.name).toBe("Forgejo");
+    expect(await provider.fetch("bob")).toEqual({
+      "2025-05-01": { level: 4, count: 6 },
+      "2025-05-02": { level: 2, count: 2 },
+    });
+  });
+});
+
+describe("jsonProvider", () => {
+  it("derives levels when map returns day counts", async () => {
+    routes.set("/stats/carol.json", { body: { days: [["2025-06-01", 2], ["2025-06-02", 8]] } });
+    const provider = jsonProvider<{ days: [string, number][] }>({
+      id: "stats",
+      url: (username) => `${base}/stats/${username}.json`,
+      map: (json) => json.days.map(([date, count]) => ({ date, count })),
+    });
+    expect(provider.id).toBe("json:stats");
+    expect(await provider.fetch("carol")).toEqual({
+      "2025-06-01": { level: 1, count: 2 },
+      "2025-06-02": { level: 4, count: 8 },
+    });
+  });
+
+  it("passes ready contribution data through", async () => {
+    routes.set("/ready.json", { body: { "2025-06-01": { level: 2, count: 3 } } });
+    const provider = jsonProvider<Record<string, { level: 2; count: number }>>({
+      id: "ready",
+      url: `${base}/ready.json`,
+      map: (json) => json,
+    });
+    expect(await provider.fetch("anyone")).toEqual({ "2025-06-01": { level: 2, count: 3 } });
+  });
+});
+
+describe("snapshotProvider", () => {
+  it("keeps the snapshot's levels and treats missing counts as zero", async () => {
+    routes.set("/data/contributions.json", {
+      body: {
+        username: "dave",
+        days: [
+          { date: "2025-07-01", level: 2, count: null },
+          { date: "2025-07-02", level: 1, count: 3 },
+        ],
+      },
+    });
+    const data = await snapshotProvider({ url: `${base}/data/contributions.json` }).fetch("ignored");
+    expect(data).toEqual({
+      "2025-07-01": { level: 2, count: 0 },
+      "2025-07-02": { level: 1, count: 3 },
+    });
+  });
+});
+
+describe("HTTP errors", () => {
+  it("rejects with the status code", async () => {
+    routes.set("/v4/ghost", { status: 503 });
+    await expect(githubProvider({ baseUrl: base }).fetch("ghost")).rejects.toThrow(
+      'Could not fetch contributions for "ghost" (503)',
+    );
+    await expect(gitlabProvider({ baseUrl: base }).fetch("nobody")).rejects.toThrow("(404)");
+  });
+});
+
+describe("levelsFromCounts", () => {
+  it("splits non-zero counts into quartiles of the busiest day", () => {
+    const data = levelsFromCounts([
+      { date: "a", count: 0 },
+      { date: "b", count: 1 },
+      { date: "c", count: 50 },
+      { date: "d", count: 51 },
+      { date: "e", count: 100 },
+    ]);
+    expect(Object.values(data).map((d) => d.level)).toEqual([0, 1, 2, 3, 4]);
+  });
+});
+
+// ─── Fallback chain ───────────────────────────────────────────────────────────
+
+describe("fallbackProvider", () => {
+  const github = () => githubProvider({ baseUrl: `${base}/live` });
+  const snapshot = () => snapshotProvider({ url: `${base}/snapshot.json` });
+
+  it("moves on to the next provider when one fails", async () => {
+    routes.set("/live/v4/erin", { status: 500 });
+    routes.set("/snapshot.json", { body: { days: [{ date: "2025-08-01", level: 1, count: 1 }] } });
+    const data = await fallbackProvider(github(), snapshot()).fetch("erin");
+    expect(data).toEqual({ "2025-08-01": { level: 1, count: 1 } });
+    expect(hits).toEqual(["/live/v4/erin", "/snapshot.json"]);
+  });
+
+  it("stops at the first success", async () => {
+    routes.set("/live/v4/erin", { body: { total: {}, contributions: [] } });
+    await fallbackProvider(github(), snapshot()).fetch("erin");
+    expect(hits).toEqual(["/live/v4/erin"]);
+  });
+
+  it("rethrows the last error when every provider fails", async () => {
+    await expect(fallbackProvider(github(), snapshot()).fetch("erin")).rejects.toThrow(
+      "Could not fetch contribution snapshot (404)",
+    );
+    await expect(fallbackProvider().fetch("erin")).rejects.toThrow(
+      "No contribution providers configured",
+    );
+  });
+
+  it("stops without trying the rest when aborted", async () => {
+    routes.set("/live/v4/erin", { body: { total: {}, contributions: [] }, delay: 500 });
+    const controller = new AbortController();
+    const pending = fallbackProvider(github(), snapshot()).fetch("erin", {
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 20);
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    expect(hits).toEqual(["/live/v4/erin"]);
+  });
+});
+
+// ─── Day details ──────────────────────────────────────────────────────────────
+
+describe("shared details loads", () => {
+  it("survive the first caller aborting", async () => {
+    routes.set("/details.json", {
+      body: { days: { "2025-09-02": [{ repository: "a/b", commits: 2 }] } },
+      delay: 100,
+    });
+    const provider = snapshotDetailsProvider({ url: `${base}/details.json` });
+    const first = new AbortController();
+    const aborted = provider.fetchDay("erin", "2025-09-01", { signal: first.signal });
+    first.abort();
+    await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+
+    const day = await provider.fetchDay("erin", "2025-09-02", {
+      signal: new AbortController().signal,
+    });
+    expect(day.repositories).toEqual([{ repository: "a/b", commits: 2 }]);
+    expect(hits).toEqual(["/details.json"]);
+  });
+
+  it("load GitHub events once per user across aborted clicks", async () => {
+    routes.set("/users/erin/events/public?per_page=100&page=1", {
+      body: [
+        {
+          type: "PushEvent",
+          created_at: "2025-09-02T10:00:00Z",
+          repo: { name: "a/b" },
+          payload: { size: 3 },
+        },
+      ],
+      delay: 100,
+    });
+    const provider = githubEventsDetailsProvider({ baseUrl: base, timeZone: "UTC" });
+    const first = new AbortController();
+    const aborted = provider.fetchDay("erin", "2025-09-01", { signal: first.signal });
+    first.abort();
+    await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+
+    const day = await provider.fetchDay("erin", "2025-09-02");
+    expect(day.repositories).toEqual([
+      { repository: "a/b", url: "https://github.com/a/b", commits: 3 },
+    ]);
+    expect(hits).toHaveLength(1);
+  });
+});
@@ -0,0 +1,457 @@
+import { formatDate } from "./dates";
+import { dateIn } from "./locale";
+import type {
+  ContributionData,
+  ContributionLevel,
+  DayDetails,
+  RepositoryActivity,
+} from "./types";
+
+// ─── Contribution data providers ──────────────────────────────────────────────
+//
+// A provider turns a username into `ContributionData`. Every built-in provider
+// takes its base URL as an option, so it can be pointed at a self-hosted
+// instance or a local mock server.
+
+export type ProviderFetchOptions = {
+  signal?: AbortSignal;
+};
+
+export type ContributionProvider = {
+  /** Stable identifier — used to key refetches and caches. */
+  id: string;
+  /** Human readable source name, shown in the stats line. */
+  name: string;
+  fetch: (
+    username: string,
+    options?: ProviderFetchOptions,
+  ) => Promise<ContributionData>;
+  profileUrl?: (username: string) => string;
+};
+
+export type DayCount = {
+  date: string;
+  count: number;
+  level?: number;
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, "");
+}
+
+async function getJson<T>(
+  url: string,
+  what: string,
+  { signal }: ProviderFetchOptions = {},
+): Promise<T> {
+  const res = await fetch(url, { signal });
+  if (!res.ok) {
+    throw new Error(`Could not fetch ${what} (${res.status})`);
+  }
+  return res.json() as Promise<T>;
+}
+
+/**
+ * Waits for a load that other callers share, giving up when this caller's
+ * `signal` aborts. The shared load itself keeps running for the others.
+ */
+function abortable<T>(shared: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) return shared;
+  if (signal.aborted) return Promise.reject(abortReason(signal));
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(abortReason(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    shared.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+function abortReason(signal: AbortSignal): unknown {
+  return signal.reason ?? new DOMException("The operation was aborted.", "AbortError");
+}
+
+function clampLevel(level: number): ContributionLevel {
+  return Math.min(4, Math.max(0, Math.round(level))) as ContributionLevel;
+}
+
+/**
+ * Buckets raw counts into levels 0–4 the way GitHub does: zero stays zero and
+ * the non-zero counts are split into quartiles of the busiest day.
+ */
+export function levelsFromCounts(days: DayCount[]): ContributionData {
+  const max = days.reduce((m, d) => Math.max(m, d.count), 0);
+  const result: ContributionData = {};
+  for (const { date, count, level } of days) {
+    result[date] = {
+      level:
+        level !== undefined
+          ? clampLevel(level)
+          : count <= 0 || max === 0
+            ? 0
+            : clampLevel(Math.ceil((count / max) * 4)),
+      count,
+    };
+  }
+  return result;
+}
+
+// ─── GitHub (github-contributions-api) ────────────────────────────────────────
+
+type GithubAPIResponse = {
+  total: Record<string, number>;
+  contributions: { date: string; count: number; level: number }[];
+};
+
+export function githubProvider({
+  baseUrl = "https://github-contributions-api.jogruber.de",
+}: { baseUrl?: string } = {}): ContributionProvider {
+  return {
+    id: `github:${baseUrl}`,
+    name: "GitHub",
+    profileUrl: (username) => `https://github.com/${username}`,
+    fetch: async (username, options) => {
+      const json = await getJson<GithubAPIResponse>(
+        `${trimSlash(baseUrl)}/v4/${encodeURIComponent(username)}`,
+        `contributions for "${username}"`,
+        options,
+      );
+      const result: ContributionData = {};
+      for (const entry of json.contributions) {
+        result[entry.date] = {
+          level: clampLevel(entry.level),
+          count: entry.count,
+        };
+      }
+      return result;
+    },
+  };
+}
+
+// ─── Repo snapshot (data/contributions.json) ──────────────────────────────────
+
+type SnapshotFile = {
+  username?: string;
+  days: { date: string; level: number; count: number | null }[];
+};
+
+/**
+ * Reads the snapshot written daily by `scripts/fetch_contributions.py`. The
+ * file covers a single user, so the username argument is ignored.
+ */
+export function snapshotProvider({
+  url,
+}: {
+  url: string;
+}): ContributionProvider {
+  return {
+    id: `snapshot:${url}`,
+    name: "GitHub",
+    profileUrl: (username) => `https://github.com/${username}`,
+    fetch: async (_username, options) => {
+      const json = await getJson<SnapshotFile>(
+        url,
+        "contribution snapshot",
+        options,
+      );
+      return levelsFromCounts(
+        json.days.map((d) => ({
+          date: d.date,
+          count: d.count ?? 0,
+          level: d.level,
+        })),
+      );
+    },
+  };
+}
+
+// ─── GitLab ───────────────────────────────────────────────────────────────────
+
+/** GitLab's `/users/:username/calendar.json` returns `{ "YYYY-MM-DD": count }`. */
+export function gitlabProvider({
+  baseUrl = "https://gitlab.com",
+}: { baseUrl?: string } = {}): ContributionProvider {
+  const base = trimSlash(baseUrl);
+  return {
+    id: `gitlab:${base}`,
+    name: "GitLab",
+    profileUrl: (username) => `${base}/${username}`,
+    fetch: async (username, options) => {
+      const json = await getJson<Record<string, number>>(
+        `${base}/users/${encodeURIComponent(username)}/calendar.json`,
+        `GitLab calendar for "${username}"`,
+        options,
+      );
+      return levelsFromCounts(
+        Object.entries(json).map(([date, count]) => ({ date, count })),
+      );
+    },
+  };
+}
+
+// ─── Gitea / Forgejo ──────────────────────────────────────────────────────────
+
+type GiteaHeatmapEntry = { timestamp: number; contributions: number };
+
+/**
+ * Gitea and Forgejo expose `/api/v1/users/:username/heatmap` as a list of
+ * unix-second buckets, several per day — they are summed per local day.
+ */
+export function giteaProvider({
+  baseUrl,
+  name = "Gitea",
+}: {
+  baseUrl: string;
+  name?: string;
+}): ContributionProvider {
+  const base = trimSlash(baseUrl);
+  return {
+    id: `gitea:${base}`,
+    name,
+    profileUrl: (username) => `${base}/${username}`,
+    fetch: async (username, options) => {
+      const json = await getJson<GiteaHeatmapEntry[]>(
+        `${base}/api/v1/users/${encodeURIComponent(username)}/heatmap`,
+        `${name} heatmap for "${username}"`,
+        options,
+      );
+      const byDay = new Map<string, number>();
+      for (const { timestamp, contributions } of json) {
+        const date = formatDate(new Date(timestamp * 1000));
+        byDay.set(date, (byDay.get(date) ?? 0) + contributions);
+      }
+      return levelsFromCounts(
+        Array.from(byDay, ([date, count]) => ({ date, count })),
+      );
+    },
+  };
+}
+
+// ─── Arbitrary JSON ───────────────────────────────────────────────────────────
+
+/**
+ * Fetches any JSON document and hands it to `map`. Return `DayCount`s to have
+ * levels derived from counts, or a ready `ContributionData` object.
+ */
+export function jsonProvider<T = unknown>({
+  id,
+  name = "JSON",
+  url,
+  map,
+  profileUrl,
+}: {
+  id: string;
+  name?: string;
+  url: string | ((username: string) => string);
+  map: (json: T, username: string) => DayCount[] | ContributionData;
+  profileUrl?: (username: string) => string;
+}): ContributionProvider {
+  return {
+    id: `json:${id}`,
+    name,
+    profileUrl,
+    fetch: async (username, options) => {
+      const json = await getJson<T>(
+        typeof url === "function" ? url(username) : url,
+        `${name} contributions`,
+        options,
+      );
+      const mapped = map(json, username);
+      return Array.isArray(mapped) ? levelsFromCounts(mapped) : mapped;
+    },
+  };
+}
+
+// ─── Fallback chain ───────────────────────────────────────────────────────────
+
+/**
+ * Tries each provider in order and resolves with the first one that succeeds,
+ * e.g. the live GitHub API first and the repo snapshot when it is down.
+ */
+export function fallbackProvider(
+  ...providers: ContributionProvider[]
+): ContributionProvider {
+  const first = providers[0];
+  return {
+    id: `fallback:${providers.map((p) => p.id).join("|")}`,
+    name: first?.name ?? "GitHub",
+    profileUrl: first?.profileUrl,
+    fetch: async (username, options) => {
+      let lastError: unknown = new Error("No contribution providers configured");
+      for (const provider of providers) {
+        try {
+          return await provider.fetch(username, options);
+        } catch (e) {
+          if (options?.signal?.aborted) throw e;
+          lastError = e;
+        }
+      }
+      throw lastError;
+    },
+  };
+}
+
+// ─── Day details ──────────────────────────────────────────────────────────────
+//
+// Optional second source behind the drill-down panel: which repositories a day
+// touched and how (commits, pull requests, issues, reviews).
+
+export type DayDetailsProvider = {
+  id: string;
+  fetchDay: (
+    username: string,
+    date: string,
+    options?: ProviderFetchOptions,
+  ) => Promise<DayDetails>;
+};
+
+/**
+ * `data/contribution-details.json`, written by
+ * `scripts/fetch_contribution_details.py`:
+ *
+ *   { "username": "…", "days": { "2025-10-01": [{ "repository": "owner/name",
+ *     "commits": 3, "pullRequests": 1 }] } }
+ */
+export type DetailsSnapshot = {
+  username?: string;
+  days: Record<string, RepositoryActivity[]>;
+};
+
+/**
+ * Serves days from a snapshot — fetched once from `url`, or passed in directly
+ * (e.g. a bundled JSON import) so the panel works offline.
+ */
+export function snapshotDetailsProvider(
+  source: { url: string } | { snapshot: DetailsSnapshot },
+): DayDetailsProvider {
+  let pending: Promise<DetailsSnapshot> | null =
+    "snapshot" in source ? Promise.resolve(source.snapshot) : null;
+  return {
+    id: "url" in source ? `snapshot-details:${source.url}` : "snapshot-details",
+    fetchDay: async (_username, date, options) => {
+      if (!pending && "url" in source) {
+        // Shared by every day, so it isn't tied to any one caller's signal; a
+        // failed load is retried on the next click
+        pending = getJson<DetailsSnapshot>(
+          source.url,
+          "contribution details",
+        ).catch((e) => {
+          pending = null;
+          throw e;
+        });
+      }
+      const snapshot = await abortable(pending!, options?.signal);
+      return { date, repositories: snapshot.days[date] ?? [] };
+    },
+  };
+}
+
+type GithubEvent = {
+  type: string;
+  created_at: string;
+  repo: { name: string };
+  payload: { action?: string; size?: number; commits?: unknown[] };
+};
+
+/**
+ * Live details from GitHub's public events API. GitHub only keeps the last
+ * 90 days (at most 300 events), so older days come back empty — pair it with
+ * a snapshot through `fallbackDetailsProvider` for history.
+ */
+export function githubEventsDetailsProvider({
+  baseUrl = "https://api.github.com",
+  timeZone,
+}: { baseUrl?: string; timeZone?: string } = {}): DayDetailsProvider {
+  const byUser = new Map<string, Promise<Map<string, RepositoryActivity[]>>>();
+
+  const load = async (username: string) => {
+    const days = new Map<string, Map<string, RepositoryActivity>>();
+    for (let page = 1; page <= 3; page++) {
+      const events = await getJson<GithubEvent[]>(
+        `${trimSlash(baseUrl)}/users/${encodeURIComponent(username)}/events/public?per_page=100&page=${page}`,
+        `activity for "${username}"`,
+      );
+      for (const event of events) {
+        const date = dateIn(new Date(event.created_at), timeZone);
+        const repos = days.get(date) ?? new Map<string, RepositoryActivity>();
+        days.set(date, repos);
+        const name = event.repo.name;
+        const activity = repos.get(name) ?? {
+          repository: name,
+          url: `https://github.com/${name}`,
+        };
+        const opened = event.payload.action === "opened";
+        if (event.type === "PushEvent") {
+          activity.commits =
+            (activity.commits ?? 0) +
+            (event.payload.size ?? event.payload.commits?.length ?? 0);
+        } else if (event.type === "PullRequestEvent" && opened) {
+          activity.pullRequests = (activity.pullRequests ?? 0) + 1;
+        } else if (event.type === "IssuesEvent" && opened) {
+          activity.issues = (activity.issues ?? 0) + 1;
+        } else if (event.type === "PullRequestReviewEvent") {
+          activity.reviews = (activity.reviews ?? 0) + 1;
+        } else {
+          continue;
+        }
+        repos.set(name, activity);
+      }
+      if (events.length < 100) break;
+    }
+    return new Map(
+      Array.from(days, ([date, repos]) => [date, Array.from(repos.values())]),
+    );
+  };
+
+  return {
+    id: `github-events:${baseUrl}`,
+    fetchDay: async (username, date, options) => {
+      const key = username.toLowerCase();
+      let pending = byUser.get(key);
+      if (!pending) {
+        // Shared by every day of this user, so it runs without the caller's signal
+        pending = load(username);
+        byUser.set(key, pending);
+        pending.catch(() => byUser.delete(key));
+      }
+      const days = await abortable(pending, options?.signal);
+      return { date, repositories: days.get(date) ?? [] };
+    },
+  };
+}
+
+/**
+ * Asks each provider in turn and returns the first day that has any activity
+ * (or the last answer when none does).
+ */
+export function fallbackDetailsProvider(
+  ...providers: DayDetailsProvider[]
+): DayDetailsProvider {
+  return {
+    id: `fallback-details:${providers.map((p) => p.id).join("|")}`,
+    fetchDay: async (username, date, options) => {
+      let result: DayDetails | null = null;
+      let lastError: unknown = new Error("No details providers configured");
+      for (const provider of providers) {
+        try {
+          result = await provider.fetchDay(username, date, options);
+          if (result.repositories.length > 0) return result;
+        } catch (e) {
+          if (options?.signal?.aborted) throw e;
+          lastError = e;
+        }
+      }
+      if (result) return result;
+      throw lastError;
+    },
+  };
+}
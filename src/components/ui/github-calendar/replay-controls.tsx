@@ -0,0 +1,129 @@
+import { cn } from "@/lib/utils";
+import { formatDay } from "./locale";
+import { REPLAY_SPEEDS, type Replay, type ReplayTimeline } from "./replay";
+
+// ─── Replay transport ─────────────────────────────────────────────────────────
+
+function shortDate(dateStr: string, locale?: string): string {
+  return formatDay(dateStr, locale, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+function Counter({ label, value }: { label: string; value: string }) {
+  return (
+    <span className="flex items-baseline gap-1">
+      <span className="text-neutral-500">{label}</span>
+      <span className="font-semibold text-neutral-100 tabular-nums">{value}</span>
+    </span>
+  );
+}
+
+export function ReplayControls({
+  replay,
+  dates,
+  timeline,
+  accentColor,
+  locale,
+  className,
+}: {
+  replay: Replay;
+  dates: string[];
+  timeline: ReplayTimeline;
+  accentColor: string;
+  locale?: string;
+  className?: string;
+}) {
+  const i = replay.revealed - 1;
+  const total = i >= 0 ? timeline.totals[i]! : 0;
+  const streak = i >= 0 ? timeline.streaks[i]! : 0;
+  const longest = i >= 0 ? timeline.longest[i]! : 0;
+  const dateLabel = replay.cursorDate
+    ? shortDate(replay.cursorDate, locale)
+    : dates[0]
+      ? `Before ${shortDate(dates[0], locale)}`
+      : "—";
+
+  return (
+    <div
+      className={cn(
+        "flex flex-col gap-2 text-[11px] text-neutral-400 select-none",
+        className,
+      )}
+    >
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={replay.togglePlaying}
+          aria-label={replay.playing ? "Pause replay" : "Play replay"}
+          className="flex h-6 w-6 shrink-0 items-center justify-center rounded border border-neutral-800 text-neutral-200 transition-colors hover:border-neutral-600 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+        >
+          <svg
+            width="10"
+            height="10"
+            viewBox="0 0 10 10"
+            fill="currentColor"
+            aria-hidden="true"
+          >
+            {replay.playing ? (
+              <>
+                <rect x="1" y="1" width="3" height="8" />
+                <rect x="6" y="1" width="3" height="8" />
+              </>
+            ) : (
+              <polygon points="2,1 9,5 2,9" />
+            )}
+          </svg>
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={dates.length}
+          step={1}
+          value={replay.revealed}
+          onChange={(e) => replay.seek(Number(e.target.value))}
+          aria-label="Replay position"
+          aria-valuetext={dateLabel}
+          className="h-1 min-w-0 flex-1 cursor-pointer"
+          style={{ accentColor }}
+        />
+        <select
+          aria-label="Replay speed"
+          value={replay.speed}
+          onChange={(e) => replay.setSpeed(Number(e.target.value))}
+          className="h-6 rounded border border-neutral-800 bg-transparent px-1.5 text-neutral-200 outline-none hover:border-neutral-600"
+        >
+          {REPLAY_SPEEDS.map((s) => (
+            <option key={s} value={s} className="bg-neutral-900">
+              {s}×
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={replay.stop}
+          className="h-6 rounded border border-neutral-800 px-2 text-neutral-300 transition-colors hover:border-neutral-600 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+        >
+          Done
+        </button>
+      </div>
+      {/* Only the date is announced; the counters would be far too chatty */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+        <span
+          aria-hidden="true"
+          className="w-28 font-medium text-neutral-200 tabular-nums"
+        >
+          {dateLabel}
+        </span>
+        <span className="sr-only" aria-live="polite">
+          {replay.playing ? "" : dateLabel}
+        </span>
+        <Counter label="Total" value={total.toLocaleString(locale)} />
+        <Counter label="Streak" value={`${streak}d`} />
+        <Counter label="Longest" value={`${longest}d`} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { dayCount, isActive } from "./stats";
+import type { ContributionData } from "./types";
+
+// ─── Replay / time-lapse ──────────────────────────────────────────────────────
+//
+// Replay reveals the grid one day at a time. `revealed` is the number of days
+// shown so far (0 … dates.length); cells past it render as empty. The running
+// totals are precomputed once per range, so playback only ever indexes arrays.
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4] as const;
+
+/** Days revealed per second at 1× — a full year takes about 18 seconds. */
+const DAYS_PER_SECOND = 20;
+
+export type ReplayTimeline = {
+  /** Contributions up to and including day i. */
+  totals: number[];
+  /** Streak ending on day i (0 if day i was inactive). */
+  streaks: number[];
+  /** Longest streak seen up to day i. */
+  longest: number[];
+};
+
+export function buildReplayTimeline(
+  dates: string[],
+  data: ContributionData,
+): ReplayTimeline {
+  const timeline: ReplayTimeline = { totals: [], streaks: [], longest: [] };
+  let total = 0;
+  let streak = 0;
+  let longest = 0;
+  for (const date of dates) {
+    const entry = data[date];
+    total += dayCount(entry);
+    streak = isActive(entry) ? streak + 1 : 0;
+    longest = Math.max(longest, streak);
+    timeline.totals.push(total);
+    timeline.streaks.push(streak);
+    timeline.longest.push(longest);
+  }
+  return timeline;
+}
+
+export type Replay = {
+  active: boolean;
+  playing: boolean;
+  revealed: number;
+  speed: number;
+  /** Date of the newest revealed day, or null before the first one. */
+  cursorDate: string | null;
+  start: () => void;
+  stop: () => void;
+  togglePlaying: () => void;
+  seek: (revealed: number) => void;
+  setSpeed: (speed: number) => void;
+};
+
+export function useReplay(dates: string[]): Replay {
+  const [active, setActive] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [revealed, setRevealed] = useState(dates.length);
+  const [speed, setSpeed] = useState(1);
+  // Fractional playhead; `revealed` only changes when a whole day passes
+  const position = useRef(dates.length);
+
+  const seek = useCallback(
+    (n: number) => {
+      const clamped = Math.max(0, Math.min(dates.length, Math.round(n)));
+      position.current = clamped;
+      setRevealed(clamped);
+    },
+    [dates.length],
+  );
+
+  // A new range ends the replay and shows it in full
+  useEffect(() => {
+    setActive(false);
+    setPlaying(false);
+    position.current = dates.length;
+    setRevealed(dates.length);
+  }, [dates]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame = 0;
+    let last = performance.now();
+    const tick = (now: number) => {
+      // Clamp long frames (background tabs) so playback never jumps ahead
+      const dt = Math.min(now - last, 100) / 1000;
+      last = now;
+      position.current = Math.min(
+        dates.length,
+        position.current + dt * DAYS_PER_SECOND * speed,
+      );
+      setRevealed(Math.floor(position.current));
+      if (position.current >= dates.length) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, dates.length]);
+
+  const start = useCallback(() => {
+    seek(0);
+    setActive(true);
+    setPlaying(true);
+  }, [seek]);
+
+  const stop = useCallback(() => {
+    setActive(false);
+    setPlaying(false);
+    seek(dates.length);
+  }, [seek, dates.length]);
+
+  const togglePlaying = useCallback(() => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Play from the top again once the end has been reached
+    if (position.current >= dates.length) seek(0);
+    setPlaying(true);
+  }, [playing, seek, dates.length]);
+
+  const cursorDate = revealed > 0 ? (dates[revealed - 1] ?? null) : null;
+
+  return useMemo(
+    () => ({
+      active,
+      playing,
+      revealed,
+      speed,
+      cursorDate,
+      start,
+      stop,
+      togglePlaying,
+      seek,
+      setSpeed,
+    }),
+    [active, playing, revealed, speed, cursorDate, start, stop, togglePlaying, seek],
+  );
+}
@@ -0,0 +1,762 @@
+// ─── Retro space shooter engine ───────────────────────────────────────────────
+//
+// Drives the canvas of GithubCalendar's game mode. The engine starts in
+// "attract" mode (the old autoplay sweep) and switches to "playing" as soon as
+// the player presses a game key or taps the canvas.
+//
+// While the game runs the canvas owns the whole grid: cells are painted once
+// onto an offscreen layer and only the cell that was hit is repainted, so a
+// frame costs the same whether the calendar shows one year or ten.
+
+import { createCellIndex } from "./cell-index";
+import { formatDate } from "./dates";
+
+export type ShooterCell = {
+  date: string;
+  x: number;
+  y: number;
+  level: number;
+};
+
+export type ShooterMode = "attract" | "playing" | "gameover";
+
+export type HighScore = {
+  score: number;
+  wave: number;
+  date: string;
+};
+
+export type ShooterOptions = {
+  canvas: HTMLCanvasElement;
+  width: number;
+  height: number;
+  /** Height of the contribution grid; the strip below it is the ship's zone. */
+  gridHeight: number;
+  cellSize: number;
+  cellRx: number;
+  step: number;
+  cells: ShooterCell[];
+  levelColor: (level: number) => string;
+  shipColor: string;
+  laserColor: string;
+  /** Scrolled horizontally to keep the ship in view on wide ranges. */
+  scrollContainer?: HTMLElement | null;
+  onModeChange?: (mode: ShooterMode) => void;
+  /** Escape pressed while already in attract mode — leave game mode. */
+  onExit?: () => void;
+};
+
+export type ShooterGame = {
+  destroy: () => void;
+};
+
+const HIGH_SCORE_KEY = "github-calendar:shooter-high-scores";
+const MAX_HIGH_SCORES = 5;
+
+const START_LIVES = 3;
+const ATTRACT_COOLDOWN = 140;
+const PLAYER_COOLDOWN = 180;
+const INVULNERABLE_MS = 1500;
+const BANNER_MS = 1600;
+const TAP_MAX_MS = 250;
+const TAP_MAX_MOVE = 10;
+
+const POINTS_HIT = 10;
+const POINTS_CLEAR = 50;
+const POINTS_WAVE = 250;
+
+const KEY_LEFT = ["ArrowLeft", "a", "A"];
+const KEY_RIGHT = ["ArrowRight", "d", "D"];
+const KEY_UP = ["ArrowUp", "w", "W"];
+const KEY_DOWN = ["ArrowDown", "s", "S"];
+const KEY_FIRE = [" ", "Spacebar"];
+const GAME_KEYS = [...KEY_LEFT, ...KEY_RIGHT, ...KEY_UP, ...KEY_DOWN, ...KEY_FIRE];
+
+// ─── High scores ──────────────────────────────────────────────────────────────
+
+export function loadHighScores(): HighScore[] {
+  try {
+    const raw = localStorage.getItem(HIGH_SCORE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter(
+        (s): s is HighScore =>
+          typeof s?.score === "number" && typeof s?.wave === "number",
+      )
+      .slice(0, MAX_HIGH_SCORES);
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveHighScore(entry: HighScore): HighScore[] {
+  const scores = [...loadHighScores(), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_HIGH_SCORES);
+  try {
+    localStorage.setItem(HIGH_SCORE_KEY, JSON.stringify(scores));
+  } catch (e) {
+    // Storage full or disabled (private mode) — scores just won't persist
+  }
+  return scores;
+}
+
+// ─── Wave difficulty ──────────────────────────────────────────────────────────
+
+/** Cells come back one level stronger every second wave. */
+function waveLevel(original: number, wave: number): number {
+  if (original === 0) return 0;
+  return Math.min(4, original + Math.floor((wave - 1) / 2));
+}
+
+/** Milliseconds between shots fired back by the cells. */
+function enemyInterval(wave: number): number {
+  return Math.max(220, 1300 - (wave - 1) * 180);
+}
+
+function enemyBulletSpeed(wave: number): number {
+  return Math.min(5, 1.8 + (wave - 1) * 0.35);
+}
+
+// ─── Engine ───────────────────────────────────────────────────────────────────
+
+export function createShooterGame({
+  canvas,
+  width,
+  height,
+  gridHeight,
+  cellSize,
+  cellRx,
+  step,
+  cells,
+  levelColor,
+  shipColor,
+  laserColor,
+  scrollContainer,
+  onModeChange,
+  onExit,
+}: ShooterOptions): ShooterGame {
+  const ctx = canvas.getContext("2d");
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  ctx?.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  let animationFrameId = 0;
+  let mode: ShooterMode = "attract";
+  let score = 0;
+  let lives = START_LIVES;
+  let wave = 1;
+  let invulnerableUntil = 0;
+  let bannerUntil = 0;
+  let bannerText = "";
+  let highScores = loadHighScores();
+  let lastScore: HighScore | null = null;
+
+  // ── Cells ────────────────────────────────────────────────────────────────
+  const index = createCellIndex(cells, step);
+  // An empty range has nothing to clear, so it never leaves attract mode
+  const targetCount = cells.filter((c) => c.level > 0).length;
+
+  const layer = document.createElement("canvas");
+  layer.width = canvas.width;
+  layer.height = Math.round((gridHeight + 1) * dpr);
+  const layerCtx = layer.getContext("2d");
+  layerCtx?.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  const paintCell = (i: number) => {
+    if (!layerCtx) return;
+    const { x, y } = cells[i]!;
+    const level = index.level(i);
+    layerCtx.clearRect(x - 0.5, y - 0.5, cellSize + 1, cellSize + 1);
+    if (level === 0) return;
+    layerCtx.fillStyle = levelColor(level);
+    layerCtx.beginPath();
+    if (layerCtx.roundRect) layerCtx.roundRect(x, y, cellSize, cellSize, cellRx);
+    else layerCtx.rect(x, y, cellSize, cellSize);
+    layerCtx.fill();
+  };
+
+  const setLevel = (i: number, level: number) => {
+    index.setLevel(i, level);
+    paintCell(i);
+  };
+
+  const resetCells = () => {
+    index.reset((i) => {
+      const original = cells[i]!.level;
+      return mode === "playing" ? waveLevel(original, wave) : original;
+    });
+    layerCtx?.clearRect(0, 0, width, gridHeight + 1);
+    for (let i = 0; i < cells.length; i++) paintCell(i);
+  };
+
+  resetCells();
+
+  // Player (Spacecraft)
+  const shipZoneTop = gridHeight + 24;
+  const player = {
+    x: width / 2 - 15,
+    y: height - 25,
+    width: 30,
+    height: 20,
+    speed: 4,
+    direction: 1, // attract sweep: 1 = right, -1 = left
+    color: shipColor,
+  };
+
+  // Bullets
+  type GameBullet = {
+    x: number;
+    y: number;
+    vy: number;
+    width: number;
+    height: number;
+    color: string;
+  };
+  let bullets: GameBullet[] = [];
+  let enemyBullets: GameBullet[] = [];
+  let lastShot = 0;
+  let lastEnemyShot = 0;
+
+  const shoot = () => {
+    bullets.push({
+      x: player.x + player.width / 2 - 1.5,
+      y: player.y - 4,
+      vy: -6,
+      width: 3,
+      height: 8,
+      color: laserColor,
+    });
+  };
+
+  const enemyShoot = () => {
+    const i = index.randomActive();
+    if (i === null) return;
+    const cell = cells[i]!;
+    enemyBullets.push({
+      x: cell.x + cellSize / 2 - 1.5,
+      y: cell.y + cellSize,
+      vy: enemyBulletSpeed(wave),
+      width: 3,
+      height: 6,
+      color: levelColor(index.level(i)),
+    });
+  };
+
+  // Stars background (Space effect)
+  const stars = Array.from({ length: 140 }).map(() => ({
+    x: Math.random() * width,
+    y: Math.random() * height,
+    speed: Math.random() * 0.4 + 0.1,
+    size: Math.random() * 1.2 + 0.5,
+    alpha: Math.random() * 0.5 + 0.1,
+  }));
+
+  // Particles (for explosions)
+  type GameParticle = {
+    x: number;
+    y: number;
+    vx: number;
+    vy: number;
+    color: string;
+    size: number;
+    alpha: number;
+    life: number;
+    maxLife: number;
+  };
+  let particles: GameParticle[] = [];
+  const explode = (x: number, y: number, color: string, count = 12) => {
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = Math.random() * 2.5 + 1.2;
+      particles.push({
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        color,
+        size: Math.random() * 2 + 1,
+        alpha: 1,
+        life: 0,
+        maxLife: Math.random() * 15 + 15,
+      });
+    }
+  };
+
+  const showBanner = (text: string) => {
+    bannerText = text;
+    bannerUntil = Date.now() + BANNER_MS;
+  };
+
+  const setMode = (next: ShooterMode) => {
+    mode = next;
+    onModeChange?.(next);
+  };
+
+  // ── Game flow ────────────────────────────────────────────────────────────
+  const startGame = () => {
+    if (targetCount === 0) return;
+    score = 0;
+    lives = START_LIVES;
+    wave = 1;
+    lastScore = null;
+    bullets = [];
+    enemyBullets = [];
+    player.x = width / 2 - player.width / 2;
+    player.y = height - 25;
+    invulnerableUntil = Date.now() + INVULNERABLE_MS;
+    lastEnemyShot = Date.now();
+    setMode("playing");
+    resetCells();
+    showBanner("WAVE 1");
+  };
+
+  const endGame = () => {
+    lastScore = {
+      score,
+      wave,
+      // The player's local day, not UTC's
+      date: formatDate(new Date()),
+    };
+    highScores = saveHighScore(lastScore);
+    enemyBullets = [];
+    setMode("gameover");
+  };
+
+  const toAttract = () => {
+    bullets = [];
+    enemyBullets = [];
+    setMode("attract");
+    resetCells();
+  };
+
+  const nextWave = () => {
+    wave++;
+    score += POINTS_WAVE * (wave - 1);
+    enemyBullets = [];
+    resetCells();
+    showBanner(`WAVE ${wave}`);
+  };
+
+  // ── Input ────────────────────────────────────────────────────────────────
+  const keys = new Set<string>();
+  let fireQueued = false;
+  let dragTargetX: number | null = null;
+  let pointer: { id: number; x: number; y: number; t: number } | null = null;
+
+  const toCanvasX = (clientX: number) => {
+    const rect = canvas.getBoundingClientRect();
+    const scale = rect.width > 0 ? width / rect.width : 1;
+    return (clientX - rect.left) * scale;
+  };
+
+  const onKeyDown = (e: KeyboardEvent) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      if (mode !== "attract") toAttract();
+      else onExit?.();
+      return;
+    }
+
+    if (mode === "gameover") {
+      if (e.key === "Enter" || KEY_FIRE.includes(e.key)) {
+        e.preventDefault();
+        startGame();
+      }
+      return;
+    }
+
+    if (!GAME_KEYS.includes(e.key)) return;
+    e.preventDefault();
+    if (mode === "attract") startGame();
+    keys.add(e.key);
+    if (KEY_FIRE.includes(e.key) && !e.repeat) fireQueued = true;
+  };
+
+  const onKeyUp = (e: KeyboardEvent) => {
+    keys.delete(e.key);
+  };
+
+  const onBlur = () => keys.clear();
+
+  const onPointerDown = (e: PointerEvent) => {
+    pointer = { id: e.pointerId, x: e.clientX, y: e.clientY, t: Date.now() };
+    canvas.setPointerCapture?.(e.pointerId);
+    canvas.focus({ preventScroll: true });
+  };
+
+  const onPointerMove = (e: PointerEvent) => {
+    if (!pointer || pointer.id !== e.pointerId || mode !== "playing") return;
+    dragTargetX = toCanvasX(e.clientX) - player.width / 2;
+  };
+
+  const onPointerUp = (e: PointerEvent) => {
+    if (!pointer || pointer.id !== e.pointerId) return;
+    const moved = Math.hypot(e.clientX - pointer.x, e.clientY - pointer.y);
+    const isTap =
+      Date.now() - pointer.t <= TAP_MAX_MS && moved <= TAP_MAX_MOVE;
+    pointer = null;
+    dragTargetX = null;
+    if (!isTap) return;
+    if (mode === "playing") fireQueued = true;
+    else startGame();
+  };
+
+  const onPointerCancel = () => {
+    pointer = null;
+    dragTargetX = null;
+  };
+
+  const held = (list: string[]) => list.some((k) => keys.has(k));
+
+  canvas.addEventListener("keydown", onKeyDown);
+  canvas.addEventListener("keyup", onKeyUp);
+  canvas.addEventListener("blur", onBlur);
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("pointermove", onPointerMove);
+  canvas.addEventListener("pointerup", onPointerUp);
+  canvas.addEventListener("pointercancel", onPointerCancel);
+
+  // ── Update ───────────────────────────────────────────────────────────────
+  const activeColumnBounds = () => {
+    const cols = index.activeColumns();
+    return cols ? { minX: cols.min * step, maxX: (cols.max + 1) * step } : null;
+  };
+
+  // Keep the ship on screen when the grid is wider than its scroll container
+  const followShip = () => {
+    if (!scrollContainer) return;
+    const { scrollLeft, clientWidth } = scrollContainer;
+    const margin = Math.min(80, clientWidth / 4);
+    if (player.x < scrollLeft + margin) {
+      scrollContainer.scrollLeft = Math.max(0, player.x - margin);
+    } else if (player.x + player.width > scrollLeft + clientWidth - margin) {
+      scrollContainer.scrollLeft = player.x + player.width + margin - clientWidth;
+    }
+  };
+
+  const updateAttract = (now: number) => {
+    // Restrict the sweep to columns that still have active cells
+    let minX = 0;
+    let maxX = width - player.width;
+    const bounds = activeColumnBounds();
+    if (bounds) {
+      minX = bounds.minX;
+      maxX = Math.max(minX, Math.min(width - player.width, bounds.maxX - player.width));
+    }
+    player.x = Math.max(minX, Math.min(maxX, player.x));
+
+    // ── Side-to-Side Sweep Ship Movement ──────────────────────────────────
+    player.x += player.speed * player.direction;
+    if (player.x >= maxX) {
+      player.x = maxX;
+      player.direction = -1;
+    } else if (player.x <= minX) {
+      player.x = minX;
+      player.direction = 1;
+    }
+
+    // ── Continuous Auto-Shooting ──────────────────────────────────────────
+    if (now - lastShot >= ATTRACT_COOLDOWN) {
+      shoot();
+      lastShot = now;
+    }
+  };
+
+  const updatePlayer = (now: number) => {
+    let dx = 0;
+    let dy = 0;
+    if (held(KEY_LEFT)) dx -= 1;
+    if (held(KEY_RIGHT)) dx += 1;
+    if (held(KEY_UP)) dy -= 1;
+    if (held(KEY_DOWN)) dy += 1;
+
+    if (dragTargetX !== null) {
+      const delta = dragTargetX - player.x;
+      player.x += Math.sign(delta) * Math.min(Math.abs(delta), player.speed * 2);
+    }
+    player.x += dx * player.speed;
+    player.y += dy * player.speed;
+    player.x = Math.max(0, Math.min(width - player.width, player.x));
+    player.y = Math.max(
+      shipZoneTop,
+      Math.min(height - player.height - 5, player.y),
+    );
+
+    if ((fireQueued || held(KEY_FIRE)) && now - lastShot >= PLAYER_COOLDOWN) {
+      shoot();
+      lastShot = now;
+      fireQueued = false;
+    }
+
+    // ── Cells fire back ───────────────────────────────────────────────────
+    if (now - lastEnemyShot >= enemyInterval(wave)) {
+      enemyShoot();
+      lastEnemyShot = now;
+    }
+  };
+
+  const update = () => {
+    const now = Date.now();
+
+    if (mode === "attract") updateAttract(now);
+    else if (mode === "playing") updatePlayer(now);
+    followShip();
+
+    // ── Update Environment ────────────────────────────────────────────────
+    stars.forEach((s) => {
+      s.y += s.speed;
+      if (s.y > height) {
+        s.y = 0;
+        s.x = Math.random() * width;
+      }
+    });
+
+    bullets = bullets.filter((b) => {
+      b.y += b.vy;
+      return b.y > 0;
+    });
+
+    enemyBullets = enemyBullets.filter((b) => {
+      b.y += b.vy;
+      return b.y < height;
+    });
+
+    particles.forEach((p) => {
+      p.x += p.vx;
+      p.y += p.vy;
+      p.life++;
+      p.alpha = 1 - p.life / p.maxLife;
+    });
+    particles = particles.filter((p) => p.life < p.maxLife);
+
+    // ── Laser collisions with cells ───────────────────────────────────────
+    // Only the columns a bullet overlaps are tested
+    bullets = bullets.filter((bullet) => {
+      if (bullet.y > gridHeight) return true;
+      let hit = -1;
+      index.queryColumns(bullet.x, bullet.x + bullet.width, (i) => {
+        const cell = cells[i]!;
+        if (
+          bullet.x < cell.x + cellSize &&
+          bullet.x + bullet.width > cell.x &&
+          bullet.y < cell.y + cellSize &&
+          bullet.y + bullet.height > cell.y
+        ) {
+          hit = i;
+          return false;
+        }
+      });
+      if (hit === -1) return true;
+
+      const cell = cells[hit]!;
+      const currentLevel = index.level(hit);
+      const newLevel = currentLevel - 1;
+      setLevel(hit, newLevel);
+      if (mode === "playing") {
+        score += POINTS_HIT + (newLevel === 0 ? POINTS_CLEAR : 0);
+      }
+      explode(
+        cell.x + cellSize / 2,
+        cell.y + cellSize / 2,
+        levelColor(currentLevel),
+      );
+      return false;
+    });
+
+    // ── Enemy fire hitting the ship ───────────────────────────────────────
+    if (mode === "playing" && now >= invulnerableUntil) {
+      const hit = enemyBullets.find(
+        (b) =>
+          b.x < player.x + player.width &&
+          b.x + b.width > player.x &&
+          b.y < player.y + player.height &&
+          b.y + b.height > player.y,
+      );
+      if (hit) {
+        enemyBullets = enemyBullets.filter((b) => b !== hit);
+        lives--;
+        explode(
+          player.x + player.width / 2,
+          player.y + player.height / 2,
+          player.color,
+          24,
+        );
+        if (lives <= 0) endGame();
+        else invulnerableUntil = now + INVULNERABLE_MS;
+      }
+    }
+
+    // ── Wave cleared ──────────────────────────────────────────────────────
+    if (index.activeCount() === 0 && targetCount > 0) {
+      if (mode === "playing") nextWave();
+      else resetCells();
+    }
+  };
+
+  // ── Render ───────────────────────────────────────────────────────────────
+  const drawText = (
+    text: string,
+    x: number,
+    y: number,
+    {
+      size = 11,
+      align = "left",
+      color = "#fafafa",
+    }: { size?: number; align?: CanvasTextAlign; color?: string } = {},
+  ) => {
+    if (!ctx) return;
+    ctx.font = `bold ${size}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+    ctx.textAlign = align;
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  };
+
+  const drawShip = (now: number) => {
+    if (!ctx) return;
+    // Blink while invulnerable
+    if (mode === "playing" && now < invulnerableUntil && Math.floor(now / 100) % 2) {
+      return;
+    }
+    ctx.fillStyle = player.color;
+    ctx.shadowColor = player.color;
+    ctx.shadowBlur = 6;
+    ctx.beginPath();
+    ctx.moveTo(player.x + player.width / 2, player.y);
+    ctx.lineTo(player.x + player.width, player.y + player.height);
+    ctx.lineTo(player.x + player.width * 0.7, player.y + player.height * 0.75);
+    ctx.lineTo(player.x + player.width * 0.3, player.y + player.height * 0.75);
+    ctx.lineTo(player.x, player.y + player.height);
+    ctx.closePath();
+    ctx.fill();
+    ctx.shadowBlur = 0;
+  };
+
+  const drawHud = (now: number) => {
+    const hudY = gridHeight + 12;
+    const best = Math.max(highScores[0]?.score ?? 0, score);
+
+    if (mode === "attract") {
+      if (targetCount === 0) {
+        drawText("NO CONTRIBUTIONS TO SHOOT IN THIS RANGE", width / 2, hudY, {
+          align: "center",
+          color: "#a3a3a3",
+        });
+      } else if (Math.floor(now / 600) % 2 === 0) {
+        drawText("PRESS ARROWS, WASD OR SPACE · TAP TO PLAY", width / 2, hudY, {
+          align: "center",
+          color: "#a3a3a3",
+        });
+      }
+      return;
+    }
+
+    drawText(`SCORE ${String(score).padStart(6, "0")}`, 0, hudY);
+    drawText(`WAVE ${wave}`, width / 2, hudY, { align: "center" });
+    drawText(
+      `HI ${String(best).padStart(6, "0")}  ${"♥".repeat(Math.max(0, lives))}`,
+      width,
+      hudY,
+      { align: "right", color: "#f87171" },
+    );
+
+    if (mode === "playing" && now < bannerUntil) {
+      drawText(bannerText, width / 2, gridHeight / 2, {
+        size: 20,
+        align: "center",
+        color: "#fbbf24",
+      });
+    }
+  };
+
+  const drawGameOver = () => {
+    if (!ctx) return;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+    ctx.fillRect(0, 0, width, height);
+
+    let y = Math.max(20, height / 2 - 24 - highScores.length * 7);
+    drawText("GAME OVER", width / 2, y, {
+      size: 22,
+      align: "center",
+      color: "#f87171",
+    });
+    y += 24;
+    drawText(`SCORE ${score}  ·  WAVE ${wave}`, width / 2, y, {
+      align: "center",
+    });
+    y += 20;
+    highScores.forEach((s, i) => {
+      const isNew = lastScore !== null && s === lastScore;
+      drawText(
+        `${i + 1}. ${String(s.score).padStart(6, " ")}  W${s.wave}  ${s.date}`,
+        width / 2,
+        y,
+        { size: 10, align: "center", color: isNew ? "#fbbf24" : "#a3a3a3" },
+      );
+      y += 14;
+    });
+    drawText("PRESS ENTER OR TAP TO RESTART", width / 2, y + 8, {
+      size: 10,
+      align: "center",
+      color: "#38bdf8",
+    });
+  };
+
+  const render = () => {
+    if (!ctx) return;
+    const now = Date.now();
+    ctx.clearRect(0, 0, width, height);
+
+    // Draw starry space background
+    ctx.fillStyle = "#ffffff";
+    stars.forEach((s) => {
+      ctx.globalAlpha = s.alpha;
+      ctx.fillRect(s.x, s.y, s.size, s.size);
+    });
+    ctx.globalAlpha = 1.0;
+
+    ctx.drawImage(layer, 0, 0, width, layer.height / dpr);
+
+    bullets.concat(enemyBullets).forEach((b) => {
+      ctx.fillStyle = b.color;
+      ctx.fillRect(b.x, b.y, b.width, b.height);
+    });
+
+    particles.forEach((p) => {
+      ctx.fillStyle = p.color;
+      ctx.globalAlpha = p.alpha;
+      ctx.fillRect(p.x, p.y, p.size, p.size);
+    });
+    ctx.globalAlpha = 1.0;
+
+    if (mode !== "gameover") drawShip(now);
+    drawHud(now);
+    if (mode === "gameover") drawGameOver();
+  };
+
+  const loop = () => {
+    if (mode !== "gameover") update();
+    render();
+    animationFrameId = requestAnimationFrame(loop);
+  };
+
+  animationFrameId = requestAnimationFrame(loop);
+
+  return {
+    destroy: () => {
+      cancelAnimationFrame(animationFrameId);
+      canvas.removeEventListener("keydown", onKeyDown);
+      canvas.removeEventListener("keyup", onKeyUp);
+      canvas.removeEventListener("blur", onBlur);
+      canvas.removeEventListener("pointerdown", onPointerDown);
+      canvas.removeEventListener("pointermove", onPointerMove);
+      canvas.removeEventListener("pointerup", onPointerUp);
+      canvas.removeEventListener("pointercancel", onPointerCancel);
+    },
+  };
+}
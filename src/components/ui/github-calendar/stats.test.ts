@@ -0,0 +1,169 @@
+import { describe, expect, it } from "vitest";
+import { computeStats } from "./stats";
+import type { ContributionData } from "./types";
+
+/** Builds data from { date: count }; levels follow the count roughly. */
+function counts(days: Record<string, number>): ContributionData {
+  const data: ContributionData = {};
+  for (const [date, count] of Object.entries(days)) {
+    data[date] = { level: count === 0 ? 0 : count < 4 ? 1 : 3, count };
+  }
+  return data;
+}
+
+// June 2025 starts on a Sunday
+
+describe("computeStats streaks", () => {
+  const data = counts({
+    "2025-06-01": 0,
+    "2025-06-02": 1,
+    "2025-06-03": 2,
+    "2025-06-04": 0,
+    "2025-06-05": 1,
+    "2025-06-06": 1,
+    "2025-06-07": 3,
+    "2025-06-08": 1,
+    "2025-06-09": 0,
+    "2025-06-10": 2,
+  });
+
+  it("finds the longest streak", () => {
+    expect(computeStats(data).longestStreak).toEqual({
+      length: 4,
+      start: "2025-06-05",
+      end: "2025-06-08",
+    });
+  });
+
+  it("counts a streak running through the last day as current", () => {
+    expect(computeStats(data).currentStreak).toEqual({
+      length: 1,
+      start: "2025-06-10",
+      end: "2025-06-10",
+    });
+  });
+
+  it("keeps a streak that ended yesterday current", () => {
+    expect(computeStats(data, { end: "2025-06-09" }).currentStreak).toEqual({
+      length: 4,
+      start: "2025-06-05",
+      end: "2025-06-08",
+    });
+  });
+
+  it("drops a streak that ended two days ago", () => {
+    const lapsed = { ...data, "2025-06-10": { level: 0, count: 0 } } satisfies ContributionData;
+    expect(computeStats(lapsed).currentStreak).toEqual({
+      length: 0,
+      start: null,
+      end: null,
+    });
+    expect(computeStats(lapsed).longestStreak.length).toBe(4);
+  });
+
+  it("doesn't count days before the range into the current streak", () => {
+    expect(computeStats(data, { start: "2025-06-07" }).currentStreak.length).toBe(1);
+    expect(computeStats(data, { start: "2025-06-07", end: "2025-06-08" }).currentStreak).toEqual({
+      length: 2,
+      start: "2025-06-07",
+      end: "2025-06-08",
+    });
+  });
+});
+
+describe("computeStats bestWeek", () => {
+  const data = counts({
+    "2025-06-01": 0,
+    "2025-06-02": 6, // Monday
+    "2025-06-08": 10, // Sunday
+    "2025-06-09": 5, // Monday
+    "2025-06-14": 0,
+  });
+
+  it("splits weeks on Sunday by default", () => {
+    expect(computeStats(data).bestWeek).toEqual({
+      start: "2025-06-08",
+      end: "2025-06-14",
+      count: 15,
+    });
+  });
+
+  it("splits weeks on the given weekStart", () => {
+    expect(computeStats(data, { weekStart: 1 }).bestWeek).toEqual({
+      start: "2025-06-02",
+      end: "2025-06-08",
+      count: 16,
+    });
+  });
+
+  it("is null when nothing was contributed", () => {
+    expect(computeStats(counts({ "2025-06-01": 0, "2025-06-09": 0 })).bestWeek).toBeNull();
+  });
+});
+
+describe("computeStats totals", () => {
+  const data = counts({
+    "2025-05-31": 3, // Saturday
+    "2025-06-01": 2, // Sunday
+    "2025-06-02": 4, // Monday
+    "2025-06-09": 1, // Monday
+  });
+
+  it("totals each weekday", () => {
+    expect(computeStats(data).weekdays).toEqual([2, 5, 0, 0, 0, 0, 3]);
+  });
+
+  it("totals each month in the range, including empty ones", () => {
+    const stats = computeStats(data, { start: "2025-04-30", end: "2025-07-01" });
+    expect(stats.months).toEqual([
+      { month: "2025-04", count: 0 },
+      { month: "2025-05", count: 3 },
+      { month: "2025-06", count: 7 },
+      { month: "2025-07", count: 0 },
+    ]);
+    expect(stats.bestMonth).toEqual({ month: "2025-06", count: 7 });
+  });
+
+  it("sums the range", () => {
+    const stats = computeStats(data);
+    expect(stats.total).toBe(10);
+    expect(stats.activeDays).toBe(4);
+    expect(stats.totalDays).toBe(10);
+    expect(stats.averagePerActiveDay).toBe(2.5);
+    expect(stats.bestDay).toEqual({ date: "2025-06-02", count: 4 });
+  });
+});
+
+describe("computeStats with levels only", () => {
+  const data: ContributionData = {
+    "2025-06-01": { level: 2 },
+    "2025-06-02": { level: 0 },
+    "2025-06-03": { level: 4 },
+    "2025-06-04": { level: 1 },
+  };
+
+  it("counts each active day once", () => {
+    const stats = computeStats(data);
+    expect(stats.total).toBe(3);
+    expect(stats.activeDays).toBe(3);
+    expect(stats.bestDay).toEqual({ date: "2025-06-01", count: 1 });
+    expect(stats.weekdays).toEqual([1, 0, 1, 1, 0, 0, 0]);
+  });
+
+  it("still finds streaks", () => {
+    const stats = computeStats(data);
+    expect(stats.longestStreak).toEqual({ length: 2, start: "2025-06-03", end: "2025-06-04" });
+    expect(stats.currentStreak).toEqual(stats.longestStreak);
+  });
+});
+
+describe("computeStats with no data", () => {
+  it("returns empty stats", () => {
+    const stats = computeStats({});
+    expect(stats.total).toBe(0);
+    expect(stats.totalDays).toBe(0);
+    expect(stats.currentStreak.length).toBe(0);
+    expect(stats.bestWeek).toBeNull();
+    expect(stats.months).toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+import { addDays, formatDate, parseDate } from "./dates";
+import type { WeekStart } from "./locale";
+import type { ContributionData } from "./types";
+
+// ─── Contribution statistics ──────────────────────────────────────────────────
+//
+// Pure functions over `ContributionData`, so every provider feeds the same
+// numbers. A day counts its `count`, or 1 when a provider only reports levels.
+
+export type Streak = {
+  length: number;
+  start: string | null;
+  end: string | null;
+};
+
+export type PeriodTotal = {
+  start: string;
+  end: string;
+  count: number;
+};
+
+export type MonthTotal = {
+  /** "YYYY-MM" */
+  month: string;
+  count: number;
+};
+
+export type ContributionStats = {
+  total: number;
+  activeDays: number;
+  totalDays: number;
+  averagePerActiveDay: number;
+  currentStreak: Streak;
+  longestStreak: Streak;
+  bestDay: { date: string; count: number } | null;
+  bestWeek: PeriodTotal | null;
+  bestMonth: MonthTotal | null;
+  /** Totals per weekday, indexed like `Date.getDay()` (0 = Sunday). */
+  weekdays: number[];
+  /** One entry per calendar month in the range, oldest first. */
+  months: MonthTotal[];
+};
+
+export type StatsOptions = {
+  /** First day to include; defaults to the earliest date in the data. */
+  start?: string;
+  /** Last day to include; defaults to the latest date in the data. */
+  end?: string;
+  /** First day of the week for `bestWeek`; defaults to Sunday. */
+  weekStart?: WeekStart;
+};
+
+const EMPTY_STREAK: Streak = { length: 0, start: null, end: null };
+
+export function dayCount(entry: ContributionData[string] | undefined): number {
+  if (!entry) return 0;
+  return entry.count ?? (entry.level > 0 ? 1 : 0);
+}
+
+export function isActive(entry: ContributionData[string] | undefined): boolean {
+  return !!entry && (entry.count !== undefined ? entry.count > 0 : entry.level > 0);
+}
+
+export function computeStats(
+  data: ContributionData,
+  { start, end, weekStart = 0 }: StatsOptions = {},
+): ContributionStats {
+  const dates = Object.keys(data).sort();
+  const first = start ?? dates[0];
+  const last = end ?? dates[dates.length - 1];
+
+  const stats: ContributionStats = {
+    total: 0,
+    activeDays: 0,
+    totalDays: 0,
+    averagePerActiveDay: 0,
+    currentStreak: EMPTY_STREAK,
+    longestStreak: EMPTY_STREAK,
+    bestDay: null,
+    bestWeek: null,
+    bestMonth: null,
+    weekdays: [0, 0, 0, 0, 0, 0, 0],
+    months: [],
+  };
+  if (!first || !last || first > last) return stats;
+
+  let run: Streak = EMPTY_STREAK;
+  let week: PeriodTotal | null = null;
+  let month: MonthTotal | null = null;
+
+  const closeWeek = () => {
+    if (week && week.count > 0 && week.count > (stats.bestWeek?.count ?? 0)) {
+      stats.bestWeek = week;
+    }
+  };
+
+  for (let d = parseDate(first); formatDate(d) <= last; d = addDays(d, 1)) {
+    const date = formatDate(d);
+    const entry = data[date];
+    const count = dayCount(entry);
+    stats.totalDays++;
+    stats.total += count;
+    stats.weekdays[d.getDay()]! += count;
+
+    // Streaks
+    if (isActive(entry)) {
+      stats.activeDays++;
+      run = {
+        length: run.length + 1,
+        start: run.length === 0 ? date : run.start,
+        end: date,
+      };
+      if (run.length > stats.longestStreak.length) stats.longestStreak = run;
+    } else {
+      run = EMPTY_STREAK;
+    }
+
+    if (count > 0 && count > (stats.bestDay?.count ?? 0)) {
+      stats.bestDay = { date, count };
+    }
+
+    // Weeks
+    if (!week || d.getDay() === weekStart) {
+      closeWeek();
+      week = { start: date, end: date, count: 0 };
+    }
+    week.end = date;
+    week.count += count;
+
+    // Months
+    const monthKey = date.slice(0, 7);
+    if (!month || month.month !== monthKey) {
+      month = { month: monthKey, count: 0 };
+      stats.months.push(month);
+    }
+    month.count += count;
+  }
+  closeWeek();
+
+  stats.bestMonth = stats.months.reduce<MonthTotal | null>(
+    (best, m) => (m.count > 0 && m.count > (best?.count ?? 0) ? m : best),
+    null,
+  );
+  stats.averagePerActiveDay =
+    stats.activeDays > 0 ? stats.total / stats.activeDays : 0;
+
+  // The current streak may end yesterday — today isn't over yet
+  const lastActive = isActive(data[last])
+    ? last
+    : isActive(data[formatDate(addDays(parseDate(last), -1))])
+      ? formatDate(addDays(parseDate(last), -1))
+      : null;
+  if (lastActive) {
+    let length = 0;
+    let d = parseDate(lastActive);
+    while (formatDate(d) >= first && isActive(data[formatDate(d)])) {
+      length++;
+      d = addDays(d, -1);
+    }
+    if (length > 0) {
+      stats.currentStreak = {
+        length,
+        start: formatDate(addDays(d, 1)),
+        end: lastActive,
+      };
+    }
+  }
+
+  return stats;
+}
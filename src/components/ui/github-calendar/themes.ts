@@ -0,0 +1,194 @@
+// ─── Theme registry ───────────────────────────────────────────────────────────
+//
+// Every theme ships a light and a dark palette. Besides the five cell levels a
+// palette may colour the shooter's ship and laser; explosions always use the
+// colour of the cell that was hit.
+
+export type ThemeColors = {
+  level0: string;
+  level1: string;
+  level2: string;
+  level3: string;
+  level4: string;
+};
+
+export type ThemePalette = ThemeColors & {
+  ship?: string;
+  laser?: string;
+};
+
+export type ResolvedPalette = Required<ThemePalette>;
+
+export type CalendarTheme = {
+  light: ThemePalette;
+  dark: ThemePalette;
+};
+
+export type BuiltInThemeName = "github" | "neon" | "halloween" | "mono";
+
+/** A registered theme name, or "css" to read the palette from custom properties. */
+export type ThemeName = BuiltInThemeName | "css" | (string & {});
+
+const DEFAULT_SHIP = "#38bdf8";
+const DEFAULT_LASER = "#fbbf24";
+
+const registry = new Map<string, CalendarTheme>([
+  [
+    "github",
+    {
+      light: {
+        level0: "#ebedf0",
+        level1: "#9be9a8",
+        level2: "#40c463",
+        level3: "#30a14e",
+        level4: "#216e39",
+      },
+      dark: {
+        level0: "#161b22",
+        level1: "#0e4429",
+        level2: "#006d32",
+        level3: "#26a641",
+        level4: "#39d353",
+      },
+    },
+  ],
+  [
+    // The site's own cyan / purple accents
+    "neon",
+    {
+      light: {
+        level0: "#eef0f6",
+        level1: "#c9c0ff",
+        level2: "#7b61ff",
+        level3: "#2fb8ff",
+        level4: "#00c2d1",
+        ship: "#7b61ff",
+        laser: "#00c2d1",
+      },
+      dark: {
+        level0: "#12121a",
+        level1: "#2d2166",
+        level2: "#7b61ff",
+        level3: "#3fa9ff",
+        level4: "#00f0ff",
+        ship: "#00f0ff",
+        laser: "#b9a9ff",
+      },
+    },
+  ],
+  [
+    "halloween",
+    {
+      light: {
+        level0: "#ebedf0",
+        level1: "#ffee4a",
+        level2: "#ffc501",
+        level3: "#fe9600",
+        level4: "#03001c",
+        ship: "#fe9600",
+        laser: "#ffee4a",
+      },
+      dark: {
+        level0: "#161b22",
+        level1: "#631c03",
+        level2: "#bd561d",
+        level3: "#fa7a18",
+        level4: "#fddf68",
+        ship: "#fa7a18",
+        laser: "#fddf68",
+      },
+    },
+  ],
+  [
+    "mono",
+    {
+      light: {
+        level0: "#f4f4f5",
+        level1: "#d4d4d8",
+        level2: "#a1a1aa",
+        level3: "#52525b",
+        level4: "#18181b",
+        ship: "#18181b",
+        laser: "#52525b",
+      },
+      dark: {
+        level0: "#18181b",
+        level1: "#3f3f46",
+        level2: "#71717a",
+        level3: "#a1a1aa",
+        level4: "#fafafa",
+        ship: "#fafafa",
+        laser: "#a1a1aa",
+      },
+    },
+  ],
+]);
+
+/**
+ * Adds or replaces a named theme. A single palette is used for both schemes.
+ */
+export function registerTheme(
+  name: string,
+  theme: CalendarTheme | ThemePalette,
+) {
+  if (name === "css") {
+    throw new Error(`"css" is reserved for CSS custom property themes`);
+  }
+  registry.set(name, "light" in theme ? theme : { light: theme, dark: theme });
+}
+
+export function getTheme(name: string): CalendarTheme | undefined {
+  return registry.get(name);
+}
+
+export function listThemes(): string[] {
+  return Array.from(registry.keys());
+}
+
+// ─── CSS custom properties ────────────────────────────────────────────────────
+
+/**
+ * Reads a palette from custom properties on `element`, e.g. with the default
+ * prefix `--calendar-level-0` … `--calendar-level-4`, `--calendar-ship` and
+ * `--calendar-laser`. Missing values fall back to `fallback`.
+ */
+export function themeFromCssVariables(
+  element: Element,
+  fallback: ThemePalette,
+  prefix = "--calendar",
+): ThemePalette {
+  const style = getComputedStyle(element);
+  const read = (name: string, fb: string | undefined) =>
+    style.getPropertyValue(`${prefix}-${name}`).trim() || fb;
+
+  return {
+    level0: read("level-0", fallback.level0)!,
+    level1: read("level-1", fallback.level1)!,
+    level2: read("level-2", fallback.level2)!,
+    level3: read("level-3", fallback.level3)!,
+    level4: read("level-4", fallback.level4)!,
+    ship: read("ship", fallback.ship),
+    laser: read("laser", fallback.laser),
+  };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+
+export function resolvePalette(
+  theme: ThemeName | ThemePalette | CalendarTheme,
+  isDark: boolean,
+): ResolvedPalette {
+  const named = typeof theme === "string" ? registry.get(theme) : undefined;
+  const source =
+    typeof theme === "string"
+      ? (named ?? registry.get("github")!)
+      : theme;
+  const palette: ThemePalette =
+    "light" in source ? (isDark ? source.dark : source.light) : source;
+
+  return {
+    ...palette,
+    ship: palette.ship ?? DEFAULT_SHIP,
+    laser: palette.laser ?? DEFAULT_LASER,
+  };
+}
@@ -0,0 +1,41 @@
+// ─── Shared calendar types ────────────────────────────────────────────────────
+
+export type ContributionLevel = 0 | 1 | 2 | 3 | 4;
+
+export type ContributionData = {
+  [date: string]: {
+    level: ContributionLevel;
+    label?: string;
+    count?: number;
+  };
+};
+
+/**
+ * A dated event drawn over the grid — a single day (`date`) or an inclusive
+ * range (`date` … `end`). `href` is where clicking the event leads, usually
+ * an in-page anchor such as "#experience-metvy".
+ */
+export type CalendarAnnotation = {
+  date: string;
+  end?: string;
+  title: string;
+  kind?: "hackathon" | "internship" | "release" | (string & {});
+  href?: string;
+  color?: string;
+};
+
+/** What one repository saw on one day. Missing counts mean zero. */
+export type RepositoryActivity = {
+  /** "owner/name" */
+  repository: string;
+  url?: string;
+  commits?: number;
+  pullRequests?: number;
+  issues?: number;
+  reviews?: number;
+};
+
+export type DayDetails = {
+  date: string;
+  repositories: RepositoryActivity[];
+};
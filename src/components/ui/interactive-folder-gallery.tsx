@@ -1,137 +1,576 @@
-import React, { useState } from "react";
-import { motion } from "framer-motion";
+import React, {
+  useEffect,
+  useRef,
+  useState,
+  type Key,
+  type KeyboardEvent,
+  type ReactNode,
+} from "react";
+import { createPortal } from "react-dom";
+import { motion, AnimatePresence } from "framer-motion";
+import { cn } from "@/lib/utils";
+
+// ─── Interactive folder gallery ───────────────────────────────────────────────
+//
+// A folder that fans its cards out on hover and spreads them into rows when
+// opened. What goes on a card is up to the caller (`renderItem`), so the same
+// folder holds project cards or photos.
+//
+// Keyboard: the lid is a button; once open, Tab stays inside the gallery,
+// arrow keys move between cards, Enter/Space selects one and Escape backs
+// out (selection first, then the folder). The Close button does what
+// dragging a card down does, for anyone who can't drag.
 
 export interface GalleryPhoto {
   id: string | number;
   image: string;
+  /** Describes the photo for screen readers; "" marks it decorative. */
+  alt?: string;
+  caption?: string;
 }
 
-const defaultPhotos: GalleryPhoto[] = [
-  { id: 1, image: "https://images.unsplash.com/photo-1618005182384-a83a8bd57fbe?q=80&w=800&auto=format&fit=crop" },
-  { id: 2, image: "https://images.unsplash.com/photo-1604871000636-074fa5117945?q=80&w=800&auto=format&fit=crop" },
-  { id: 3, image: "https://images.unsplash.com/photo-1550684848-fac1c5b4e853?q=80&w=800&auto=format&fit=crop" },
-  { id: 4, image: "https://images.unsplash.com/photo-1513506003901-1e6a229e2d15?q=80&w=800&auto=format&fit=crop" },
-  { id: 5, image: "https://images.unsplash.com/photo-1525547719571-a2d4ac8945e2?q=80&w=800&auto=format&fit=crop" },
-];
+export interface GalleryItemState {
+  index: number;
+  /** The folder is open and the cards are spread out. */
+  isOpen: boolean;
+  /** Expanded in place, or showing in the lightbox. */
+  isSelected: boolean;
+}
 
-export interface InteractiveFolderGalleryProps {
-  photos?: GalleryPhoto[];
+export interface InteractiveFolderGalleryProps<T> {
+  items: T[];
+  getKey: (item: T) => Key;
+  /** Accessible name for a card, e.g. its title. */
+  getLabel: (item: T) => string;
+  renderItem: (item: T, state: GalleryItemState) => ReactNode;
+  /** DOM id for a card, so it can be linked to with #id. */
+  getId?: (item: T) => string;
+  /** Lightbox mode: a selected item opens full-screen with this content. */
+  renderLightbox?: (item: T) => ReactNode;
   folderName?: string;
   dragHintText?: string;
+  cardWidth?: number;
+  cardHeight?: number;
+  /** Controls the folder from outside; leave unset to let it manage itself. */
+  open?: boolean;
+  onOpenChange?: (open: boolean) => void;
+  /** Controls the selected card from outside, by `getKey`. */
+  selectedKey?: Key | null;
+  onSelectedKeyChange?: (key: Key | null) => void;
   className?: string;
 }
 
-export function InteractiveFolderGallery({
-  photos = defaultPhotos,
+// ─── Layout ───────────────────────────────────────────────────────────────────
+
+const GAP = 24; // Between open cards
+const LIFT = 140; // How far open cards rise out of the folder
+const BASE = 40; // Cards sit this far above the bottom of the stage
+
+interface Pose {
+  x: number;
+  y: number;
+  rotate: number;
+  scale: number;
+}
+
+/**
+ * In the folder, cards fan around the middle one. The fan's width is fixed,
+ * so more cards sit closer together rather than spilling past the lid.
+ */
+function stackPose(index: number, count: number, hovered: boolean): Pose {
+  const offset = index - (count - 1) / 2;
+  const t = offset / Math.max(1.5, (count - 1) / 2); // -1…1 across the fan
+  const scale = 1 - Math.abs(t) * 0.04;
+  return hovered
+    ? { x: t * 33, y: t * -12 - 35, rotate: t * 9, scale }
+    : { x: t * 3, y: t * -6, rotate: t * 3, scale };
+}
+
+/** Open, cards are laid out in centred rows of `columns`, first row on top. */
+function openPose(index: number, count: number, columns: number, width: number, height: number): Pose {
+  const rows = Math.ceil(count / columns);
+  const row = Math.floor(index / columns);
+  const inRow = Math.min(columns, count - row * columns);
+  const column = index % columns;
+  return {
+    x: (column - (inRow - 1) / 2) * (width + GAP),
+    y: -LIFT - (rows - 1 - row) * (height + GAP),
+    rotate: 0,
+    scale: 1.04,
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function useControllable<V>(
+  value: V | undefined,
+  onChange: ((value: V) => void) | undefined,
+  initial: V,
+): [V, (value: V) => void] {
+  const [own, setOwn] = useState(initial);
+  const controlled = value !== undefined;
+  const set = (next: V) => {
+    if (!controlled) setOwn(next);
+    onChange?.(next);
+  };
+  return [controlled ? value : own, set];
+}
+
+const FOCUSABLE = "a[href], button, input, select, textarea, [tabindex]";
+
+/** Keeps Tab and Shift+Tab cycling inside `container`. */
+function trapTab(e: KeyboardEvent, container: HTMLElement) {
+  const focusable = Array.from(container.querySelectorAll<HTMLElement>(FOCUSABLE)).filter(
+    (el) => el.tabIndex >= 0 && !el.hasAttribute("disabled") && !el.closest("[aria-hidden='true']"),
+  );
+  if (focusable.length === 0) return;
+  const first = focusable[0]!;
+  const last = focusable[focusable.length - 1]!;
+  if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function cycle(index: number, step: number, count: number): number {
+  return (index + step + count) % count;
+}
+
+// ─── Gallery ──────────────────────────────────────────────────────────────────
+
+export function InteractiveFolderGallery<T>({
+  items,
+  getKey,
+  getLabel,
+  renderItem,
+  getId,
+  renderLightbox,
   folderName = "Photography.gallery",
-  dragHintText = "Drag any photo down to close",
-  className
-}: InteractiveFolderGalleryProps) {
-  const [isFolderOpen, setIsFolderOpen] = useState(false);
+  dragHintText = "Drag a card down or press Esc to close",
+  cardWidth = 168,
+  cardHeight = 224,
+  open,
+  onOpenChange,
+  selectedKey,
+  onSelectedKeyChange,
+  className,
+}: InteractiveFolderGalleryProps<T>) {
+  const [isOpen, setIsOpen] = useControllable(open, onOpenChange, false);
+  const [selected, setSelected] = useControllable<Key | null>(selectedKey, onSelectedKeyChange, null);
   const [hoverFolder, setHoverFolder] = useState(false);
+  const [active, setActive] = useState(0);
+  const [width, setWidth] = useState(Infinity);
 
-  return (
-    <div className={`w-full py-32 relative ${className || ""}`}>
-      <div className="relative w-full min-h-[500px] flex flex-col items-center justify-center">
+  const rootRef = useRef<HTMLDivElement>(null);
+  const lidRef = useRef<HTMLButtonElement>(null);
+  const cardRefs = useRef<(HTMLDivElement | null)[]>([]);
+  const lightboxRef = useRef<HTMLDivElement>(null);
+  const dragged = useRef(false);
+  const activeRef = useRef(active);
+  activeRef.current = active;
 
-        <div className="relative w-[400px] h-[500px] flex justify-center pointer-events-none z-0">
+  const count = items.length;
+  const selectedIndex = items.findIndex((item) => getKey(item) === selected);
+  const lightboxItem = renderLightbox && selectedIndex >= 0 ? items[selectedIndex] : undefined;
 
-          <motion.div 
-            className="absolute bottom-6 w-80 h-56 drop-shadow-2xl"
-            animate={{ opacity: isFolderOpen ? 0 : 1, scale: isFolderOpen ? 0.9 : 1 }}
-          >
-            {/* Tailwind v3: bg-gradient-to-t (not bg-linear-to-t) */}
-            <div className="absolute top-0 left-0 w-32 h-10 bg-gradient-to-t from-[#1e1e1e] to-[#2a2a2a] rounded-t-xl border-t border-l border-r border-white/10" />
-            <div className="absolute top-8 left-0 right-0 bottom-0 bg-gradient-to-b from-[#1e1e1e] to-[#0a0a0a] rounded-b-xl rounded-tr-xl border border-white/10 shadow-[inset_0_0_40px_rgba(0,0,0,0.8)]" />
-            <div className="absolute top-10 left-2 right-2 bottom-2 bg-black rounded-lg shadow-inner pointer-events-none" />
-          </motion.div>
+  // Open cards wrap into as many columns as the gallery is wide
+  useEffect(() => {
+    const root = rootRef.current;
+    if (!root) return;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry!.contentRect.width));
+    observer.observe(root);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = Math.max(1, Math.min(count, Math.floor((width + GAP) / (cardWidth + GAP))));
+  const rows = Math.ceil(count / columns);
+  const stageHeight = Math.max(
+    cardHeight + 296,
+    isOpen ? BASE + LIFT + rows * cardHeight + (rows - 1) * GAP + 16 : 0,
+  );
+
+  const focusCard = (index: number) => {
+    setActive(index);
+    cardRefs.current[index]?.focus({ preventScroll: true });
+  };
+
+  // Opening moves focus to the selected (or first) card; closing hands it
+  // back to the lid, if it was inside the gallery
+  const wasOpen = useRef(isOpen);
+  useEffect(() => {
+    if (isOpen === wasOpen.current) return;
+    wasOpen.current = isOpen;
+    if (isOpen) {
+      focusCard(Math.max(0, selectedIndex));
+    } else if (rootRef.current?.contains(document.activeElement)) {
+      lidRef.current?.focus({ preventScroll: true });
+    }
+  }, [isOpen]);
+
+  // The lightbox takes focus while it's up, then hands it to the card that
+  // was showing last
+  const isLightboxOpen = lightboxItem !== undefined;
+  useEffect(() => {
+    if (!isLightboxOpen) return;
+    lightboxRef.current?.querySelector<HTMLElement>("[data-lightbox-close]")?.focus();
+    return () => cardRefs.current[activeRef.current]?.focus({ preventScroll: true });
+  }, [isLightboxOpen]);
+
+  // Items can shrink under a filter; keep the roving focus on a real card
+  useEffect(() => {
+    if (active >= count) setActive(Math.max(0, count - 1));
+  }, [active, count]);
+
+  const close = () => {
+    setIsOpen(false);
+    setHoverFolder(false);
+    setSelected(null);
+  };
+
+  const toggle = (index: number) => {
+    const key = getKey(items[index]!);
+    setActive(index);
+    setSelected(selected === key ? null : key);
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLDivElement>) => {
+    if (!isOpen) return;
+    if (e.key === "Tab") {
+      trapTab(e, e.currentTarget);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      if (selected !== null) {
+        setSelected(null);
+        focusCard(active);
+      } else {
+        close();
+      }
+    }
+  };
 
-          <div className="absolute bottom-10 z-10 flex justify-center">
-            {photos.map((photo, i) => {
-              const offset = i - 2;
+  const handleCardKeyDown = (e: KeyboardEvent<HTMLDivElement>, index: number) => {
+    if (e.target !== e.currentTarget) return; // Let links and inputs on the card be
+    const steps: Record<string, number> = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    if (e.key in steps) {
+      e.preventDefault();
+      focusCard(cycle(index, steps[e.key]!, count));
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      focusCard(e.key === "Home" ? 0 : count - 1);
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      toggle(index);
+    }
+  };
 
-              const stackY = hoverFolder ? offset * -10 - 40 : offset * -5;
-              const stackX = hoverFolder ? offset * 30 : offset * 3;
-              const stackRotate = hoverFolder ? offset * 8 : offset * 3;
-              const stackScale = 1 - Math.abs(offset) * 0.03;
+  const handleLightboxKeyDown = (e: KeyboardEvent<HTMLDivElement>) => {
+    // Portal events still bubble through the gallery; handle them all here
+    e.stopPropagation();
+    if (e.key === "Tab") {
+      trapTab(e, e.currentTarget);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setSelected(null);
+    } else if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+      e.preventDefault();
+      showInLightbox(cycle(selectedIndex, e.key === "ArrowRight" ? 1 : -1, count));
+    }
+  };
 
-              const openY = -130;
-              const openX = offset * 130;
-              const openRotate = 0;
-              const openScale = 1.05;
+  const showInLightbox = (index: number) => {
+    setActive(index);
+    setSelected(getKey(items[index]!));
+  };
+
+  return (
+    <div ref={rootRef} className={cn("w-full py-16 relative", className)} onKeyDown={handleKeyDown}>
+      <div className="relative w-full flex flex-col items-center justify-center py-10">
+        <motion.div
+          className="relative w-full flex justify-center pointer-events-none"
+          initial={false}
+          animate={{ height: stageHeight }}
+          transition={{ type: "spring", stiffness: 350, damping: 30 }}
+        >
+          {/* Folder back body */}
+          <motion.div
+            className="absolute drop-shadow-2xl"
+            style={{ bottom: "24px", width: "320px", height: "224px" }}
+            animate={{ opacity: isOpen ? 0 : 1, scale: isOpen ? 0.9 : 1 }}
+          >
+            <div
+              className="absolute top-0 left-0 rounded-t-xl border-t border-l border-r border-white/10"
+              style={{ width: "128px", height: "40px", background: "linear-gradient(to top, #1e1e1e, #2a2a2a)" }}
+            />
+            <div
+              className="absolute rounded-b-xl rounded-tr-xl border border-white/10"
+              style={{
+                top: "32px",
+                left: 0,
+                right: 0,
+                bottom: 0,
+                background: "linear-gradient(to bottom, #1e1e1e, #0a0a0a)",
+                boxShadow: "inset 0 0 40px rgba(0,0,0,0.8)",
+              }}
+            />
+            <div
+              className="absolute bg-black rounded-lg pointer-events-none"
+              style={{ top: "40px", left: "8px", right: "8px", bottom: "8px", boxShadow: "inset 0 2px 8px rgba(0,0,0,0.5)" }}
+            />
+          </motion.div>
+
+          {/* Cards */}
+          <div
+            className="absolute flex justify-center"
+            style={{ bottom: `${BASE}px`, zIndex: 10 }}
+            role="group"
+            aria-label={folderName}
+            aria-hidden={!isOpen}
+          >
+            {items.map((item, i) => {
+              const isSelected = i === selectedIndex;
+              const pose = isOpen
+                ? openPose(i, count, columns, cardWidth, cardHeight)
+                : stackPose(i, count, hoverFolder);
 
               return (
                 <motion.div
-                  key={photo.id}
-                  drag={isFolderOpen ? true : false}
-                  dragSnapToOrigin={true}
+                  key={getKey(item)}
+                  ref={(el) => {
+                    cardRefs.current[i] = el;
+                  }}
+                  id={getId?.(item)}
+                  role="group"
+                  aria-roledescription="card"
+                  aria-label={`${getLabel(item)} (${i + 1} of ${count})`}
+                  tabIndex={isOpen && i === active ? 0 : -1}
+                  drag={isOpen}
+                  dragSnapToOrigin
+                  onPointerDown={() => {
+                    // Every press starts clean, even if the last drag never ended in a click
+                    dragged.current = false;
+                  }}
+                  onDragStart={() => {
+                    dragged.current = true;
+                  }}
                   onDragEnd={(_e, info) => {
-                    if (info.offset.y > 100 && isFolderOpen) {
-                      setIsFolderOpen(false);
-                      setHoverFolder(false);
-                    }
+                    if (info.offset.y > 100 && isOpen) close();
+                  }}
+                  onClick={() => {
+                    // A drag may end in a click; that one isn't a selection
+                    if (!dragged.current && isOpen) toggle(i);
                   }}
-                  className={`absolute bottom-0 w-56 h-72 rounded-xl shadow-[0_20px_40px_rgba(0,0,0,0.5)] overflow-hidden border border-white/20 origin-bottom ${isFolderOpen ? "cursor-grab active:cursor-grabbing pointer-events-auto" : "pointer-events-none"}`}
-                  animate={!isFolderOpen ? {
-                    y: stackY,
-                    x: stackX,
-                    rotate: stackRotate,
-                    scale: stackScale,
-                    zIndex: i + 10
-                  } : {
-                    y: openY,
-                    x: openX,
-                    rotate: openRotate,
-                    scale: openScale,
-                    zIndex: 50
+                  onKeyDown={(e) => handleCardKeyDown(e, i)}
+                  onFocus={() => setActive(i)}
+                  className={cn(
+                    "absolute rounded-xl border border-white/20 origin-bottom overflow-hidden outline-none focus-visible:ring-2 focus-visible:ring-[#00f0ff]",
+                    isOpen ? "pointer-events-auto cursor-grab active:cursor-grabbing" : "pointer-events-none",
+                  )}
+                  style={{
+                    bottom: 0,
+                    width: `${cardWidth}px`,
+                    height: `${cardHeight}px`,
+                    boxShadow: "0 20px 40px rgba(0,0,0,0.5)",
                   }}
-                  whileHover={isFolderOpen ? { scale: openScale + 0.05, zIndex: 100 } : {}}
-                  whileDrag={isFolderOpen ? { scale: openScale + 0.1, rotate: 5, zIndex: 150 } : {}}
+                  animate={{ ...pose, zIndex: isOpen ? (isSelected ? 60 : 50) : i + 10 }}
+                  whileHover={isOpen ? { scale: pose.scale + 0.04, zIndex: 100, y: pose.y - 8 } : {}}
+                  whileDrag={isOpen ? { scale: pose.scale + 0.08, rotate: 4, zIndex: 150 } : {}}
                   transition={{ type: "spring", stiffness: 350, damping: 30 }}
                 >
-                  <img src={photo.image} alt="Gallery item" className="w-full h-full object-cover pointer-events-none" />
+                  {renderItem(item, { index: i, isOpen, isSelected })}
                 </motion.div>
               );
             })}
           </div>
 
-          <motion.div 
-            className="absolute bottom-0 w-[340px] h-44 cursor-pointer z-20 pointer-events-auto"
-            style={{ 
+          {/* Folder front (the lid opens it) */}
+          <motion.button
+            ref={lidRef}
+            type="button"
+            aria-expanded={isOpen}
+            tabIndex={isOpen ? -1 : 0}
+            className="absolute cursor-pointer pointer-events-auto rounded-2xl outline-none focus-visible:ring-2 focus-visible:ring-[#00f0ff]"
+            style={{
+              bottom: 0,
+              width: "340px",
+              height: "176px",
               transformOrigin: "bottom",
-              filter: "drop-shadow(0 -20px 40px rgba(0,0,0,0.8))"
+              zIndex: 20,
+              filter: "drop-shadow(0 -20px 40px rgba(0,0,0,0.8))",
             }}
-            animate={{ 
-              opacity: isFolderOpen ? 0 : 1, 
-              rotateX: hoverFolder ? -25 : 0, 
+            animate={{
+              opacity: isOpen ? 0 : 1,
+              rotateX: hoverFolder ? -25 : 0,
               y: hoverFolder ? 10 : 0,
-              pointerEvents: isFolderOpen ? "none" : "auto" 
+              pointerEvents: isOpen ? "none" : "auto",
             }}
             onMouseEnter={() => setHoverFolder(true)}
             onMouseLeave={() => setHoverFolder(false)}
-            onClick={() => setIsFolderOpen(true)}
+            onFocus={() => setHoverFolder(true)}
+            onBlur={() => setHoverFolder(false)}
+            onClick={() => setIsOpen(true)}
           >
-            <div className="w-full h-full bg-gradient-to-b from-[#2a2a2a] to-[#111] rounded-2xl border border-white/20 shadow-[inset_0_2px_10px_rgba(255,255,255,0.1)] relative overflow-hidden flex items-end justify-center pb-8">
-              <div className="absolute top-0 left-0 right-0 h-px bg-gradient-to-r from-transparent via-white/40 to-transparent" />
+            <div
+              className="w-full h-full rounded-2xl border border-white/20 relative overflow-hidden flex items-end justify-center pb-8"
+              style={{
+                background: "linear-gradient(to bottom, #2a2a2a, #111)",
+                boxShadow: "inset 0 2px 10px rgba(255,255,255,0.1)",
+              }}
+            >
+              <div
+                className="absolute top-0 left-0 right-0"
+                style={{ height: "1px", background: "linear-gradient(to right, transparent, rgba(255,255,255,0.4), transparent)" }}
+              />
               <div className="px-5 py-2.5 bg-black rounded-lg border border-black/80 shadow-inner flex items-center justify-center backdrop-blur-md">
-                <span className="text-white/90 text-sm font-medium tracking-wide">
-                  {folderName}
-                </span>
+                <span className="text-white/90 text-sm font-medium tracking-wide">{folderName}</span>
               </div>
             </div>
-          </motion.div>
-        </div>
+          </motion.button>
+        </motion.div>
 
-        <motion.div 
-          animate={{ opacity: isFolderOpen ? 1 : 0, y: isFolderOpen ? 0 : 50 }}
-          className="absolute bottom-10 px-6 py-3 rounded-full bg-white/5 border border-white/10 backdrop-blur-md text-white/50 text-sm font-medium uppercase tracking-widest pointer-events-none"
+        {/* Hint text */}
+        <motion.div
+          animate={{ opacity: isOpen ? 1 : 0, y: isOpen ? 0 : 20 }}
+          className="absolute pointer-events-none text-xs font-medium uppercase tracking-widest"
+          style={{
+            bottom: "16px",
+            padding: "10px 24px",
+            borderRadius: "100px",
+            background: "rgba(255,255,255,0.04)",
+            border: "1px solid rgba(255,255,255,0.08)",
+            backdropFilter: "blur(8px)",
+            color: "rgba(255,255,255,0.4)",
+          }}
+          aria-hidden
         >
           {dragHintText}
         </motion.div>
-
       </div>
+
+      {/* Close button: the keyboard and screen-reader way out */}
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="flex justify-center mt-2">
+            <button
+              type="button"
+              onClick={close}
+              className="text-xs font-mono uppercase tracking-widest transition-colors text-white/40 hover:text-white focus-visible:text-white"
+              style={{ padding: "8px 20px", borderRadius: "100px", border: "1px solid rgba(255,255,255,0.12)", background: "transparent", cursor: "pointer" }}
+            >
+              ← Close folder
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Lightbox */}
+      {isLightboxOpen &&
+        createPortal(
+          <div
+            ref={lightboxRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={getLabel(lightboxItem!)}
+            className="fixed inset-0 flex items-center justify-center p-6 bg-black/90 backdrop-blur-sm"
+            style={{ zIndex: 5000 }}
+            onKeyDown={handleLightboxKeyDown}
+            onClick={(e) => {
+              if (e.target === e.currentTarget) setSelected(null);
+            }}
+          >
+            <div className="max-w-5xl max-h-full">{renderLightbox!(lightboxItem!)}</div>
+
+            {count > 1 && (
+              <>
+                <button
+                  type="button"
+                  aria-label="Previous"
+                  className="absolute left-4 top-1/2 -translate-y-1/2 w-11 h-11 rounded-full border border-white/20 text-white/70 hover:text-white focus-visible:text-white"
+                  onClick={() => showInLightbox(cycle(selectedIndex, -1, count))}
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  aria-label="Next"
+                  className="absolute right-4 top-1/2 -translate-y-1/2 w-11 h-11 rounded-full border border-white/20 text-white/70 hover:text-white focus-visible:text-white"
+                  onClick={() => showInLightbox(cycle(selectedIndex, 1, count))}
+                >
+                  →
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              data-lightbox-close
+              aria-label="Close"
+              className="absolute top-4 right-4 w-11 h-11 rounded-full border border-white/20 text-white/70 hover:text-white focus-visible:text-white"
+              onClick={() => setSelected(null)}
+            >
+              ✕
+            </button>
+            <p className="absolute bottom-4 left-0 right-0 text-center font-mono text-xs tracking-widest text-white/40" aria-live="polite">
+              {selectedIndex + 1} / {count}
+            </p>
+          </div>,
+          document.body,
+        )}
     </div>
   );
 }
 
-export { InteractiveFolderGallery as Component };
+// ─── Photos ───────────────────────────────────────────────────────────────────
+
+export type PhotoFolderGalleryProps = { photos: GalleryPhoto[] } & Omit<
+  InteractiveFolderGalleryProps<GalleryPhoto>,
+  "items" | "getKey" | "getLabel" | "renderItem" | "renderLightbox"
+>;
+
+/** The folder filled with photos, each opening in the lightbox. */
+export function PhotoFolderGallery({ photos, ...props }: PhotoFolderGalleryProps) {
+  return (
+    <InteractiveFolderGallery
+      cardWidth={224}
+      cardHeight={288}
+      dragHintText="Drag a photo down or press Esc to close"
+      {...props}
+      items={photos}
+      getKey={(photo) => photo.id}
+      getLabel={(photo) => photo.alt || photo.caption || "Photo"}
+      renderItem={(photo) => (
+        <img src={photo.image} alt="" className="w-full h-full object-cover pointer-events-none" draggable={false} />
+      )}
+      renderLightbox={(photo) => (
+        <figure className="flex flex-col items-center gap-3">
+          <img src={photo.image} alt={photo.alt ?? ""} className="max-h-[80vh] max-w-full rounded-xl object-contain" />
+          {photo.caption && <figcaption className="text-sm text-white/60">{photo.caption}</figcaption>}
+        </figure>
+      )}
+    />
+  );
+}
+
+// ─── Drop-in component ────────────────────────────────────────────────────────
+
+// Sample photos from public/assets, so the component renders with no props
+const defaultPhotos: GalleryPhoto[] = [
+  { id: 1, image: "/assets/playlistify.png", alt: "Playlistify AI" },
+  { id: 2, image: "/assets/smartrouter.png", alt: "SmartRouter" },
+  { id: 3, image: "/assets/visionprotect.png", alt: "Vision Protect" },
+  { id: 4, image: "/assets/mlresearch.png", alt: "ML research" },
+  { id: 5, image: "/assets/orbitgrasp.png", alt: "OrbitGrasp" },
+];
+
+/**
+ * The photo folder under its original export name. Takes the old optional
+ * props (`photos`, `folderName`, `dragHintText`, `className`) and works with
+ * none, as `<Component />` always has.
+ */
+export function Component({
+  photos = defaultPhotos,
+  ...props
+}: Partial<PhotoFolderGalleryProps>) {
+  return <PhotoFolderGallery photos={photos} {...props} />;
+}
@@ -1,243 +1,151 @@
 "use client";
 
-import { memo, useMemo, useState, useEffect, useId, useRef } from "react";
+import {
+  memo,
+  useCallback,
+  useMemo,
+  useState,
+  useEffect,
+  useId,
+  useRef,
+} from "react";
 import { cn } from "@/lib/utils";
+import {
+  cacheKey,
+  formatRelativeTime,
+  readCache,
+  withRetry,
+  writeCache,
+} from "./github-calendar/cache";
+import {
+  addDays,
+  formatDate,
+  parseDate,
+  resolvePeriod,
+  yearsCovered,
+  type RangeMode,
+} from "./github-calendar/dates";
+import {
+  calendarMessages,
+  fillMessage,
+  formatDay,
+  formatPlural,
+  messageParts,
+  selectPlural,
+  localeWeekStart,
+  todayIn,
+  type WeekStart,
+} from "./github-calendar/locale";
+import {
+  githubProvider,
+  type ContributionProvider,
+  type DayDetailsProvider,
+} from "./github-calendar/providers";
+import { createShooterGame, type ShooterCell } from "./github-calendar/shooter";
+import { buildGrid, visibleMonthLabels } from "./github-calendar/grid";
+import { computeStats, dayCount } from "./github-calendar/stats";
+import {
+  resolvePalette,
+  themeFromCssVariables,
+  type CalendarTheme,
+  type ThemeColors,
+  type ThemeName,
+  type ThemePalette,
+} from "./github-calendar/themes";
+import { AnalyticsPanel } from "./github-calendar/analytics-panel";
+import { useGridNavigation } from "./github-calendar/grid-navigation";
+import { ContributionTable } from "./github-calendar/data-table";
+import { ExportMenu } from "./github-calendar/export-menu";
+import { DayDetailsPanel } from "./github-calendar/day-details-panel";
+import { buildReplayTimeline, useReplay } from "./github-calendar/replay";
+import { ReplayControls } from "./github-calendar/replay-controls";
+import {
+  annotationsByDate,
+  followAnnotation,
+  layoutAnnotations,
+} from "./github-calendar/annotations";
+import {
+  COMPARE_COLORS,
+  MAX_COMPARE_SOURCES,
+  compareLabel,
+  buildComparedSeries,
+  sourcesSignature,
+  useCompareSources,
+  type CompareSource,
+} from "./github-calendar/compare";
+import { CompareView, type CompareLayout } from "./github-calendar/compare-view";
+import type {
+  CalendarAnnotation,
+  ContributionData,
+  ContributionLevel,
+  DayDetails,
+  RepositoryActivity,
+} from "./github-calendar/types";
+
+export * from "./github-calendar/providers";
+export * from "./github-calendar/stats";
+export * from "./github-calendar/themes";
 
 // ─── Types ────────────────────────────────────────────────────────────────────
 
-export type ContributionLevel = 0 | 1 | 2 | 3 | 4;
-
-export type ContributionData = {
-  [date: string]: {
-    level: ContributionLevel;
-    label?: string;
-    count?: number;
-  };
-};
-
-export type ThemeColors = {
-  level0: string;
-  level1: string;
-  level2: string;
-  level3: string;
-  level4: string;
+export type {
+  ContributionLevel,
+  ContributionData,
+  CalendarAnnotation,
+  DayDetails,
+  RepositoryActivity,
 };
 
 export type CellShape = "rounded" | "circle";
 
+export type CalendarLayout = "single" | "stacked";
+
+export type { RangeMode, CompareSource, CompareLayout, WeekStart };
+
 export type GithubCalendarProps = {
   username?: string; // GitHub username
   data?: ContributionData; //Optional - Only for manual data
-  startDate?: string;
+  provider?: ContributionProvider; // Where to fetch from - defaults to GitHub
+  startDate?: string; // Fixed custom range - disables period navigation
   endDate?: string;
+  rangeMode?: RangeMode; // Initial period: rolling 12 months or calendar year
+  layout?: CalendarLayout; // Initial layout: one range, or one row per year
+  showNavigation?: boolean; // Year switcher and previous/next controls
   startsOnSunday?: boolean; //Want to start weeks on Sunday or not ?
+  weekStart?: WeekStart | "locale"; // 0 = Sunday … 6 = Saturday, or the locale's rule - overrides startsOnSunday
+  locale?: string; // BCP 47 tag for month names and dates - defaults to the browser's
+  timeZone?: string; // IANA zone that decides "today", e.g. the profile owner's
   cellSize?: number;
   cellGap?: number;
   cellShape?: CellShape; //Rounded | Circle
-  theme?: "github" | ThemeColors;
+  theme?: ThemeName | ThemePalette | CalendarTheme; // Registered name, "css", or a palette
+  colorScheme?: "auto" | "light" | "dark"; // "auto" follows a `dark` class on <html>/<body>
   showMonthLabels?: boolean; // Want the month labels on top
   showStats?: boolean;
+  showAnalytics?: boolean; // Streaks, best periods and distributions panel
+  showDataTable?: boolean; // Offer a plain table of the days as an alternative view
+  showExport?: boolean; // Download menu: SVG, PNG at 1x/2x/3x, copy to clipboard
+  showReplay?: boolean; // Time-lapse that fills the grid day by day
+  annotations?: CalendarAnnotation[]; // Dated events and ranges drawn over the grid
+  onAnnotationClick?: (annotation: CalendarAnnotation) => void; // Defaults to following `href`
+  compare?: CompareSource[]; // Up to three other people or periods to compare against this calendar
+  compareLayout?: CompareLayout; // Split cells or one grid per source
+  detailsProvider?: DayDetailsProvider; // Clicking a day opens its repositories and contribution types
   showLegend?: boolean;
   className?: string; // Custom class for custom styling
 };
 
-// ─── Built-in themes ──────────────────────────────────────────────────────────
-
-const THEMES: Record<string, ThemeColors> = {
-  github: {
-    level0: "#ffffff",
-    level1: "#0e4429",
-    level2: "#006d32",
-    level3: "#26a641",
-    level4: "#39d353",
-  },
-};
-
-const DARK_THEMES: Record<string, ThemeColors> = {
-  github: {
-    level0: "#0a0a0a",
-    level1: "#0e4429",
-    level2: "#006d32",
-    level3: "#26a641",
-    level4: "#39d353",
-  },
-};
-
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-function parseDate(dateStr: string): Date {
-  const parts = dateStr.split("-").map(Number);
-  const y = parts[0] ?? 0;
-  const m = parts[1] ?? 1;
-  const d = parts[2] ?? 1;
-  return new Date(y, m - 1, d);
-}
-
-function formatDate(date: Date): string {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-
-function addDays(date: Date, days: number): Date {
-  const d = new Date(date);
-  d.setDate(d.getDate() + days);
-  return d;
-}
-
-const MONTH_NAMES = [
-  "Jan",
-  "Feb",
-  "Mar",
-  "Apr",
-  "May",
-  "Jun",
-  "Jul",
-  "Aug",
-  "Sep",
-  "Oct",
-  "Nov",
-  "Dec",
-];
-
-const FULL_MONTH_NAMES = [
-  "January",
-  "February",
-  "March",
-  "April",
-  "May",
-  "June",
-  "July",
-  "August",
-  "September",
-  "October",
-  "November",
-  "December",
-];
-
-function getOrdinalSuffix(day: number): string {
-  if (day > 3 && day < 21) return "th";
-  switch (day % 10) {
-    case 1:
-      return "st";
-    case 2:
-      return "nd";
-    case 3:
-      return "rd";
-    default:
-      return "th";
-  }
-}
-
-function formatTooltipDate(dateStr: string): string {
-  try {
-    const date = parseDate(dateStr);
-    const month = FULL_MONTH_NAMES[date.getMonth()];
-    const day = date.getDate();
-    const suffix = getOrdinalSuffix(day);
-    return `${month} ${day}${suffix}`;
-  } catch (e) {
-    return dateStr;
-  }
-}
-
-function playSound(type: "laser" | "explosion" | "hit" | "victory") {
-  // Sound effects disabled
+function formatTooltipDate(dateStr: string, locale?: string): string {
+  return formatDay(dateStr, locale, { month: "long", day: "numeric" });
 }
 
-// ─── API fetch ────────────────────────────────────────────────────────────────
-
-type APIResponse = {
-  total: Record<string, number>;
-  contributions: { date: string; count: number; level: number }[];
-};
+// ─── Default provider ─────────────────────────────────────────────────────────
 
-async function fetchContributions(username: string): Promise<ContributionData> {
-  const res = await fetch(
-    `https://github-contributions-api.jogruber.de/v4/${username}`,
-  );
-  if (!res.ok) {
-    throw new Error(
-      `Could not fetch contributions for "${username}" (${res.status})`,
-    );
-  }
-  const json: APIResponse = await res.json();
+const DEFAULT_PROVIDER = githubProvider();
 
-  const result: ContributionData = {};
-  for (const entry of json.contributions) {
-    result[entry.date] = {
-      level: Math.min(4, Math.max(0, entry.level)) as ContributionLevel,
-      count: entry.count,
-    };
-  }
-  return result;
-}
-
-// ─── Build calendar grid ──────────────────────────────────────────────────────
-
-function buildGrid(
-  startDate: string,
-  endDate: string,
-  startsOnSunday: boolean,
-): {
-  weeks: (string | null)[][];
-  monthLabels: { label: string; weekIndex: number }[];
-  gridStart: string;
-} {
-  const start = parseDate(startDate);
-  const end = parseDate(endDate);
-
-  const startDay = startsOnSunday ? 0 : 1;
-  const startDow = start.getDay();
-  const offset = (startDow - startDay + 7) % 7;
-  const gridStart = addDays(start, -offset);
-
-  const weeks: (string | null)[][] = [];
-  const monthLabels: { label: string; weekIndex: number }[] = [];
-
-  let current = new Date(gridStart);
-  let weekIndex = 0;
-  let lastMonth = -1;
-
-  while (
-    current <= end ||
-    (weeks.length > 0 && (weeks[weeks.length - 1]?.length ?? 0) < 7)
-  ) {
-    const week: (string | null)[] = [];
-
-    for (let d = 0; d < 7; d++) {
-      const dateStr = formatDate(current);
-      const isInRange = current >= start && current <= end;
-      week.push(isInRange ? dateStr : null);
-
-      if (isInRange && current.getMonth() !== lastMonth) {
-        lastMonth = current.getMonth();
-        monthLabels.push({
-          label: MONTH_NAMES[current.getMonth()]!,
-          weekIndex,
-        });
-      }
-
-      current = addDays(current, 1);
-    }
-
-    weeks.push(week);
-    weekIndex++;
-
-    if (
-      current > end &&
-      weeks.length > 0 &&
-      (weeks[weeks.length - 1]?.every(
-        (d) => d === null || parseDate(d) > end,
-      ) ??
-        false)
-    )
-      break;
-  }
-
-  return { weeks, monthLabels, gridStart: formatDate(gridStart) };
-}
+const NO_SOURCES: CompareSource[] = [];
 
 // ─── Tooltip state type ───────────────────────────────────────────────────────
 
@@ -246,10 +154,61 @@ type TooltipState = {
   date: string;
   count: number | undefined;
   label: string | undefined;
+  events?: string[];
   x: number;
   y: number;
 };
 
+/** "3 contributions on March 1" — shared by tooltips and cell labels. */
+function describeDay(
+  { date, count = 0, label }: Pick<TooltipState, "date" | "count" | "label">,
+  locale?: string,
+): string {
+  const messages = calendarMessages(locale);
+  const formattedDate = formatTooltipDate(date, locale);
+  if (label) return fillMessage(messages.labelOn, { label, date: formattedDate });
+  if (count === 0) return fillMessage(messages.noContributionsOn, { date: formattedDate });
+  return formatPlural(messages.contributionsOn, count, locale, { date: formattedDate });
+}
+
+function CalendarTooltip({
+  tooltip,
+  locale,
+}: {
+  tooltip: TooltipState;
+  locale?: string;
+}) {
+  if (!tooltip.visible) return null;
+  return (
+    <div
+      className="pointer-events-none absolute z-50 rounded bg-[#24292e] dark:bg-[#161b22] px-2.5 py-1 text-[11px] font-medium text-white shadow-md border border-neutral-700/30 whitespace-nowrap"
+      style={{
+        left: tooltip.x,
+        top: tooltip.y,
+        transform: "translate(-50%, calc(-100% - 6px))",
+      }}
+    >
+      {describeDay(tooltip, locale)}.
+      {tooltip.events?.map((title) => (
+        <div key={title} className="text-neutral-300">
+          {title}
+        </div>
+      ))}
+      {/* Small arrow pointing down */}
+      <div className="absolute left-1/2 bottom-0 -translate-x-1/2 translate-y-1/2 w-1.5 h-1.5 rotate-45 bg-[#24292e] dark:bg-[#161b22] border-r border-b border-neutral-700/30" />
+    </div>
+  );
+}
+
+const HIDDEN_TOOLTIP: TooltipState = {
+  visible: false,
+  date: "",
+  count: undefined,
+  label: undefined,
+  x: 0,
+  y: 0,
+};
+
 // ─── Loading Skeleton ─────────────────────────────────────────────────────────
 
 function CalendarSkeleton({
@@ -296,31 +255,223 @@ function CalendarSkeleton({
   );
 }
 
+// ─── Stacked multi-year view ──────────────────────────────────────────────────
+
+function StackedYears({
+  data,
+  years,
+  baseEnd,
+  weekStart,
+  locale,
+  cellSize,
+  cellGap,
+  cellRx,
+  colors,
+  labelColor,
+}: {
+  data: ContributionData;
+  years: number[];
+  baseEnd: string;
+  weekStart: WeekStart;
+  locale?: string;
+  cellSize: number;
+  cellGap: number;
+  cellRx: number;
+  colors: ThemeColors;
+  labelColor: string;
+}) {
+  const [tooltip, setTooltip] = useState<TooltipState & { year: number }>({
+    ...HIDDEN_TOOLTIP,
+    year: 0,
+  });
+  const step = cellSize + cellGap;
+  const rows = useMemo(
+    () =>
+      years.map((year) => {
+        const end = `${year}-12-31` < baseEnd ? `${year}-12-31` : baseEnd;
+        const grid = buildGrid(`${year}-01-01`, end, weekStart, locale);
+        const total = grid.weeks
+          .flat()
+          .reduce((sum, d) => sum + (d ? dayCount(data[d]) : 0), 0);
+        return { year, total, ...grid };
+      }),
+    [years, baseEnd, weekStart, locale, data],
+  );
+  // A year can span 54 columns; every row takes the widest so they line up
+  const width = Math.max(0, ...rows.map((r) => r.weeks.length)) * step - cellGap;
+
+  return (
+    <div className="flex flex-col gap-2 overflow-x-auto">
+      {rows.map(({ year, total, weeks }) => (
+        <div key={year} className="flex items-start gap-3">
+          <span
+            className="w-10 shrink-0 text-xs font-medium tabular-nums"
+            style={{ color: labelColor, lineHeight: `${7 * step - cellGap}px` }}
+          >
+            {year}
+          </span>
+          <div className="relative">
+            <svg
+              width={width}
+              height={7 * step - cellGap}
+              className="overflow-visible"
+              role="img"
+              aria-label={`${year}: ${formatPlural(calendarMessages(locale).contributions, total, locale)}`}
+            >
+              {weeks.map((week, wi) =>
+                week.map((date, di) => {
+                  if (!date) return null;
+                  const entry = data[date];
+                  return (
+                    <rect
+                      key={date}
+                      x={wi * step}
+                      y={di * step}
+                      width={cellSize}
+                      height={cellSize}
+                      rx={cellRx}
+                      fill={colors[`level${entry?.level ?? 0}` as keyof ThemeColors]}
+                      onMouseEnter={() =>
+                        setTooltip({
+                          visible: true,
+                          year,
+                          date,
+                          count: entry?.count,
+                          label: entry?.label,
+                          x: wi * step + cellSize / 2,
+                          y: di * step,
+                        })
+                      }
+                      onMouseLeave={() =>
+                        setTooltip((t) => ({ ...t, visible: false }))
+                      }
+                    />
+                  );
+                }),
+              )}
+            </svg>
+            {tooltip.year === year && (
+              <CalendarTooltip tooltip={tooltip} locale={locale} />
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Period navigation ────────────────────────────────────────────────────────
+
+function NavButton({
+  label,
+  disabled,
+  onClick,
+  children,
+}: {
+  label: string;
+  disabled?: boolean;
+  onClick: () => void;
+  children: React.ReactNode;
+}) {
+  return (
+    <button
+      type="button"
+      aria-label={label}
+      title={label}
+      disabled={disabled}
+      onClick={onClick}
+      className="flex h-6 min-w-6 items-center justify-center rounded border border-neutral-800 px-1.5 text-neutral-300 transition-colors hover:border-neutral-600 hover:text-white disabled:cursor-not-allowed disabled:opacity-30"
+    >
+      {children}
+    </button>
+  );
+}
+
+function SegmentedToggle<T extends string>({
+  label,
+  value,
+  options,
+  onChange,
+}: {
+  label: string;
+  value: T;
+  options: { value: T; label: string }[];
+  onChange: (value: T) => void;
+}) {
+  return (
+    <div
+      role="radiogroup"
+      aria-label={label}
+      className="flex rounded border border-neutral-800 p-0.5"
+    >
+      {options.map((o) => (
+        <button
+          key={o.value}
+          type="button"
+          role="radio"
+          aria-checked={value === o.value}
+          onClick={() => onChange(o.value)}
+          className={cn(
+            "rounded-sm px-2 py-0.5 transition-colors",
+            value === o.value
+              ? "bg-neutral-800 text-white"
+              : "text-neutral-400 hover:text-neutral-200",
+          )}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 // ─── Main component ───────────────────────────────────────────────────────────
 
 export const GithubCalendar = memo(function GithubCalendar({
   username,
   data: dataProp,
+  provider = DEFAULT_PROVIDER,
   startDate,
   endDate,
+  rangeMode: rangeModeProp = "rolling",
+  layout: layoutProp = "single",
+  showNavigation = true,
   startsOnSunday = true,
+  weekStart: weekStartProp,
+  locale,
+  timeZone,
   cellSize = 12,
   cellGap = 3,
   cellShape = "rounded",
   theme = "github",
+  colorScheme = "auto",
   showMonthLabels = true,
   showStats = true,
+  showAnalytics = false,
+  showDataTable = false,
+  showExport = false,
+  showReplay = false,
+  annotations,
+  onAnnotationClick = followAnnotation,
+  compare,
+  compareLayout = "split",
+  detailsProvider,
   showLegend = true,
   className,
 }: GithubCalendarProps) {
   const id = useId();
   // Scroll ref — used to auto-scroll to most recent months on compact viewports
   const scrollRef = useRef<HTMLDivElement>(null);
-  const [isDark, setIsDark] = useState(false);
+  const [isDark, setIsDark] = useState(colorScheme === "dark");
   const [gameActive, setGameActive] = useState(false);
   const canvasRef = useRef<HTMLCanvasElement>(null);
+  const gameSwitchRef = useRef<HTMLButtonElement>(null);
 
   useEffect(() => {
+    if (colorScheme !== "auto") {
+      setIsDark(colorScheme === "dark");
+      return;
+    }
     const checkDark = () => {
       setIsDark(
         document.documentElement.classList.contains("dark") ||
@@ -336,460 +487,343 @@ export const GithubCalendar = memo(function GithubCalendar({
     observer.observe(document.body, opts);
 
     return () => observer.disconnect();
-  }, []);
+  }, [colorScheme]);
 
   // ── Fetch state ────────────────────────────────────────────────────────
-  const [fetchedData, setFetchedData] = useState<ContributionData | null>(null);
-  const [loading, setLoading] = useState(!!username);
+  // Providers are usually built inline, so refetch on `provider.id` only.
+  // Cached data renders immediately and is revalidated in the background.
+  const providerRef = useRef(provider);
+  providerRef.current = provider;
+  const storageKey = username ? cacheKey(provider.id, username) : null;
+  const [cached] = useState(() => (storageKey ? readCache(storageKey) : null));
+  const [fetchedData, setFetchedData] = useState<ContributionData | null>(
+    cached?.data ?? null,
+  );
+  const [updatedAt, setUpdatedAt] = useState<number | null>(
+    cached?.updatedAt ?? null,
+  );
+  const [loading, setLoading] = useState(!!username && !cached);
+  const [refreshing, setRefreshing] = useState(false);
   const [fetchError, setFetchError] = useState<string | null>(null);
+  const [fetchAttempt, setFetchAttempt] = useState(0);
 
   useEffect(() => {
-    if (!username) return;
-    setFetchedData(null);
+    if (!username || !storageKey) return;
+    const controller = new AbortController();
+    const hit = readCache(storageKey);
+    setFetchedData(hit?.data ?? null);
+    setUpdatedAt(hit?.updatedAt ?? null);
     setFetchError(null);
-    setLoading(true);
+    setLoading(!hit);
+    setRefreshing(true);
+
+    withRetry(
+      () =>
+        providerRef.current.fetch(username, { signal: controller.signal }),
+      { signal: controller.signal },
+    )
+      .then((d) => {
+        const entry = writeCache(storageKey, d);
+        setFetchedData(entry.data);
+        setUpdatedAt(entry.updatedAt);
+      })
+      .catch((e) => {
+        if (controller.signal.aborted) return;
+        setFetchError(e instanceof Error ? e.message : String(e));
+      })
+      .finally(() => {
+        if (controller.signal.aborted) return;
+        setLoading(false);
+        setRefreshing(false);
+      });
+
+    return () => controller.abort();
+  }, [username, storageKey, fetchAttempt]);
 
-    fetchContributions(username)
-      .then((d) => setFetchedData(d))
-      .catch((e) => setFetchError(e instanceof Error ? e.message : String(e)))
-      .finally(() => setLoading(false));
-  }, [username]);
+  // Try again once the connection comes back
+  useEffect(() => {
+    if (!fetchError) return;
+    const onOnline = () => setFetchAttempt((n) => n + 1);
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [fetchError]);
 
   // ── Choose data source ─────────────────────────────────────────────────
   const data: ContributionData = dataProp ?? fetchedData ?? {};
 
   // ── Resolve dates ──────────────────────────────────────────────────────
-  const resolvedEnd = endDate ?? formatDate(new Date());
-  const resolvedStart = useMemo(() => {
-    if (startDate) return startDate;
-    const d = parseDate(resolvedEnd);
-    d.setFullYear(d.getFullYear() - 1);
-    d.setDate(d.getDate() + 1);
-    return formatDate(d);
-  }, [startDate, resolvedEnd]);
+  // An explicit startDate pins a custom range; otherwise visitors can page
+  // through rolling 12-month or calendar-year periods ending at `baseEnd`.
+  const baseEnd = endDate ?? todayIn(timeZone);
+  const weekStart: WeekStart =
+    weekStartProp === "locale"
+      ? localeWeekStart(locale)
+      : (weekStartProp ?? (startsOnSunday ? 0 : 1));
+  const isCustomRange = !!startDate;
+  const [rangeMode, setRangeMode] = useState<RangeMode>(rangeModeProp);
+  const [layout, setLayout] = useState<CalendarLayout>(layoutProp);
+  const [periodOffset, setPeriodOffset] = useState(0);
+
+  const years = useMemo(
+    () => yearsCovered(Object.keys(data), baseEnd),
+    [data, baseEnd],
+  );
+  const maxOffset = years.length - 1;
+
+  const { start: resolvedStart, end: resolvedEnd } = useMemo(
+    () =>
+      isCustomRange
+        ? { start: startDate!, end: baseEnd }
+        : resolvePeriod(rangeMode, baseEnd, periodOffset),
+    [isCustomRange, startDate, baseEnd, rangeMode, periodOffset],
+  );
+  const isComparing = !!compare?.length;
+  const isStacked = layout === "stacked" && !isCustomRange && !isComparing;
+
+  const messages = calendarMessages(locale);
+  const periodLabel = isStacked
+    ? messages.inTotal
+    : isCustomRange
+      ? messages.inThisPeriod
+      : rangeMode === "calendar"
+        ? fillMessage(messages.inYear, { year: resolvedEnd.slice(0, 4) })
+        : periodOffset === 0
+          ? messages.inLastYear
+          : fillMessage(messages.inYearTo, {
+              date: formatDay(resolvedEnd, locale, {
+                month: "long",
+                day: "numeric",
+                year: "numeric",
+              }),
+            });
 
   // ── Resolve theme colors ───────────────────────────────────────────────
-  const activeColors = useMemo(() => {
-    if (typeof theme === "object") return theme;
-    return isDark ? DARK_THEMES.github : THEMES.github;
-  }, [theme, isDark]);
+  // theme="css" reads `--calendar-*` custom properties from the calendar's
+  // own element, so each section can restyle it from its stylesheet
+  const rootRef = useRef<HTMLDivElement>(null);
+  const [cssPalette, setCssPalette] = useState<ThemePalette | null>(null);
+  useEffect(() => {
+    if (theme !== "css") return;
+    setCssPalette(
+      themeFromCssVariables(
+        rootRef.current ?? document.documentElement,
+        resolvePalette("github", isDark),
+      ),
+    );
+  }, [theme, isDark, loading]);
+
+  const activeColors = useMemo(
+    () =>
+      resolvePalette(theme === "css" ? (cssPalette ?? "github") : theme, isDark),
+    [theme, cssPalette, isDark],
+  );
 
   // ── Tooltip state ──────────────────────────────────────────────────────
-  const [tooltip, setTooltip] = useState<TooltipState>({
-    visible: false,
-    date: "",
-    count: undefined,
-    label: undefined,
-    x: 0,
-    y: 0,
-  });
+  const [tooltip, setTooltip] = useState<TooltipState>(HIDDEN_TOOLTIP);
 
   // ── Build grid ─────────────────────────────────────────────────────────
   const { weeks, monthLabels, gridStart } = useMemo(
-    () => buildGrid(resolvedStart, resolvedEnd, startsOnSunday),
-    [resolvedStart, resolvedEnd, startsOnSunday],
+    () => buildGrid(resolvedStart, resolvedEnd, weekStart, locale),
+    [resolvedStart, resolvedEnd, weekStart, locale],
+  );
+
+  // ── Keyboard navigation ────────────────────────────────────────────────
+  const cellElementId = useCallback(
+    (date: string) => `cell-${id}-${date}`,
+    [id],
+  );
+  const grid = useGridNavigation(weeks, cellElementId);
+  const [focusedDate, setFocusedDate] = useState<string | null>(null);
+  const [tableView, setTableView] = useState(false);
+  const gridDates = useMemo(
+    () => weeks.flat().filter((d): d is string => d !== null),
+    [weeks],
   );
+  const tableDates = useMemo(
+    () => (isStacked ? Object.keys(data).sort() : gridDates),
+    [isStacked, data, gridDates],
+  );
+  const focusColor = isDark ? "#fafafa" : activeColors.ship;
+
+  // ── Day drill-down ─────────────────────────────────────────────────────
+  const [selectedDate, setSelectedDate] = useState<string | null>(null);
+  const canDrillDown = !!detailsProvider && !!username;
+  useEffect(() => {
+    setSelectedDate((d) => (d && gridDates.includes(d) ? d : null));
+  }, [gridDates]);
+  const closeDetails = () => {
+    const root = rootRef.current?.getRootNode() as Document | ShadowRoot | undefined;
+    if (selectedDate && root) {
+      root.getElementById(cellElementId(selectedDate))?.focus();
+    }
+    setSelectedDate(null);
+  };
 
   // ── Stats ──────────────────────────────────────────────────────────────
-  const stats = useMemo(() => {
-    const entries = Object.entries(data);
-    const total = entries.reduce(
-      (sum, [, v]) => sum + (v.count ?? (v.level > 0 ? 1 : 0)),
-      0,
-    );
-    const activeDays = entries.filter(([, v]) => v.level > 0).length;
-    const maxStreak = (() => {
-      let max = 0;
-      let cur = 0;
-      const sorted = entries
-        .filter(([, v]) => v.level > 0)
-        .map(([d]) => d)
-        .sort();
-      for (let i = 0; i < sorted.length; i++) {
-        if (i === 0) {
-          cur = 1;
-          max = 1;
-          continue;
-        }
-        const prev = parseDate(sorted[i - 1]!);
-        const curr = parseDate(sorted[i]!);
-        const diff = (curr.getTime() - prev.getTime()) / 86400000;
-        if (diff === 1) {
-          cur++;
-          max = Math.max(max, cur);
-        } else cur = 1;
-      }
-      return max;
-    })();
-    return { total, activeDays, maxStreak };
-  }, [data]);
+  // Only the selected range feeds the stats
+  const stats = useMemo(
+    () =>
+      computeStats(
+        data,
+        isStacked
+          ? { weekStart }
+          : { start: resolvedStart, end: resolvedEnd, weekStart },
+      ),
+    [data, isStacked, resolvedStart, resolvedEnd, weekStart],
+  );
+
+  // ── Compare ────────────────────────────────────────────────────────
+  // This calendar's own data is the first series; the others follow once
+  // they have loaded
+  const compareSources = compare?.slice(0, MAX_COMPARE_SOURCES) ?? NO_SOURCES;
+  const compared = useCompareSources(compareSources, provider);
+  const compareSignature = sourcesSignature(compareSources, provider);
+  const comparedSeries = useMemo(
+    () =>
+      isComparing
+        ? buildComparedSeries(
+            [
+              { label: username ?? "You", color: COMPARE_COLORS[0]!, data },
+              ...compareSources.flatMap((source, i) => {
+                const sourceData = compared.data[i];
+                if (!sourceData) return [];
+                return [
+                  {
+                    label: compareLabel(source, i, gridDates),
+                    color: source.color ?? COMPARE_COLORS[i + 1]!,
+                    data: sourceData,
+                    yearsBack: source.yearsBack,
+                  },
+                ];
+              }),
+            ],
+            gridDates,
+          )
+        : [],
+    // compareSources is covered by compareSignature
+    [isComparing, username, data, compared, compareSignature, gridDates],
+  );
+  const pendingSources = compareSources.flatMap((source, i) =>
+    compared.data[i]
+      ? []
+      : [
+          `${compareLabel(source, i, gridDates)}: ${
+            compared.errors[i] ?? "loading…"
+          }`,
+        ],
+  );
+
+  // ── Replay ─────────────────────────────────────────────────────────
+  // Cells after the playhead render as empty; the counters read from a
+  // timeline built once per range
+  const replay = useReplay(gridDates);
+  const replayTimeline = useMemo(
+    () => buildReplayTimeline(gridDates, data),
+    [gridDates, data],
+  );
+  const replayDate = replay.active ? replay.cursorDate : null;
+  const canReplay =
+    showReplay && !isStacked && !isComparing && !tableView && !gameActive;
+  const stopReplay = replay.stop;
+  useEffect(() => {
+    if (!canReplay) stopReplay();
+  }, [canReplay, stopReplay]);
+
+  // ── Controls row ──────────────────────────────────────────────────
+  const showGameSwitch = !isStacked && !tableView && !replay.active;
+  const showReplayToggle = canReplay && !replay.active;
+  const showTableToggle = showDataTable && !gameActive && !replay.active;
+  const showExportMenu =
+    showExport && !gameActive && !isStacked && !tableView && !replay.active;
+  const hasControls =
+    showGameSwitch || showReplayToggle || showTableToggle || showExportMenu;
 
   // ── Dimensions ────────────────────────────────────────────────────────
   const step = cellSize + cellGap;
+  const cellRx = cellShape === "circle" ? cellSize / 2 : cellSize * 0.2;
   const monthLabelHeight = showMonthLabels && !gameActive ? 20 : 0;
   const svgWidth = weeks.length * step - cellGap;
   const svgHeight = monthLabelHeight + 7 * step - cellGap;
+
+  // ── Annotations ──────────────────────────────────────────────────────
+  const eventsByDate = useMemo(
+    () => annotationsByDate(annotations ?? [], gridDates),
+    [annotations, gridDates],
+  );
+  const annotationShapes = useMemo(
+    () =>
+      layoutAnnotations(annotations ?? [], weeks, {
+        step,
+        gap: cellGap,
+        top: monthLabelHeight,
+        cellSize,
+        color: activeColors.laser,
+      }),
+    [annotations, weeks, step, cellGap, cellSize, monthLabelHeight, activeColors],
+  );
+
   // Auto-scroll to the right end (most recent months) — must be before early returns
   useEffect(() => {
     if (scrollRef.current) {
       scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
     }
-  }, [fetchedData, dataProp]);
+  }, [fetchedData, dataProp, resolvedStart, resolvedEnd, layout]);
 
-  // Game loop and autoplay logic
+  // Game loop — the engine starts in attract mode and hands control to the
+  // player on the first game key or tap. While it runs the canvas replaces
+  // the SVG grid entirely.
   useEffect(() => {
-    if (!gameActive) {
-      // Restore all cells opacity and colors when game is stopped
-      weeks.forEach((week) => {
-        week.forEach((date) => {
-          if (!date) return;
-          const rect = document.getElementById(`cell-${id}-${date}`);
-          if (rect) {
-            rect.style.opacity = "1";
-            rect.style.pointerEvents = "auto";
-            const originalLevel = data[date]?.level ?? 0;
-            const originalColor =
-              activeColors[`level${originalLevel}` as keyof ThemeColors] ||
-              activeColors.level0;
-            rect.setAttribute("fill", originalColor);
-          }
-        });
-      });
-      return;
-    }
-
+    if (!gameActive) return;
     const canvas = canvasRef.current;
     if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
-
-    let animationFrameId: number;
-    const width = svgWidth;
-    const height = svgHeight + 80;
-    canvas.width = width;
-    canvas.height = height;
-
-    // Local mutable map for dynamic cell levels
-    const cellLevels = new Map<string, number>();
-    weeks.forEach((week) => {
-      week.forEach((date) => {
-        if (!date) return;
-        const entry = data[date];
-        const initialLevel = entry?.level ?? 0;
-        cellLevels.set(date, initialLevel);
-        const rect = document.getElementById(`cell-${id}-${date}`);
-        if (rect) {
-          if (initialLevel === 0) {
-            rect.style.opacity = "0";
-            rect.style.pointerEvents = "none";
-          } else {
-            rect.style.opacity = "1";
-            rect.style.pointerEvents = "auto";
-          }
-        }
-      });
-    });
 
-    // Player (Spacecraft) with automatic direction sweep
-    const player = {
-      x: width / 2 - 15,
-      y: height - 25,
-      width: 30,
-      height: 20,
-      speed: 4,
-      direction: 1, // 1 = right, -1 = left
-      color: "#38bdf8",
-    };
-
-    // Bullets
-    type GameBullet = {
-      x: number;
-      y: number;
-      vy: number;
-      width: number;
-      height: number;
-      color: string;
-    };
-    let bullets: GameBullet[] = [];
-    let lastShot = 0;
-    const cooldown = 140; // Autoplay shooting speed
-
-    const shoot = () => {
-      bullets.push({
-        x: player.x + player.width / 2 - 1.5,
-        y: player.y - 4,
-        vy: -6,
-        width: 3,
-        height: 8,
-        color: "#fbbf24", // Yellow laser
-      });
-      playSound("laser");
-    };
-
-    // Stars background (Space effect)
-    const stars = Array.from({ length: 140 }).map(() => ({
-      x: Math.random() * width,
-      y: Math.random() * height,
-      speed: Math.random() * 0.4 + 0.1,
-      size: Math.random() * 1.2 + 0.5,
-      alpha: Math.random() * 0.5 + 0.1,
-    }));
-
-    // Particles (for explosions)
-    type GameParticle = {
-      x: number;
-      y: number;
-      vx: number;
-      vy: number;
-      color: string;
-      size: number;
-      alpha: number;
-      life: number;
-      maxLife: number;
-    };
-    let particles: GameParticle[] = [];
-    const explode = (x: number, y: number, color: string) => {
-      playSound("explosion");
-      for (let i = 0; i < 12; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = Math.random() * 2.5 + 1.2;
-        particles.push({
-          x,
-          y,
-          vx: Math.cos(angle) * speed,
-          vy: Math.sin(angle) * speed,
-          color,
-          size: Math.random() * 2 + 1,
-          alpha: 1,
-          life: 0,
-          maxLife: Math.random() * 15 + 15,
-        });
-      }
-    };
-
-    const update = () => {
-      // Find the min and max column index (wi) that still has active cells (level > 0)
-      let minWi = -1;
-      let maxWi = -1;
-      weeks.forEach((week, wi) => {
-        week.forEach((date) => {
-          if (!date) return;
-          if ((cellLevels.get(date) ?? 0) > 0) {
-            if (minWi === -1) minWi = wi;
-            minWi = Math.min(minWi, wi);
-            maxWi = Math.max(maxWi, wi);
-          }
-        });
-      });
-
-      // If there are active cells, restrict player boundary
-      let minX = 0;
-      let maxX = width - player.width;
-      if (minWi !== -1 && maxWi !== -1) {
-        minX = minWi * step;
-        maxX = Math.max(
-          minX,
-          Math.min(width - player.width, (maxWi + 1) * step - player.width),
-        );
-      }
-
-      // Clamp player position
-      player.x = Math.max(minX, Math.min(maxX, player.x));
-
-      // ── Side-to-Side Sweep Ship Movement ──────────────────────────────────
-      player.x += player.speed * player.direction;
-      if (player.x >= maxX) {
-        player.x = maxX;
-        player.direction = -1;
-      } else if (player.x <= minX) {
-        player.x = minX;
-        player.direction = 1;
-      }
-
-      // ── Continuous Auto-Shooting ──────────────────────────────────────────
-      const now = Date.now();
-      if (now - lastShot >= cooldown) {
-        shoot();
-        lastShot = now;
-      }
-
-      // ── Reset Game if all contribution cells are cleared to level 0 ──────
-      let anyActive = false;
-      cellLevels.forEach((level) => {
-        if (level > 0) anyActive = true;
-      });
-
-      if (!anyActive) {
-        playSound("victory");
-        // Reset all cell levels back to their original levels
-        weeks.forEach((week) => {
-          week.forEach((date) => {
-            if (!date) return;
-            const originalLevel = data[date]?.level ?? 0;
-            cellLevels.set(date, originalLevel);
-            const rect = document.getElementById(`cell-${id}-${date}`);
-            if (rect) {
-              const originalColor =
-                activeColors[`level${originalLevel}` as keyof ThemeColors] ||
-                activeColors.level0;
-              rect.setAttribute("fill", originalColor);
-              if (originalLevel === 0) {
-                rect.style.opacity = "0";
-                rect.style.pointerEvents = "none";
-              } else {
-                rect.style.opacity = "1";
-                rect.style.pointerEvents = "auto";
-              }
-            }
-          });
-        });
-      }
-
-      // ── Update Environment ────────────────────────────────────────────────
-      // Move Stars
-      stars.forEach((s) => {
-        s.y += s.speed;
-        if (s.y > height) {
-          s.y = 0;
-          s.x = Math.random() * width;
-        }
-      });
-
-      // Move Bullets
-      bullets = bullets.filter((b) => {
-        b.y += b.vy;
-        return b.y > 0;
-      });
-
-      // Move Particles
-      particles.forEach((p, idx) => {
-        p.x += p.vx;
-        p.y += p.vy;
-        p.life++;
-        p.alpha = 1 - p.life / p.maxLife;
-      });
-      particles = particles.filter((p) => p.life < p.maxLife);
-
-      // Check laser collisions with cells
-      bullets.forEach((bullet, bulletIdx) => {
-        weeks.forEach((week, wi) => {
-          week.forEach((date, di) => {
-            if (!date) return;
-
-            const currentLevel = cellLevels.get(date) ?? 0;
-            if (currentLevel === 0) return; // Already finished / level 0
-
-            const cellX = wi * step;
-            const cellY = monthLabelHeight + di * step;
-
-            // Simple box-overlap collision check
-            if (
-              bullet.x < cellX + cellSize &&
-              bullet.x + bullet.width > cellX &&
-              bullet.y < cellY + cellSize &&
-              bullet.y + bullet.height > cellY
-            ) {
-              // Collision detected! Remove the bullet
-              bullets.splice(bulletIdx, 1);
-
-              // Decrement the level by 1
-              const newLevel = currentLevel - 1;
-              cellLevels.set(date, newLevel);
-
-              // Instantly update the cell color in the SVG DOM
-              const rect = document.getElementById(`cell-${id}-${date}`);
-              if (rect) {
-                if (newLevel === 0) {
-                  rect.style.opacity = "0";
-                  rect.style.pointerEvents = "none";
-                } else {
-                  const newColor =
-                    activeColors[`level${newLevel}` as keyof ThemeColors] ||
-                    activeColors.level0;
-                  rect.setAttribute("fill", newColor);
-                }
-              }
-
-              // Play hit explosion effect using the level color before hit
-              const hitColor =
-                activeColors[`level${currentLevel}` as keyof ThemeColors] ||
-                activeColors.level0;
-              explode(cellX + cellSize / 2, cellY + cellSize / 2, hitColor);
-            }
-          });
+    const cells: ShooterCell[] = [];
+    weeks.forEach((week, wi) => {
+      week.forEach((date, di) => {
+        if (!date) return;
+        cells.push({
+          date,
+          x: wi * step,
+          y: monthLabelHeight + di * step,
+          level: data[date]?.level ?? 0,
         });
       });
-    };
-
-    const render = () => {
-      ctx.clearRect(0, 0, width, height);
-
-      // Draw starry space background
-      ctx.fillStyle = "#ffffff";
-      stars.forEach((s) => {
-        ctx.globalAlpha = s.alpha;
-        ctx.fillRect(s.x, s.y, s.size, s.size);
-      });
-      ctx.globalAlpha = 1.0;
-
-      // Draw bullets
-      bullets.forEach((b) => {
-        ctx.fillStyle = b.color;
-        ctx.fillRect(b.x, b.y, b.width, b.height);
-      });
-
-      // Draw particles
-      particles.forEach((p) => {
-        ctx.fillStyle = p.color;
-        ctx.globalAlpha = p.alpha;
-        ctx.fillRect(p.x, p.y, p.size, p.size);
-      });
-      ctx.globalAlpha = 1.0;
-
-      // Draw Player Ship (Cyan space fighter style)
-      ctx.fillStyle = player.color;
-      ctx.shadowColor = player.color;
-      ctx.shadowBlur = 6;
-      ctx.beginPath();
-      ctx.moveTo(player.x + player.width / 2, player.y);
-      ctx.lineTo(player.x + player.width, player.y + player.height);
-      ctx.lineTo(
-        player.x + player.width * 0.7,
-        player.y + player.height * 0.75,
-      );
-      ctx.lineTo(
-        player.x + player.width * 0.3,
-        player.y + player.height * 0.75,
-      );
-      ctx.lineTo(player.x, player.y + player.height);
-      ctx.closePath();
-      ctx.fill();
-      ctx.shadowBlur = 0;
-    };
-
-    const loop = () => {
-      update();
-      render();
-      if (gameActive) {
-        animationFrameId = requestAnimationFrame(loop);
-      }
-    };
+    });
 
-    animationFrameId = requestAnimationFrame(loop);
+    const game = createShooterGame({
+      canvas,
+      width: svgWidth,
+      height: svgHeight + 80,
+      gridHeight: svgHeight,
+      cellSize,
+      cellRx,
+      step,
+      cells,
+      levelColor: (level) =>
+        activeColors[`level${level}` as keyof ThemeColors] ||
+        activeColors.level0,
+      shipColor: activeColors.ship,
+      laserColor: activeColors.laser,
+      scrollContainer: scrollRef.current,
+      onExit: () => {
+        setGameActive(false);
+        gameSwitchRef.current?.focus();
+      },
+    });
+    canvas.focus({ preventScroll: true });
 
-    return () => {
-      cancelAnimationFrame(animationFrameId);
-    };
+    return () => game.destroy();
   }, [
     gameActive,
     data,
     weeks,
     step,
     cellSize,
-    cellGap,
+    svgWidth,
+    svgHeight,
+    cellRx,
     monthLabelHeight,
     activeColors,
-    id,
   ]);
 
   // ── Loading / error states ───────────────────────────
@@ -803,7 +837,7 @@ export const GithubCalendar = memo(function GithubCalendar({
     );
   }
 
-  if (fetchError) {
+  if (fetchError && !fetchedData) {
     return (
       <div
         className={cn(
@@ -827,14 +861,20 @@ export const GithubCalendar = memo(function GithubCalendar({
           <line x1="12" y1="16" x2="12.01" y2="16" />
         </svg>
         {fetchError}
+        <button
+          type="button"
+          onClick={() => setFetchAttempt((n) => n + 1)}
+          className="ml-2 underline underline-offset-4"
+        >
+          Retry
+        </button>
       </div>
     );
   }
 
-  const cellRx = cellShape === "circle" ? cellSize / 2 : cellSize * 0.2;
-
   return (
     <div
+      ref={rootRef}
       className={cn(
         "w-fit mx-auto overflow-x-hidden border rounded-sm transition-all duration-500",
         gameActive ? "bg-black border-neutral-800" : "",
@@ -842,218 +882,539 @@ export const GithubCalendar = memo(function GithubCalendar({
       )}
     >
       <div className="w-fit mx-auto max-w-full flex flex-col gap-3 p-3">
-        <div
-          ref={scrollRef}
-          className={cn(
-            "relative overflow-x-auto transition-all duration-500",
-            gameActive ? "pb-[80px]" : "",
-          )}
-          style={
-            {
-              scrollbarWidth: "none",
-              msOverflowStyle: "none",
-            } as React.CSSProperties
-          }
-        >
-          <svg
-            width={svgWidth}
-            height={svgHeight}
-            viewBox={`0 0 ${svgWidth} ${svgHeight}`}
-            className="overflow-visible"
+        {/* period navigation */}
+        {showNavigation && !isCustomRange && !gameActive && (
+          <div className="flex flex-wrap items-center justify-between gap-2 text-[11px] text-neutral-400 select-none">
+            {!isStacked ? (
+              <div className="flex items-center gap-1.5">
+                <NavButton
+                  label={messages.previousPeriod}
+                  disabled={periodOffset >= maxOffset}
+                  onClick={() => setPeriodOffset((o) => Math.min(maxOffset, o + 1))}
+                >
+                  ‹
+                </NavButton>
+                <select
+                  aria-label={messages.year}
+                  value={periodOffset}
+                  onChange={(e) => setPeriodOffset(Number(e.target.value))}
+                  className="h-6 rounded border border-neutral-800 bg-transparent px-1.5 text-neutral-200 outline-none hover:border-neutral-600"
+                >
+                  {years.map((year, i) => (
+                    <option key={year} value={i} className="bg-neutral-900">
+                      {rangeMode === "rolling" && i === 0 ? messages.last12Months : year}
+                    </option>
+                  ))}
+                </select>
+                <NavButton
+                  label={messages.nextPeriod}
+                  disabled={periodOffset <= 0}
+                  onClick={() => setPeriodOffset((o) => Math.max(0, o - 1))}
+                >
+                  ›
+                </NavButton>
+              </div>
+            ) : (
+              <span>
+                {years[years.length - 1]}–{years[0]}
+              </span>
+            )}
+            <div className="flex items-center gap-2">
+              {!isStacked && (
+                <SegmentedToggle
+                  label={messages.periodType}
+                  value={rangeMode}
+                  onChange={setRangeMode}
+                  options={[
+                    { value: "rolling", label: messages.rolling },
+                    { value: "calendar", label: messages.calendarYear },
+                  ]}
+                />
+              )}
+              {years.length > 1 && !isComparing && (
+                <SegmentedToggle
+                  label={messages.layout}
+                  value={layout}
+                  onChange={setLayout}
+                  options={[
+                    { value: "single", label: messages.singleYear },
+                    { value: "stacked", label: messages.allYears },
+                  ]}
+                />
+              )}
+            </div>
+          </div>
+        )}
+
+        {tableView ? (
+          <ContributionTable
+            data={data}
+            dates={tableDates}
+            caption={fillMessage(messages.dailyContributionsIn, { period: periodLabel })}
+            locale={locale}
+          />
+        ) : isComparing ? (
+          <div className="flex flex-col gap-2">
+            <CompareView
+              series={comparedSeries}
+              weeks={weeks}
+              dates={gridDates}
+              monthLabels={showMonthLabels ? visibleMonthLabels(monthLabels) : []}
+              layout={compareLayout}
+              weekStart={weekStart}
+              locale={locale}
+              cellSize={cellSize}
+              cellGap={cellGap}
+              cellRx={cellRx}
+              emptyColor={activeColors.level0}
+              labelColor={isDark ? "#fafafa" : "#0a0a0a"}
+            />
+            {pendingSources.length > 0 && (
+              <p className="text-[11px] text-neutral-500">
+                {pendingSources.join(" · ")}
+              </p>
+            )}
+          </div>
+        ) : isStacked ? (
+          <StackedYears
+            data={data}
+            years={years}
+            baseEnd={baseEnd}
+            weekStart={weekStart}
+            locale={locale}
+            cellSize={cellSize}
+            cellGap={cellGap}
+            cellRx={cellRx}
+            colors={activeColors}
+            labelColor={isDark ? "#fafafa" : "#a3a3a3"}
+          />
+        ) : (
+          <div
+            ref={scrollRef}
+            className="relative overflow-x-auto transition-all duration-500"
+            style={
+              {
+                scrollbarWidth: "none",
+                msOverflowStyle: "none",
+              } as React.CSSProperties
+            }
           >
-            {/* month labels */}
-            {showMonthLabels &&
-              !gameActive &&
-              (() => {
-                const byWeek = new Map<number, string>();
-                monthLabels.forEach(({ label, weekIndex }) =>
-                  byWeek.set(weekIndex, label),
-                );
-                const entries = Array.from(byWeek.entries());
-                const validEntries: [number, string][] = [];
-                for (let i = 0; i < entries.length; i++) {
-                  const current = entries[i]!;
-                  const next = entries[i + 1];
-                  // If the first month is too close to the second, skip the first one
-                  if (i === 0 && next && next[0] - current[0] < 3) {
-                    continue;
-                  }
-                  // If this month is too close to the last added one, skip it
-                  const lastValid = validEntries[validEntries.length - 1];
-                  if (lastValid && current[0] - lastValid[0] < 3) {
-                    continue;
-                  }
-                  validEntries.push(current);
-                }
-                return validEntries.map(([weekIndex, label]) => (
-                  <text
-                    key={`${label}-${weekIndex}`}
-                    x={weekIndex * step}
-                    y={10}
-                    fontSize={14}
-                    fill={isDark ? "#fafafa" : "#0a0a0a"}
-                    fontFamily="inherit"
-                  >
-                    {label}
-                  </text>
-                ));
-              })()}
-
-            {/* cells */}
-            {weeks.map((week, wi) =>
-              week.map((date, di) => {
-                const entry = date ? data[date] : undefined;
-                const level: ContributionLevel = entry?.level ?? 0;
-                const cellCenterX = wi * step + cellSize / 2;
-                const cellTopY = monthLabelHeight + di * step;
-
-                if (!date) {
-                  const cellDate = formatDate(
-                    addDays(parseDate(gridStart), wi * 7 + di),
-                  );
-                  if (cellDate > resolvedEnd) return null;
-                }
-
-                return (
-                  <rect
-                    key={`${wi}-${di}`}
-                    id={date ? `cell-${id}-${date}` : undefined}
-                    x={wi * step}
-                    y={cellTopY}
-                    width={cellSize}
-                    height={cellSize}
-                    rx={cellRx}
-                    fill={activeColors[`level${level}` as keyof ThemeColors]}
-                    style={{
-                      transition: "opacity 0.1s",
-                      opacity: gameActive ? (level === 0 || !date ? 0 : 1) : 1,
-                      pointerEvents: gameActive
-                        ? level === 0 || !date
-                          ? "none"
-                          : "auto"
-                        : "auto",
-                    }}
-                    onMouseEnter={() => {
-                      if (!date || gameActive) return;
-                      setTooltip({
-                        visible: true,
-                        date,
-                        count: entry?.count,
-                        label: entry?.label,
-                        x: cellCenterX,
-                        y: cellTopY,
-                      });
-                    }}
-                    onMouseLeave={() =>
-                      setTooltip((t) => ({ ...t, visible: false }))
-                    }
-                  />
-                );
-              }),
+            {!gameActive && (
+              <svg
+                width={svgWidth}
+                height={svgHeight}
+                viewBox={`0 0 ${svgWidth} ${svgHeight}`}
+                className="overflow-visible"
+                role="grid"
+                aria-label={fillMessage(messages.gridLabel, {
+                  summary: formatPlural(messages.contributionsIn, stats.total, locale, {
+                    period: periodLabel,
+                  }),
+                })}
+                aria-readonly="true"
+                onKeyDown={grid.onKeyDown}
+              >
+                {/* month labels */}
+                {showMonthLabels &&
+                  visibleMonthLabels(monthLabels).map(({ label, weekIndex }) => (
+                    <text
+                      key={`${label}-${weekIndex}`}
+                      aria-hidden="true"
+                      x={weekIndex * step}
+                      y={10}
+                      fontSize={14}
+                      fill={isDark ? "#fafafa" : "#0a0a0a"}
+                      fontFamily="inherit"
+                    >
+                      {label}
+                    </text>
+                  ))}
+
+                {/* cells — one row per weekday, one column per week */}
+                {Array.from({ length: 7 }).map((_, di) => (
+                  <g key={di} role="row">
+                    {weeks.map((week, wi) => {
+                      const date = week[di] ?? null;
+                      const entry = date ? data[date] : undefined;
+                      const unrevealed =
+                        replay.active && (!replayDate || (!!date && date > replayDate));
+                      const level: ContributionLevel = unrevealed
+                        ? 0
+                        : (entry?.level ?? 0);
+                      const cellCenterX = wi * step + cellSize / 2;
+                      const cellTopY = monthLabelHeight + di * step;
+
+                      if (!date) {
+                        const cellDate = formatDate(
+                          addDays(parseDate(gridStart), wi * 7 + di),
+                        );
+                        if (cellDate > resolvedEnd) return null;
+                      }
+
+                      const events = date ? eventsByDate.get(date) : undefined;
+                      const linked = events?.find((e) => e.href);
+                      const showTooltip = () => {
+                        if (!date) return;
+                        setTooltip({
+                          visible: true,
+                          date,
+                          count: entry?.count,
+                          label: entry?.label,
+                          events: events?.map((e) => e.title),
+                          x: cellCenterX,
+                          y: cellTopY,
+                        });
+                      };
+                      const hideTooltip = () =>
+                        setTooltip((t) => ({ ...t, visible: false }));
+                      const isFocused = !!date && date === focusedDate;
+                      const isPlayhead = !!date && date === replayDate;
+                      const isSelected = !!date && date === selectedDate;
+                      const outlined = isFocused || isPlayhead || isSelected;
+                      // A day opens its details when there is a provider;
+                      // otherwise a linked event is followed directly
+                      const activate =
+                        date && canDrillDown
+                          ? () => setSelectedDate(isSelected ? null : date)
+                          : linked
+                            ? () => onAnnotationClick(linked)
+                            : undefined;
+
+                      return (
+                        <rect
+                          key={`${wi}-${di}`}
+                          id={date ? cellElementId(date) : undefined}
+                          role={date ? "gridcell" : "presentation"}
+                          aria-label={
+                            date
+                              ? [
+                                  describeDay(
+                                    {
+                                      date,
+                                      count: entry?.count,
+                                      label: entry?.label,
+                                    },
+                                    locale,
+                                  ),
+                                  ...(events?.map((e) => e.title) ?? []),
+                                ].join(". ")
+                              : undefined
+                          }
+                          aria-selected={date ? isFocused : undefined}
+                          aria-expanded={
+                            date && canDrillDown ? isSelected : undefined
+                          }
+                          tabIndex={
+                            date
+                              ? date === grid.activeDate
+                                ? 0
+                                : -1
+                              : undefined
+                          }
+                          x={wi * step}
+                          y={cellTopY}
+                          width={cellSize}
+                          height={cellSize}
+                          rx={cellRx}
+                          fill={activeColors[`level${level}` as keyof ThemeColors]}
+                          stroke={outlined ? focusColor : undefined}
+                          strokeWidth={
+                            outlined ? (isFocused || isSelected ? 2 : 1) : undefined
+                          }
+                          style={{
+                            outline: "none",
+                            cursor: activate ? "pointer" : undefined,
+                          }}
+                          onClick={activate}
+                          onKeyDown={
+                            activate
+                              ? (e) => {
+                                  if (e.key !== "Enter") return;
+                                  e.preventDefault();
+                                  activate();
+                                }
+                              : undefined
+                          }
+                          onMouseEnter={showTooltip}
+                          onMouseLeave={hideTooltip}
+                          onFocus={() => {
+                            if (!date) return;
+                            grid.setActiveDate(date);
+                            setFocusedDate(date);
+                            showTooltip();
+                          }}
+                          onBlur={() => {
+                            setFocusedDate(null);
+                            hideTooltip();
+                          }}
+                        />
+                      );
+                    })}
+                  </g>
+                ))}
+
+                {/* event markers — drawn over the cells, hover stays on the cells */}
+                {annotationShapes.length > 0 && (
+                  <g aria-hidden="true" pointerEvents="none">
+                    {annotationShapes.map((shape) =>
+                      shape.kind === "range" ? (
+                        <path
+                          key={shape.key}
+                          d={shape.d}
+                          fill="none"
+                          stroke={shape.color}
+                          strokeWidth={1.5}
+                          strokeLinecap="square"
+                        />
+                      ) : (
+                        <circle
+                          key={shape.key}
+                          cx={shape.cx}
+                          cy={shape.cy}
+                          r={Math.max(2, cellSize * 0.2)}
+                          fill={shape.color}
+                          stroke={isDark ? "#0a0a0a" : "#ffffff"}
+                          strokeWidth={1}
+                        />
+                      ),
+                    )}
+                  </g>
+                )}
+              </svg>
+            )}
+
+            {/* Game canvas — draws the cells itself while playing */}
+            {gameActive && (
+              <canvas
+                ref={canvasRef}
+                tabIndex={0}
+                aria-label="Space shooter game. Arrow keys or WASD to move, space to fire, Escape to stop playing; press Escape again to leave game mode."
+                className="block cursor-crosshair outline-none"
+                style={{
+                  width: svgWidth,
+                  height: svgHeight + 80,
+                  touchAction: "none",
+                }}
+              />
             )}
-          </svg>
-
-          {/* Game canvas overlay */}
-          {gameActive && (
-            <canvas
-              ref={canvasRef}
-              className="absolute inset-0 pointer-events-auto z-10 cursor-crosshair"
-              style={{ width: svgWidth, height: svgHeight + 80 }}
+
+            {/* custom tooltip */}
+            <CalendarTooltip tooltip={tooltip} locale={locale} />
+          </div>
+        )}
+
+        {/* day drill-down */}
+        {canDrillDown &&
+          selectedDate &&
+          !gameActive &&
+          !isStacked &&
+          !isComparing &&
+          !tableView && (
+            <DayDetailsPanel
+              date={selectedDate}
+              username={username!}
+              provider={detailsProvider!}
+              events={eventsByDate.get(selectedDate)}
+              onFollowEvent={onAnnotationClick}
+              accentColor={isDark ? activeColors.level4 : activeColors.level3}
+              locale={locale}
+              onClose={closeDetails}
             />
           )}
 
-          {/* custom tooltip */}
-          {tooltip.visible &&
-            (() => {
-              const count = tooltip.count ?? 0;
-              const formattedDate = formatTooltipDate(tooltip.date);
-              const tooltipText = tooltip.label
-                ? `${tooltip.label} on ${formattedDate}.`
-                : count === 0
-                  ? `No contributions on ${formattedDate}.`
-                  : `${count} contribution${count !== 1 ? "s" : ""} on ${formattedDate}.`;
-
-              return (
-                <div
-                  className="pointer-events-none absolute z-50 rounded bg-[#24292e] dark:bg-[#161b22] px-2.5 py-1 text-[11px] font-medium text-white shadow-md border border-neutral-700/30 whitespace-nowrap"
-                  style={{
-                    left: tooltip.x,
-                    top: tooltip.y,
-                    transform: "translate(-50%, calc(-100% - 6px))",
-                  }}
-                >
-                  {tooltipText}
-                  {/* Small arrow pointing down */}
-                  <div className="absolute left-1/2 bottom-0 -translate-x-1/2 translate-y-1/2 w-1.5 h-1.5 rotate-45 bg-[#24292e] dark:bg-[#161b22] border-r border-b border-neutral-700/30" />
-                </div>
-              );
-            })()}
-        </div>
+        {/* replay transport */}
+        {replay.active && (
+          <ReplayControls
+            replay={replay}
+            dates={gridDates}
+            timeline={replayTimeline}
+            locale={locale}
+            accentColor={activeColors.level4}
+          />
+        )}
 
         <div className="flex items-center justify-between gap-x-4">
-          {/* legend (left) */}
-          {showLegend && (
+          {!isComparing && (showLegend || hasControls) && (
             <div className="flex flex-wrap items-center gap-4 text-xs text-muted-foreground shrink-0 mt-0.5">
-              <div className="flex items-center gap-1.5">
-                <span>Less</span>
-                {([0, 1, 2, 3, 4] as ContributionLevel[]).map((level) => (
-                  <svg key={level} width={cellSize} height={cellSize}>
-                    <rect
-                      width={cellSize}
-                      height={cellSize}
-                      rx={cellRx}
-                      fill={activeColors[`level${level}`]}
-                    />
-                  </svg>
-                ))}
-                <span>More</span>
-              </div>
+              {/* legend (left) — compare mode has one per person instead */}
+              {showLegend && (
+                <div className="flex items-center gap-1.5">
+                  <span>{messages.less}</span>
+                  {([0, 1, 2, 3, 4] as ContributionLevel[]).map((level) => (
+                    <svg key={level} width={cellSize} height={cellSize}>
+                      <rect
+                        width={cellSize}
+                        height={cellSize}
+                        rx={cellRx}
+                        fill={activeColors[`level${level}`]}
+                      />
+                    </svg>
+                  ))}
+                  <span>{messages.more}</span>
+                </div>
+              )}
 
-              {/* Game Mode Switch */}
-              <div className="flex items-center gap-2 border-l border-neutral-800 pl-4">
-                <span className="text-[11px] text-neutral-400 select-none">Game Mode</span>
-                <button
-                  onClick={() => setGameActive(!gameActive)}
+              {/* controls — their own group, so showLegend={false} keeps them */}
+              {hasControls && (
+                <div
+                  role="group"
+                  aria-label="Calendar controls"
                   className={cn(
-                    "relative inline-flex h-5 w-9 shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none",
-                    gameActive ? "bg-emerald-500" : "bg-neutral-800"
+                    "flex flex-wrap items-center gap-4",
+                    showLegend && "border-l border-neutral-800 pl-4"
                   )}
                 >
-                  <span
-                    className={cn(
-                      "pointer-events-none inline-block h-4 w-4 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out",
-                      gameActive ? "translate-x-4" : "translate-x-0"
-                    )}
-                  />
-                </button>
-              </div>
+                  {/* Game Mode Switch */}
+                  {showGameSwitch && (
+                    <div className="flex items-center gap-2">
+                      <span className="text-[11px] text-neutral-400 select-none">Game Mode</span>
+                      <button
+                        ref={gameSwitchRef}
+                        type="button"
+                        role="switch"
+                        aria-checked={gameActive}
+                        aria-label="Game mode"
+                        aria-keyshortcuts="Escape"
+                        onClick={() => setGameActive(!gameActive)}
+                        className={cn(
+                          "relative inline-flex h-5 w-9 shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors duration-200 ease-in-out focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 focus-visible:ring-offset-2 focus-visible:ring-offset-black",
+                          gameActive ? "bg-emerald-500" : "bg-neutral-800"
+                        )}
+                      >
+                        <span
+                          className={cn(
+                            "pointer-events-none inline-block h-4 w-4 transform rounded-full bg-white shadow ring-0 transition duration-200 ease-in-out",
+                            gameActive ? "translate-x-4" : "translate-x-0"
+                          )}
+                        />
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Replay toggle */}
+                  {showReplayToggle && (
+                    <button
+                      type="button"
+                      onClick={replay.start}
+                      className="text-[11px] text-neutral-400 underline decoration-neutral-700 underline-offset-4 hover:text-neutral-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 rounded-sm"
+                    >
+                      Replay
+                    </button>
+                  )}
+
+                  {/* Table fallback toggle */}
+                  {showTableToggle && (
+                    <button
+                      type="button"
+                      aria-pressed={tableView}
+                      onClick={() => setTableView((v) => !v)}
+                      className="text-[11px] text-neutral-400 underline decoration-neutral-700 underline-offset-4 hover:text-neutral-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 rounded-sm"
+                    >
+                      {tableView ? "View as grid" : "View as table"}
+                    </button>
+                  )}
+
+                  {/* Download menu */}
+                  {showExportMenu && (
+                    <ExportMenu
+                      filename={`contributions-${username ?? "calendar"}-${resolvedEnd}`}
+                      getExportOptions={() => ({
+                        weeks,
+                        data,
+                        monthLabels: showMonthLabels
+                          ? visibleMonthLabels(monthLabels)
+                          : [],
+                        colors: ([0, 1, 2, 3, 4] as const).map(
+                          (level) => activeColors[`level${level}`],
+                        ),
+                        cellSize,
+                        cellGap,
+                        cellRx,
+                        background: isDark ? "#0a0a0a" : "#ffffff",
+                        textColor: isDark ? "#fafafa" : "#0a0a0a",
+                        mutedColor: "#a3a3a3",
+                        caption: `${username ? `${username} · ` : ""}${formatPlural(messages.contributionsIn, stats.total, locale, { period: periodLabel })}`,
+                      })}
+                    />
+                  )}
+                </div>
+              )}
             </div>
           )}
 
           {/* stats line (right) */}
           {showStats && (
-            <div className="flex flex-1 flex-wrap justify-end ml-auto text-sm font-sans tracking-wide">
+            <div className="flex flex-1 flex-col items-end gap-1 ml-auto text-sm font-sans tracking-wide">
               <a
-                href={`https://github.com/${username}`}
+                href={provider.profileUrl?.(username ?? "")}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="flex items-center gap-x-1 text-neutral-400 select-none"
               >
-                <span className="font-semibold text-neutral-200">
-                  {username}
-                </span>
-                <span>contributed</span>
-                <span className="font-bold text-[#39d353]">
-                  {stats.total.toLocaleString()}
-                </span>
-                <span>this year on</span>
-                <span className="font-semibold text-neutral-200 underline decoration-neutral-400 underline-offset-4">
-                  GitHub
-                </span>
+                {messageParts(
+                  selectPlural(messages.contributedIn, stats.total, locale),
+                ).map((part, i) => {
+                  if (i % 2 === 0) {
+                    return part.trim() && <span key={i}>{part.trim()}</span>;
+                  }
+                  if (part === "name") {
+                    return (
+                      <span key={i} className="font-semibold text-neutral-200">
+                        {username}
+                      </span>
+                    );
+                  }
+                  if (part === "count") {
+                    return (
+                      <span
+                        key={i}
+                        className="font-bold"
+                        style={{ color: isDark ? activeColors.level4 : activeColors.level3 }}
+                      >
+                        {stats.total.toLocaleString(locale)}
+                      </span>
+                    );
+                  }
+                  if (part === "source") {
+                    return (
+                      <span
+                        key={i}
+                        className="font-semibold text-neutral-200 underline decoration-neutral-400 underline-offset-4"
+                      >
+                        {provider.name}
+                      </span>
+                    );
+                  }
+                  return <span key={i}>{part === "period" ? periodLabel : part}</span>;
+                })}
               </a>
+              {!dataProp && updatedAt !== null && (
+                <span
+                  className="flex items-center gap-1.5 text-[11px] text-neutral-500 select-none"
+                  title={new Date(updatedAt).toLocaleString(locale)}
+                >
+                  {refreshing && (
+                    <span className="h-1.5 w-1.5 rounded-full bg-neutral-500 animate-pulse" />
+                  )}
+                  {fillMessage(fetchError ? messages.offline : messages.updated, {
+                    time: formatRelativeTime(updatedAt, locale),
+                  })}
+                </span>
+              )}
             </div>
           )}
         </div>
+
+        {/* analytics panel */}
+        {showAnalytics && !gameActive && !isComparing && (
+          <AnalyticsPanel
+            stats={stats}
+            weekStart={weekStart}
+            locale={locale}
+            accentColor={activeColors.level4}
+            className="pt-3 border-t border-neutral-800"
+          />
+        )}
       </div>
     </div>
   );
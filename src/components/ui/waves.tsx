@@ -0,0 +1,153 @@
+import { useEffect, useRef, useState, type CSSProperties, type Ref } from "react";
+import type {
+  AWaves,
+  WaveOptions,
+  WavePauseReason,
+  WaveQuality,
+} from "../../../js/waves.js";
+
+// ─── <a-waves> background ─────────────────────────────────────────────────────
+//
+// React wrapper around the wave engine in js/waves.js, the same element the
+// static pages use. Props map onto the element's attributes; anything left
+// out keeps the element's default.
+//
+//   <Waves className="hero-waves" strokeColor="var(--accent)" speed={0.6} />
+//
+// The engine extends HTMLElement, so it's imported on the client only, and
+// the component renders nothing until it has loaded: on the server and on
+// the first (hydrating) render alike.
+
+export type { WaveOptions, WavePauseReason, WaveQuality };
+
+export interface WavesProps extends Partial<WaveOptions> {
+  className?: string;
+  style?: CSSProperties;
+  /** Holds the animation on its current frame. */
+  paused?: boolean;
+  onPause?: (reason: WavePauseReason) => void;
+  onResume?: () => void;
+  /** Adaptive quality changed level, e.g. to "medium" on a slow device. */
+  onQualityChange?: (quality: Exclude<WaveQuality, "auto">) => void;
+}
+
+const ATTRIBUTES: Record<keyof WaveOptions, string> = {
+  xGap: "x-gap",
+  yGap: "y-gap",
+  amplitude: "amplitude",
+  amplitudeX: "amplitude-x",
+  amplitudeY: "amplitude-y",
+  turbulence: "turbulence",
+  speed: "speed",
+  tension: "tension",
+  friction: "friction",
+  mouseRadius: "mouse-radius",
+  strokeColor: "stroke-color",
+  strokeWidth: "stroke-width",
+  seed: "seed",
+  rippleStrength: "ripple-strength",
+  renderer: "renderer",
+  quality: "quality",
+};
+
+type WavesAttributes = {
+  ref?: Ref<AWaves>;
+  class?: string;
+  style?: CSSProperties;
+  "aria-hidden"?: "true";
+} & Record<string, unknown>;
+
+declare module "react" {
+  namespace JSX {
+    interface IntrinsicElements {
+      "a-waves": WavesAttributes;
+    }
+  }
+}
+
+// One import shared by every instance (and by StrictMode's second mount)
+let engine: Promise<unknown> | null = null;
+
+function loadEngine() {
+  engine ??= import("../../../js/waves.js");
+  return engine;
+}
+
+export function Waves({
+  className,
+  style,
+  paused = false,
+  onPause,
+  onResume,
+  onQualityChange,
+  ...options
+}: WavesProps) {
+  const ref = useRef<AWaves>(null);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    loadEngine().then(
+      () => active && setLoaded(true),
+      (e) => console.warn("<Waves>: failed to load the wave engine", e),
+    );
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Callbacks are usually inline; read the latest ones from a ref instead
+  // of re-binding the listeners every render
+  const handlers = useRef({ onPause, onResume, onQualityChange });
+  handlers.current = { onPause, onResume, onQualityChange };
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+
+    const pause = (e: CustomEvent<{ reason: WavePauseReason }>) =>
+      handlers.current.onPause?.(e.detail.reason);
+    const resume = () => handlers.current.onResume?.();
+    const quality = (
+      e: CustomEvent<{ quality: Exclude<WaveQuality, "auto"> }>,
+    ) => handlers.current.onQualityChange?.(e.detail.quality);
+
+    el.addEventListener("pause", pause);
+    el.addEventListener("resume", resume);
+    el.addEventListener("qualitychange", quality);
+    return () => {
+      el.removeEventListener("pause", pause);
+      el.removeEventListener("resume", resume);
+      el.removeEventListener("qualitychange", quality);
+    };
+  }, [loaded]);
+
+  // pause() and resume() are idempotent, so a StrictMode re-run is harmless
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    if (paused) el.pause();
+    else el.resume();
+  }, [loaded, paused]);
+
+  if (!loaded) return null;
+
+  // React 18 sets unknown props on custom elements as attributes, and only
+  // touches the ones that changed between renders
+  const attributes: Record<string, string | number | undefined> = {};
+  for (const [prop, attribute] of Object.entries(ATTRIBUTES)) {
+    const value = options[prop as keyof WaveOptions];
+    attributes[attribute] = value ?? undefined;
+  }
+
+  return (
+    <a-waves
+      ref={ref}
+      // React 18 doesn't map className to class on custom elements
+      class={className}
+      style={style}
+      aria-hidden="true"
+      {...attributes}
+    />
+  );
+}
@@ -0,0 +1,57 @@
+import projectsJson from "../../content/projects.json";
+import experienceJson from "../../content/experience.json";
+import skillsJson from "../../content/skills.json";
+import socialsJson from "../../content/socials.json";
+import type {
+  Content,
+  ExperienceEntry,
+  Project,
+  SocialProfile,
+  Socials,
+} from "./schema";
+
+// ─── Site content ─────────────────────────────────────────────────────────────
+//
+// Everything the sections render lives in content/*.json; edit those rather
+// than the components. The files are checked against ./schema when Vite
+// starts or builds, so the types below can be trusted.
+
+export type { Content, ExperienceEntry, Project, SocialProfile, Socials };
+
+export const content: Content = {
+  projects: projectsJson,
+  experience: experienceJson,
+  skills: skillsJson,
+  socials: socialsJson,
+};
+
+export const { projects, experience, skills, socials } = content;
+
+const writeups = import.meta.glob<string>("../../content/projects/*.md", {
+  query: "?raw",
+  import: "default",
+  eager: true,
+});
+
+/** The Markdown write-up in content/projects/<slug>.md, if there is one. */
+export function projectWriteup(slug: string): string | undefined {
+  return writeups[`../../content/projects/${slug}.md`];
+}
+
+const monthYear = new Intl.DateTimeFormat("en-US", {
+  month: "short",
+  year: "numeric",
+  timeZone: "UTC",
+});
+
+function formatPeriodPart(value: string): string {
+  if (value.length === 4) return value;
+  const [year, month] = value.split("-").map(Number);
+  return monthYear.format(Date.UTC(year, month - 1));
+}
+
+/** "Aug 2025 to Present", "May 2025 to Jun 2025", or just "2025". */
+export function formatPeriod({ start, end }: Pick<ExperienceEntry, "start" | "end">): string {
+  if (end === start) return formatPeriodPart(start);
+  return `${formatPeriodPart(start)} to ${end === null ? "Present" : formatPeriodPart(end)}`;
+}
@@ -0,0 +1,243 @@
+// ─── Content schema ───────────────────────────────────────────────────────────
+//
+// Shapes of the files in content/. `validateContent` runs at build time (see
+// the content plugin in vite.config.ts), so a typo there fails the build
+// instead of shipping a broken section. Kept free of DOM and Node APIs so
+// both the app and the Vite config can import it.
+
+export interface ProjectLink {
+  label: string;
+  url: string;
+}
+
+export interface Project {
+  /** URL-safe id, e.g. "playlistify-ai"; anchors are #project-<slug>. */
+  slug: string;
+  title: string;
+  year: string;
+  category: string;
+  /** Path under public/, e.g. "/assets/playlistify.png". */
+  image: string;
+  description: string;
+  tech: string[];
+  links: ProjectLink[];
+  /** Screenshots for the detail page (paths under public/); defaults to `image`. */
+  gallery?: string[];
+}
+
+export interface ExperienceEntry {
+  /** Anchors are #experience-<id>. */
+  id: string;
+  role: string;
+  company: string;
+  /** "YYYY-MM", or "YYYY" when the month doesn't matter. */
+  start: string;
+  /** Same format as `start`; `null` while ongoing. */
+  end: string | null;
+  description: string;
+  tags: string[];
+}
+
+export interface SocialProfile {
+  id: string;
+  label: string;
+  /** Two-letter label for tight spots like the hero. */
+  short: string;
+  url: string;
+}
+
+export interface Socials {
+  email: string;
+  profiles: SocialProfile[];
+}
+
+export interface Content {
+  projects: Project[];
+  experience: ExperienceEntry[];
+  skills: string[];
+  socials: Socials;
+}
+
+export interface ValidateOptions {
+  /** Whether a site path such as "/assets/x.png" resolves to a file. */
+  assetExists?: (path: string) => boolean;
+  /** Slugs that have a content/projects/<slug>.md write-up. */
+  writeups?: string[];
+}
+
+// ─── Checks ───────────────────────────────────────────────────────────────────
+
+type Check = (value: unknown, path: string, issues: string[]) => void;
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PERIOD = /^(\d{4})(?:-(\d{2}))?$/;
+
+const text: Check = (value, path, issues) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    issues.push(`${path}: expected a non-empty string`);
+  }
+};
+
+const slug: Check = (value, path, issues) => {
+  if (typeof value !== "string" || !SLUG.test(value)) {
+    issues.push(`${path}: expected a lowercase-hyphenated slug, got ${JSON.stringify(value)}`);
+  }
+};
+
+const year: Check = (value, path, issues) => {
+  if (typeof value !== "string" || !/^\d{4}$/.test(value)) {
+    issues.push(`${path}: expected a "YYYY" year, got ${JSON.stringify(value)}`);
+  }
+};
+
+const period: Check = (value, path, issues) => {
+  const match = typeof value === "string" ? PERIOD.exec(value) : null;
+  const month = match?.[2] === undefined ? 1 : Number(match[2]);
+  if (!match || month < 1 || month > 12) {
+    issues.push(`${path}: expected "YYYY-MM" or "YYYY", got ${JSON.stringify(value)}`);
+  }
+};
+
+const url: Check = (value, path, issues) => {
+  try {
+    const { protocol } = new URL(String(value));
+    if (protocol === "https:" || protocol === "http:") return;
+  } catch (e) {
+    // Reported below
+  }
+  issues.push(`${path}: expected an http(s) URL, got ${JSON.stringify(value)}`);
+};
+
+const email: Check = (value, path, issues) => {
+  if (typeof value !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    issues.push(`${path}: expected an email address, got ${JSON.stringify(value)}`);
+  }
+};
+
+function nullable(check: Check): Check {
+  return (value, path, issues) => {
+    if (value !== null) check(value, path, issues);
+  };
+}
+
+function list(item: Check, { min = 0 } = {}): Check {
+  return (value, path, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push(`${path}: expected a list`);
+      return;
+    }
+    if (value.length < min) {
+      issues.push(`${path}: expected at least ${min} item${min === 1 ? "" : "s"}`);
+    }
+    value.forEach((v, i) => item(v, `${path}[${i}]`, issues));
+  };
+}
+
+/** Checks each field; a trailing "?" on a field name makes it optional. */
+function object(fields: Record<string, Check>): Check {
+  return (value, path, issues) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      issues.push(`${path}: expected an object`);
+      return;
+    }
+    const record = value as Record<string, unknown>;
+    const known = new Set<string>();
+    for (const [field, check] of Object.entries(fields)) {
+      const key = field.replace(/\?$/, "");
+      known.add(key);
+      if (key in record) check(record[key], `${path}.${key}`, issues);
+      else if (key === field) issues.push(`${path}.${key}: missing`);
+    }
+    for (const key of Object.keys(record)) {
+      if (!known.has(key)) issues.push(`${path}.${key}: unknown field`);
+    }
+  };
+}
+
+function unique(values: unknown[], path: string, key: string, issues: string[]) {
+  const seen = new Set<unknown>();
+  values.forEach((v, i) => {
+    const id = (v as Record<string, unknown> | null)?.[key];
+    if (seen.has(id)) issues.push(`${path}[${i}].${key}: duplicate ${JSON.stringify(id)}`);
+    seen.add(id);
+  });
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/** Every problem found in `content`, as "path: message" lines. */
+export function validateContent(
+  content: unknown,
+  { assetExists, writeups = [] }: ValidateOptions = {},
+): string[] {
+  const issues: string[] = [];
+
+  const asset: Check = (value, path, issues) => {
+    text(value, path, issues);
+    if (typeof value !== "string" || !assetExists) return;
+    if (!value.startsWith("/") || !assetExists(value)) {
+      issues.push(`${path}: ${value} not found in public/`);
+    }
+  };
+
+  const project = object({
+    slug,
+    title: text,
+    year,
+    category: text,
+    image: asset,
+    description: text,
+    tech: list(text, { min: 1 }),
+    links: list(object({ label: text, url })),
+    "gallery?": list(asset, { min: 1 }),
+  });
+
+  const experience = object({
+    id: slug,
+    role: text,
+    company: text,
+    start: period,
+    end: nullable(period),
+    description: text,
+    tags: list(text),
+  });
+
+  const socials = object({
+    email,
+    profiles: list(object({ id: slug, label: text, short: text, url })),
+  });
+
+  // One file per section; issues are reported against the file's path
+  const sections: Record<keyof Content, Check> = {
+    projects: list(project, { min: 1 }),
+    experience: list(experience),
+    skills: list(text, { min: 1 }),
+    socials,
+  };
+  const files = (content ?? {}) as Record<string, unknown>;
+  for (const [name, check] of Object.entries(sections)) {
+    check(files[name], `content/${name}.json`, issues);
+  }
+  if (issues.length > 0) return issues;
+
+  // Cross-field rules, once the shapes are known to be right
+  const { projects, experience: entries, socials: { profiles } } = content as Content;
+  unique(projects, "content/projects.json", "slug", issues);
+  unique(entries, "content/experience.json", "id", issues);
+  unique(profiles, "content/socials.json.profiles", "id", issues);
+  for (const slug of writeups) {
+    if (!projects.some((p) => p.slug === slug)) {
+      issues.push(`content/projects/${slug}.md: no project with slug "${slug}"`);
+    }
+  }
+  entries.forEach(({ start, end }, i) => {
+    if (end === null) return;
+    // Periods compare as strings at their shared precision ("2025" vs "2025-05")
+    const n = Math.min(start.length, end.length);
+    if (end.slice(0, n) < start.slice(0, n)) {
+      issues.push(`content/experience.json[${i}].end: ${end} is before ${start}`);
+    }
+  });
+
+  return issues;
+}
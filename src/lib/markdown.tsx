@@ -0,0 +1,147 @@
+import React, { type ReactNode } from "react";
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+//
+// Just enough Markdown for the project write-ups in content/projects/*.md:
+// ## / ### headings, paragraphs, - and 1. lists, > quotes, ``` fences, and
+// inline **bold**, *italic*, `code` and [links](url). Rendered as React
+// elements, never as HTML strings, so content can't inject markup.
+
+type Block =
+  | { type: "heading"; level: 2 | 3; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "list"; ordered: boolean; items: string[] }
+  | { type: "quote"; text: string }
+  | { type: "code"; text: string };
+
+const LIST_ITEM = /^(?:[-*]|\d+\.)\s+/;
+
+function parseBlocks(source: string): Block[] {
+  const blocks: Block[] = [];
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i]!;
+
+    if (line.trim() === "") {
+      i++;
+    } else if (line.startsWith("```")) {
+      const code: string[] = [];
+      for (i++; i < lines.length && !lines[i]!.startsWith("```"); i++) {
+        code.push(lines[i]!);
+      }
+      i++; // Closing fence
+      blocks.push({ type: "code", text: code.join("\n") });
+    } else if (/^#{1,3}\s/.test(line)) {
+      // A lone # is the page title, which the page renders itself
+      const [, hashes, text] = /^(#+)\s+(.*)$/.exec(line)!;
+      if (hashes!.length > 1) {
+        blocks.push({ type: "heading", level: hashes!.length === 3 ? 3 : 2, text: text! });
+      }
+      i++;
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = /^\d/.test(line);
+      const items: string[] = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i]!)) {
+        items.push(lines[i]!.replace(LIST_ITEM, ""));
+        i++;
+      }
+      blocks.push({ type: "list", ordered, items });
+    } else if (line.startsWith(">")) {
+      const quote: string[] = [];
+      while (i < lines.length && lines[i]!.startsWith(">")) {
+        quote.push(lines[i]!.replace(/^>\s?/, ""));
+        i++;
+      }
+      blocks.push({ type: "quote", text: quote.join(" ") });
+    } else {
+      // Consecutive lines join into one paragraph
+      const text: string[] = [];
+      while (
+        i < lines.length &&
+        lines[i]!.trim() !== "" &&
+        !/^(#{1,3}\s|```|>)/.test(lines[i]!) &&
+        !LIST_ITEM.test(lines[i]!)
+      ) {
+        text.push(lines[i]!.trim());
+        i++;
+      }
+      blocks.push({ type: "paragraph", text: text.join(" ") });
+    }
+  }
+
+  return blocks;
+}
+
+const INLINE = /\*\*(.+?)\*\*|\*(.+?)\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function renderInline(text: string): ReactNode[] {
+  const nodes: ReactNode[] = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, bold, italic, code, label, href] = match;
+    const index = match.index ?? 0;
+    if (index > last) nodes.push(text.slice(last, index));
+    last = index + whole.length;
+
+    const key = nodes.length;
+    if (bold !== undefined) nodes.push(<strong key={key}>{renderInline(bold)}</strong>);
+    else if (italic !== undefined) nodes.push(<em key={key}>{renderInline(italic)}</em>);
+    else if (code !== undefined) nodes.push(<code key={key}>{code}</code>);
+    else if (/^(https?:|mailto:|\/|#)/.test(href!)) {
+      const external = /^https?:/.test(href!);
+      nodes.push(
+        <a
+          key={key}
+          href={href}
+          {...(external ? { target: "_blank", rel: "noopener noreferrer" } : {})}
+        >
+          {renderInline(label!)}
+        </a>,
+      );
+    } else {
+      // Unsupported scheme (javascript: and friends): keep just the text
+      nodes.push(label);
+    }
+  }
+
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+}
+
+export function Markdown({ source, className }: { source: string; className?: string }) {
+  return (
+    <div className={className}>
+      {parseBlocks(source).map((block, i) => {
+        switch (block.type) {
+          case "heading": {
+            const Heading = block.level === 2 ? "h2" : "h3";
+            return <Heading key={i}>{renderInline(block.text)}</Heading>;
+          }
+          case "paragraph":
+            return <p key={i}>{renderInline(block.text)}</p>;
+          case "list": {
+            const List = block.ordered ? "ol" : "ul";
+            return (
+              <List key={i}>
+                {block.items.map((item, j) => (
+                  <li key={j}>{renderInline(item)}</li>
+                ))}
+              </List>
+            );
+          }
+          case "quote":
+            return <blockquote key={i}>{renderInline(block.text)}</blockquote>;
+          case "code":
+            return (
+              <pre key={i}>
+                <code>{block.text}</code>
+              </pre>
+            );
+        }
+      })}
+    </div>
+  );
+}
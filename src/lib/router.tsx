@@ -0,0 +1,133 @@
+import {
+  useLayoutEffect,
+  useRef,
+  useSyncExternalStore,
+  type AnchorHTMLAttributes,
+  type MouseEvent,
+} from "react";
+
+// ─── Client-side routing ──────────────────────────────────────────────────────
+//
+// The site is one page plus a handful of history routes (/projects/<slug>).
+// That's small enough for the History API directly: `navigate` pushes an
+// entry, `usePathname` re-renders on it and on Back/Forward, and `<Link>`
+// turns clicks on internal links into `navigate` calls.
+//
+// GitHub Pages has no rewrites, so a refreshed /projects/<slug> is served
+// public/404.html, which bounces to /?p=<path>; a script in index.html puts
+// the path back before the app starts.
+
+const NAVIGATE_EVENT = "app:navigate";
+
+function subscribe(onChange: () => void) {
+  window.addEventListener("popstate", onChange);
+  window.addEventListener(NAVIGATE_EVENT, onChange);
+  return () => {
+    window.removeEventListener("popstate", onChange);
+    window.removeEventListener(NAVIGATE_EVENT, onChange);
+  };
+}
+
+/** The current path, e.g. "/projects/playlistify-ai"; "/" on the server. */
+export function usePathname(): string {
+  return useSyncExternalStore(
+    subscribe,
+    () => window.location.pathname,
+    () => "/",
+  );
+}
+
+/** The current query string, e.g. "?tech=python"; "" on the server. */
+export function useSearch(): string {
+  return useSyncExternalStore(
+    subscribe,
+    () => window.location.search,
+    () => "",
+  );
+}
+
+/**
+ * Swaps the query string in place, keeping the path and #hash. Replaces the
+ * history entry rather than pushing one, so UI state kept in the URL (like
+ * filters) doesn't fill up Back.
+ */
+export function setSearch(params: URLSearchParams) {
+  const query = params.toString();
+  const { pathname, hash } = window.location;
+  history.replaceState(history.state, "", `${pathname}${query ? `?${query}` : ""}${hash}`);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/** Goes to `to` (a path, optionally with ?query and #hash) without a reload. */
+export function navigate(to: string, { replace = false } = {}) {
+  // Remember how far down the page we were, for when Back returns here
+  history.replaceState({ ...history.state, scrollY: window.scrollY }, "");
+  if (replace) history.replaceState(null, "", to);
+  else history.pushState(null, "", to);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * Scrolls after each route change: back to where the page was left on
+ * Back/Forward, to the #hash target when there is one, otherwise to the top.
+ */
+export function useRouteScroll(pathname: string) {
+  // Only react to changes: the first path is a page load, which the
+  // browser scrolls itself (and StrictMode runs the effect twice)
+  const previous = useRef(pathname);
+
+  useLayoutEffect(() => {
+    if (previous.current === pathname) return;
+    previous.current = pathname;
+    const scrollY = (history.state as { scrollY?: number } | null)?.scrollY;
+    const target = window.location.hash
+      ? document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+      : null;
+    if (scrollY !== undefined) window.scrollTo(0, scrollY);
+    else if (target) target.scrollIntoView();
+    else window.scrollTo(0, 0);
+  }, [pathname]);
+}
+
+/** An `<a>` that navigates in-app for same-origin paths. */
+export function Link({
+  href,
+  onClick,
+  ...props
+}: AnchorHTMLAttributes<HTMLAnchorElement> & { href: string }) {
+  const handleClick = (e: MouseEvent<HTMLAnchorElement>) => {
+    onClick?.(e);
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey ||
+      props.target === "_blank" ||
+      props.download !== undefined
+    ) {
+      return;
+    }
+    const url = new URL(href, window.location.href);
+    if (url.origin !== window.location.origin) return;
+    // Same page: the browser jumps to the #hash by itself
+    if (url.pathname === window.location.pathname && url.hash) return;
+    e.preventDefault();
+    navigate(url.pathname + url.search + url.hash);
+  };
+
+  return <a href={href} onClick={handleClick} {...props} />;
+}
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+export function projectPath(slug: string): string {
+  return `/projects/${slug}`;
+}
+
+/** The slug in a /projects/<slug> path, or `null` for any other path. */
+export function matchProjectPath(pathname: string): string | null {
+  const match = /^\/projects\/([^/]+)\/?$/.exec(pathname);
+  return match ? decodeURIComponent(match[1]) : null;
+}
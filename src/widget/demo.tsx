@@ -0,0 +1,18 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import { GithubCalendar } from "./index";
+
+// React half of demo.html, rendered from the library entry as a consumer would
+
+createRoot(document.getElementById("react-demo")!).render(
+  <StrictMode>
+    <GithubCalendar
+      username="avanishkasar"
+      theme="halloween"
+      colorScheme="dark"
+      cellSize={12}
+      showStats
+      showDataTable
+    />
+  </StrictMode>,
+);
@@ -0,0 +1,189 @@
+import { createRoot, type Root } from "react-dom/client";
+import {
+  GithubCalendar,
+  type GithubCalendarProps,
+} from "../components/ui/retro-space-shooter-git-hub-calendar";
+import { WIDGET_CLASS, injectStyles } from "./styles";
+
+// ─── <github-calendar> custom element ─────────────────────────────────────────
+//
+// Framework-free embed for any page; React is bundled into this entry.
+//
+//   <script type="module" src="github-calendar-element.js"></script>
+//   <github-calendar username="octocat" theme="neon" cell-size="12"
+//                    show-analytics show-replay></github-calendar>
+//
+// Attributes are the kebab-case names of `GithubCalendarProps`. Booleans are
+// on when present (`show-legend="false"` turns a default off), numbers are
+// parsed, and `data`, `annotations` and `compare` take JSON. Values that are
+// not serialisable (providers, callbacks) are set as JS properties, which
+// win over attributes:
+//
+//   calendar.provider = snapshotProvider({ url: "/contributions.json" });
+
+type Attribute = [
+  prop: keyof GithubCalendarProps,
+  parse: (value: string) => unknown,
+];
+
+const text = (value: string) => value;
+
+const number = (value: string) => {
+  const n = Number(value);
+  return value.trim() !== "" && Number.isFinite(n) ? n : undefined;
+};
+
+const flag = (value: string) => value !== "false";
+
+const json = (value: string) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn("<github-calendar>: ignoring invalid JSON attribute", value);
+    return undefined;
+  }
+};
+
+const ATTRIBUTES: Record<string, Attribute> = {
+  username: ["username", text],
+  data: ["data", json],
+  "start-date": ["startDate", text],
+  "end-date": ["endDate", text],
+  "range-mode": ["rangeMode", text],
+  layout: ["layout", text],
+  "show-navigation": ["showNavigation", flag],
+  "starts-on-sunday": ["startsOnSunday", flag],
+  "week-start": ["weekStart", (v) => (v === "locale" ? v : number(v))],
+  locale: ["locale", text],
+  "time-zone": ["timeZone", text],
+  "cell-size": ["cellSize", number],
+  "cell-gap": ["cellGap", number],
+  "cell-shape": ["cellShape", text],
+  // A registered name, "css", or a palette as JSON
+  theme: ["theme", (v) => (v.trim().startsWith("{") ? json(v) : v)],
+  "color-scheme": ["colorScheme", text],
+  "show-month-labels": ["showMonthLabels", flag],
+  "show-stats": ["showStats", flag],
+  "show-analytics": ["showAnalytics", flag],
+  "show-data-table": ["showDataTable", flag],
+  "show-export": ["showExport", flag],
+  "show-replay": ["showReplay", flag],
+  annotations: ["annotations", json],
+  compare: ["compare", json],
+  "compare-layout": ["compareLayout", text],
+  "show-legend": ["showLegend", flag],
+};
+
+const PROPERTIES = [
+  "data",
+  "provider",
+  "detailsProvider",
+  "theme",
+  "annotations",
+  "onAnnotationClick",
+  "compare",
+] as const;
+
+type PropertyName = (typeof PROPERTIES)[number];
+
+export interface GithubCalendarElement
+  extends Pick<GithubCalendarProps, PropertyName> {}
+
+export class GithubCalendarElement extends HTMLElement {
+  static observedAttributes = Object.keys(ATTRIBUTES);
+
+  static {
+    for (const name of PROPERTIES) {
+      Object.defineProperty(this.prototype, name, {
+        configurable: true,
+        enumerable: true,
+        get(this: GithubCalendarElement) {
+          return this.properties[name];
+        },
+        set(this: GithubCalendarElement, value: unknown) {
+          this.properties = { ...this.properties, [name]: value };
+          this.render();
+        },
+      });
+    }
+  }
+
+  private properties: Partial<GithubCalendarProps> = {};
+  private container: HTMLDivElement;
+  private root: Root | null = null;
+
+  constructor() {
+    super();
+    const shadow = this.attachShadow({ mode: "open" });
+    injectStyles(shadow);
+    this.container = document.createElement("div");
+    this.container.className = WIDGET_CLASS;
+    shadow.appendChild(this.container);
+  }
+
+  connectedCallback() {
+    // Properties assigned before the element was upgraded sit on the
+    // instance and shadow the accessors; move them through the setters
+    for (const name of PROPERTIES) {
+      if (!Object.prototype.hasOwnProperty.call(this, name)) continue;
+      const value = this[name];
+      delete this[name];
+      (this as Record<PropertyName, unknown>)[name] = value;
+    }
+    this.root ??= createRoot(this.container);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    // Moving the element disconnects and reconnects it in the same task;
+    // only tear React down once it has really left the page
+    queueMicrotask(() => {
+      if (this.isConnected || !this.root) return;
+      this.root.unmount();
+      this.root = null;
+    });
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  /** The props the calendar currently renders with. */
+  get props(): GithubCalendarProps {
+    const props: Record<string, unknown> = {};
+    for (const [attribute, [prop, parse]] of Object.entries(ATTRIBUTES)) {
+      const value = this.getAttribute(attribute);
+      if (value !== null) props[prop] = parse(value);
+    }
+    for (const [prop, value] of Object.entries(this.properties)) {
+      if (value !== undefined) props[prop] = value;
+    }
+    return props as GithubCalendarProps;
+  }
+
+  private render() {
+    this.root?.render(<GithubCalendar {...this.props} />);
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "github-calendar": GithubCalendarElement;
+  }
+}
+
+/** Registers the element; a constructor can only be defined once, so each
+ * tag name gets its own subclass. */
+export function defineGithubCalendarElement(tagName = "github-calendar") {
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, class extends GithubCalendarElement {});
+  }
+}
+
+// Providers and themes for the JS properties; the React component itself
+// lives in the main entry
+export * from "../components/ui/github-calendar/providers";
+export * from "../components/ui/github-calendar/themes";
+export type * from "../components/ui/retro-space-shooter-git-hub-calendar";
+
+defineGithubCalendarElement();
@@ -0,0 +1,43 @@
+import { memo, useLayoutEffect, useRef } from "react";
+import {
+  GithubCalendar as Calendar,
+  type GithubCalendarProps,
+} from "../components/ui/retro-space-shooter-git-hub-calendar";
+import { WIDGET_CLASS, injectStyles } from "./styles";
+
+// ─── Standalone React component ───────────────────────────────────────────────
+//
+// Entry point of the library build (`npm run build:widget`). The calendar is
+// the same one the portfolio renders, wrapped so it carries its own styles:
+//
+//   import { GithubCalendar } from "@avanishkasar/github-calendar";
+//   <GithubCalendar username="octocat" theme="neon" showAnalytics />
+//
+// No Tailwind setup is needed on the host page. React 18 is a peer
+// dependency; sites without React use the <github-calendar> element instead.
+
+export * from "../components/ui/retro-space-shooter-git-hub-calendar";
+export { WIDGET_CLASS, injectStyles, widgetCss } from "./styles";
+
+export const GithubCalendar = memo(function GithubCalendar(
+  props: GithubCalendarProps,
+) {
+  const ref = useRef<HTMLDivElement>(null);
+
+  // Styles go to whichever root the calendar lands in: the document, or a
+  // shadow root when the host renders React inside one
+  useLayoutEffect(() => {
+    const root = ref.current?.getRootNode();
+    if (root instanceof Document || root instanceof ShadowRoot) {
+      injectStyles(root);
+    }
+  }, []);
+
+  return (
+    <div ref={ref} className={WIDGET_CLASS}>
+      <Calendar {...props} />
+    </div>
+  );
+});
+
+export default GithubCalendar;
@@ -0,0 +1,24 @@
+import css from "./widget.css?inline";
+
+// ─── Widget styles ────────────────────────────────────────────────────────────
+//
+// The compiled, scoped stylesheet ships inside the JS bundle and is injected
+// once per document or shadow root that renders a calendar.
+
+/** Class the widget's styles are scoped to; wrap the calendar in it. */
+export const WIDGET_CLASS = "github-calendar";
+
+/** The widget's stylesheet, for server rendering or a custom shadow root. */
+export const widgetCss: string = css;
+
+const styled = new WeakSet<Document | ShadowRoot>();
+
+export function injectStyles(root: Document | ShadowRoot): void {
+  if (styled.has(root)) return;
+  styled.add(root);
+  const style = document.createElement("style");
+  style.dataset.githubCalendar = "";
+  style.textContent = css;
+  if (root instanceof Document) root.head.appendChild(style);
+  else root.prepend(style);
+}
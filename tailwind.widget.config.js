@@ -0,0 +1,35 @@
+import base from './tailwind.config.js'
+
+// Utilities for the standalone calendar build (see vite.widget.config.ts).
+// Everything is scoped under `.github-calendar`, so the widget neither leaks
+// classes into the host page nor depends on the host's own Tailwind setup.
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: [
+    './src/components/ui/retro-space-shooter-git-hub-calendar.tsx',
+    './src/components/ui/github-calendar/**/*.{ts,tsx}',
+    './src/widget/**/*.{ts,tsx}',
+  ],
+  important: '.github-calendar',
+  corePlugins: {
+    preflight: false,
+  },
+  theme: {
+    extend: {
+      ...base.theme.extend,
+      colors: {
+        ...base.theme.extend.colors,
+        // shadcn-style tokens the calendar uses; override the variables
+        // (space-separated RGB channels) to match the host page
+        muted: {
+          DEFAULT: 'rgb(var(--github-calendar-muted, 38 38 38) / <alpha-value>)',
+          foreground:
+            'rgb(var(--github-calendar-muted-foreground, 163 163 163) / <alpha-value>)',
+        },
+        destructive:
+          'rgb(var(--github-calendar-destructive, 239 68 68) / <alpha-value>)',
+      },
+    },
+  },
+  plugins: [],
+}
@@ -1,9 +1,61 @@
-import { defineConfig } from 'vite'
+import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'fs'
 import path from 'path'
+import { validateContent } from './src/content/schema'
+
+const CONTENT_FILES = ['projects', 'experience', 'skills', 'socials']
+
+// Checks content/*.json (and that every content/projects/*.md write-up has a
+// project) against the schema before anything is bundled:
+// a missing image or a malformed date fails `vite build` (and is reported,
+// without stopping the server, under `vite`)
+function contentSchema(): Plugin {
+  const contentDir = path.resolve(__dirname, 'content')
+  const publicDir = path.resolve(__dirname, 'public')
+  let command: 'build' | 'serve' = 'build'
+
+  return {
+    name: 'content-schema',
+    configResolved(config) {
+      command = config.command
+    },
+    buildStart() {
+      const issues: string[] = []
+      const content: Record<string, unknown> = {}
+      for (const name of CONTENT_FILES) {
+        const file = path.join(contentDir, `${name}.json`)
+        this.addWatchFile(file)
+        try {
+          content[name] = JSON.parse(fs.readFileSync(file, 'utf8'))
+        } catch (e) {
+          issues.push(`content/${name}.json: ${e instanceof Error ? e.message : e}`)
+        }
+      }
+      // Long-form write-ups, content/projects/<slug>.md
+      const writeupDir = path.join(contentDir, 'projects')
+      const writeups = fs.existsSync(writeupDir)
+        ? fs.readdirSync(writeupDir).filter((f) => f.endsWith('.md')).map((f) => f.slice(0, -3))
+        : []
+      if (issues.length === 0) {
+        issues.push(
+          ...validateContent(content, {
+            assetExists: (p) => fs.existsSync(path.join(publicDir, p)),
+            writeups,
+          }),
+        )
+      }
+      if (issues.length === 0) return
+
+      const message = `Invalid content:\n  ${issues.join('\n  ')}`
+      if (command === 'build') this.error(message)
+      else this.warn(message)
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), contentSchema()],
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
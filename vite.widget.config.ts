@@ -0,0 +1,91 @@
+import { defineConfig, type Plugin } from 'vite'
+import react from '@vitejs/plugin-react'
+import path from 'path'
+import pkg from './package.json'
+
+// Library build of the contribution calendar for other sites, in two passes
+// (`npm run build:widget` runs both):
+//
+//   --mode react    dist-widget/github-calendar.js, React as a peer dependency
+//   --mode element  dist-widget/github-calendar-element.{js,iife.js}, React
+//                   bundled in, defines <github-calendar>
+//
+// Type declarations come from `tsc -p tsconfig.widget.json`.
+
+const manifest = {
+  name: '@avanishkasar/github-calendar',
+  version: pkg.version,
+  description: 'GitHub contribution calendar with a built-in space shooter',
+  type: 'module',
+  main: './github-calendar.js',
+  module: './github-calendar.js',
+  types: './types/widget/index.d.ts',
+  exports: {
+    '.': {
+      types: './types/widget/index.d.ts',
+      default: './github-calendar.js',
+    },
+    './element': {
+      types: './types/widget/element.d.ts',
+      default: './github-calendar-element.js',
+    },
+  },
+  sideEffects: ['./github-calendar-element.js', './github-calendar-element.iife.js'],
+  peerDependencies: {
+    react: pkg.dependencies.react,
+    'react-dom': pkg.dependencies['react-dom'],
+  },
+}
+
+function packageManifest(): Plugin {
+  return {
+    name: 'github-calendar-manifest',
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: 'package.json',
+        source: JSON.stringify(manifest, null, 2) + '\n',
+      })
+    },
+  }
+}
+
+export default defineConfig(({ mode }) => {
+  const element = mode === 'element'
+  return {
+    plugins: element ? [react()] : [react(), packageManifest()],
+    resolve: {
+      alias: {
+        '@': path.resolve(__dirname, './src'),
+      },
+    },
+    publicDir: false,
+    // Library mode leaves process.env alone, but the bundled React needs it
+    define: element
+      ? { 'process.env.NODE_ENV': JSON.stringify('production') }
+      : {},
+    build: {
+      outDir: 'dist-widget',
+      // The react pass runs first and starts from a clean directory
+      emptyOutDir: !element,
+      lib: element
+        ? {
+            entry: path.resolve(__dirname, 'src/widget/element.tsx'),
+            name: 'GithubCalendarElement',
+            formats: ['es', 'iife'],
+            fileName: (format) =>
+              format === 'es'
+                ? 'github-calendar-element.js'
+                : 'github-calendar-element.iife.js',
+          }
+        : {
+            entry: path.resolve(__dirname, 'src/widget/index.tsx'),
+            formats: ['es'],
+            fileName: () => 'github-calendar.js',
+          },
+      rollupOptions: {
+        external: element ? [] : ['react', 'react-dom', 'react/jsx-runtime'],
+      },
+    },
+  }
+})